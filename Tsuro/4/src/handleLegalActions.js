@@ -0,0 +1,60 @@
+const { RuleSet, SimpleTile } = require('../../Common');
+const { getLetterFromPosition } = require('../../Common/utils');
+
+const DEGREES_PER_ROTATION = 90;
+
+/**
+ * Gets the printed outcome of the given action.
+ *
+ * @param {BaseAction} action the action, with its outcome
+ * @returns {string} `"suicidal"` or `"safe"`
+ */
+const getOutcome = action => (action.isSuicidal ? 'suicidal' : 'safe');
+
+/**
+ * Handles listing every legal action for the given player on the given
+ * board state. If the player's avatar is not yet on the board, every
+ * initial action is printed as `[tile-index, rotation, port, x, y,
+ * outcome]`; otherwise, every intermediate action is printed as
+ * `[tile-index, rotation, x, y, outcome]`.
+ *
+ * @param {BoardState} boardState the current state of the board
+ * @param {array} command the command given from STDIN, the player's color
+ * followed by the tile indices of their hand
+ * @param {object} [houseRules={}] the options of the rule set to list the
+ * actions by, the standard rules if not given
+ */
+const handleLegalActions = (boardState, command, houseRules = {}) => {
+  const ruleSet = new RuleSet(houseRules);
+  const [color, ...playerHand] = command;
+  const player = { id: color, hand: playerHand.map(idx => new SimpleTile(idx)) };
+
+  let actions;
+  if (boardState.getAvatar(color)) {
+    actions = ruleSet.getLegalIntermediateActions(boardState, player).map(action => {
+      const { tile, coords } = action;
+      return [
+        tile.index,
+        tile.rotation * DEGREES_PER_ROTATION,
+        coords.x,
+        coords.y,
+        getOutcome(action),
+      ];
+    });
+  } else {
+    actions = ruleSet.getLegalInitialActions(boardState, player).map(action => {
+      const { tile, coords, position } = action;
+      return [
+        tile.index,
+        tile.rotation * DEGREES_PER_ROTATION,
+        getLetterFromPosition(position),
+        coords.x,
+        coords.y,
+        getOutcome(action),
+      ];
+    });
+  }
+  console.log(JSON.stringify(actions));
+};
+
+module.exports = handleLegalActions;
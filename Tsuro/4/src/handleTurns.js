@@ -1,7 +1,8 @@
 const getTileFromLetters = require('../../Common/utils/getTileFromLetters');
 const { tiles } = require('../../Common/__tests__');
-const { Coords, RuleChecker, TilePlacement } = require('../../Common');
+const { Coords, IntermediateAction, RuleChecker } = require('../../Common');
 const Player = require('../../Player/Player');
+const { STRATEGIES } = require('../../Common/utils/constants');
 
 /**
  * Handles validating whether a given move is legal for a given
@@ -15,12 +16,12 @@ const handleTurns = (boardState, move) => {
   const [action, ...playerHand] = move;
   const [color, tileIndex, rotation, x, y] = action;
 
-  const player = new Player(color, color);
+  const player = new Player(color, color, STRATEGIES.DUMB);
   player.receiveHand(playerHand.map(idx => getTileFromLetters(tiles[idx])));
 
   const tile = getTileFromLetters(tiles[tileIndex]).rotate(rotation / 90);
   const coords = new Coords(x, y);
-  const tilePlacement = new TilePlacement(tile, coords);
+  const tilePlacement = new IntermediateAction(tile, coords);
 
   if (RuleChecker.checkPlacementLegality(boardState, tilePlacement, player)) {
     console.log(JSON.stringify('legal'));
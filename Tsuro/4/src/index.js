@@ -1,11 +1,18 @@
 const { getInput, handlePlacements } = require('../../Common/__tests__');
+const handleLegalActions = require('./handleLegalActions');
 const handleTurns = require('./handleTurns');
 
 const main = () => {
   getInput().then(moves => {
+    // The house rules to list legal actions by may be given before any placement
+    const houseRules = Array.isArray(moves[0]) ? {} : moves.shift();
     const command = moves.pop();
     const board = handlePlacements(moves, false);
-    handleTurns(board.getState(), command);
+    if (typeof command[0] === 'string') {
+      handleLegalActions(board.getState(), command, houseRules);
+    } else {
+      handleTurns(board.getState(), command);
+    }
   });
 };
 
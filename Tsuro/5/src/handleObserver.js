@@ -3,6 +3,7 @@ const { Observer } = require('../../Admin');
 const Player = require('../../Player/Player');
 const { Board, InitialAction, IntermediateAction, Coords } = require('../../Common');
 const { getPositionFromLetter, getTileFromLetters } = require('../../Common/utils');
+const { STRATEGIES } = require('../../Common/utils/constants');
 const { isValidPlacement, tiles } = require('../../Common/__tests__');
 
 /**
@@ -22,7 +23,6 @@ const handleObserver = moves => {
   }
 
   const board = new Board();
-  const playerColors = {};
 
   /**
    * Handles placing an avatar and tile on the board based on the given placement
@@ -33,9 +33,9 @@ const handleObserver = moves => {
    * @returns {InitialAction} the corresponding initial action
    */
   const handleInitialPlacement = ([tileIdx, rotation, color, port, x, y]) => {
-    const player = new Player(color, color);
-    player.setColor(color);
-    playerColors[color] = [color];
+    const player = new Player(color, color, STRATEGIES.DUMB);
+    player.setColor(color, color);
+    observer.setPlayerColor(color, color);
     observer.updateCurrentPlayerId(color);
 
     const tile = getTileFromLetters(tiles[tileIdx]).rotate(rotation / 90);
@@ -95,7 +95,6 @@ const handleObserver = moves => {
     handlePlacement(placement);
   }
 
-  observer.setPlayerColors(playerColors);
   const boardState = board.getState();
   observer.updateState(boardState);
 
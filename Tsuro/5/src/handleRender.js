@@ -0,0 +1,72 @@
+const path = require('path');
+const { Observer, Referee } = require('../../Admin');
+const Player = require('../../Player/Player');
+const Logger = require('../../Remote/Logger');
+const { STRATEGIES } = require('../../Common/utils/constants');
+
+class RecordingObserver extends Observer {
+  /**
+   * @constructor
+   * Creates a new RecordingObserver, which has recorded no frames yet.
+   *
+   * @param {string} id the ID of the observer
+   */
+  constructor(id) {
+    super(id);
+    this.numFrames = 0;
+  }
+
+  /**
+   * Updates the current turn, and records the board at the start of the
+   * turn as the next frame of the game's animation.
+   *
+   * @param {number} currentTurn the current turn
+   */
+  updateCurrentTurn(currentTurn) {
+    super.updateCurrentTurn(currentTurn);
+    this.recordFrame();
+    this.numFrames += 1;
+  }
+}
+
+/**
+ * Handles running a game of dumb players, watched by an observer that
+ * records a frame every turn. Then, renders the end of the game to a
+ * `game.png` file, and the whole game to a `game.gif` file, in the output
+ * directory given as argument. Prints the color of every player and the
+ * number of frames recorded.
+ *
+ * @param {object} input the game to run
+ * @param {number} input.seed the seed for the deck
+ * @param {object} [input.config] the options of the game's configuration,
+ * such as its `maxPlayers`
+ * @param {string[]} input.players the names of the players
+ */
+const handleRender = async ({ seed, config, players }) => {
+  const outputDir = process.argv[2];
+  if (!outputDir) {
+    throw 'Argument must be passed for output directory';
+  }
+
+  try {
+    const referee = new Referee(new Logger(undefined, { quiet: true }), { seed, config });
+    players.forEach(name => referee.addPlayer(new Player(name, name, STRATEGIES.DUMB)));
+    const observer = new RecordingObserver('observer');
+    referee.addObserver(observer);
+    await referee.runGame();
+
+    await observer.renderToFile(path.resolve(outputDir, 'game.png'));
+    observer.renderAnimationToFile(path.resolve(outputDir, 'game.gif'));
+
+    const colors = referee
+      .getRecord()
+      .toJson()
+      .players.reduce((acc, { id, color }) => Object.assign(acc, { [id]: color }), {});
+    console.log(JSON.stringify({ colors, frames: observer.numFrames }));
+  } catch (err) {
+    // Errors thrown while rendering, rather than by the game, are printed by their message
+    console.log(JSON.stringify(err instanceof Error ? err.message : err));
+  }
+};
+
+module.exports = handleRender;
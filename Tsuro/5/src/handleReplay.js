@@ -0,0 +1,24 @@
+const Replayer = require('../../Admin/Replayer');
+const Logger = require('../../Remote/Logger');
+
+/**
+ * Handles replaying a recorded game through a new referee. Prints the
+ * winners and losers of the replay if it matches the record, or the reason
+ * it does not.
+ *
+ * @param {object} record the JSON-ified game record to replay
+ */
+const handleReplay = async record => {
+  try {
+    const replayer = new Replayer(record, new Logger(undefined, { quiet: true }));
+    const { result } = await replayer.replay();
+    const { winners, losers } = result;
+
+    const output = { winners, losers };
+    console.log(JSON.stringify(output));
+  } catch (err) {
+    console.log(JSON.stringify(err));
+  }
+};
+
+module.exports = handleReplay;
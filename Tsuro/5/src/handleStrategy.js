@@ -0,0 +1,71 @@
+const Referee = require('../../Admin/Referee');
+const Player = require('../../Player/Player');
+const Logger = require('../../Remote/Logger');
+const { LookaheadStrategy, MctsStrategy } = require('../../Player/Strategy');
+const { STRATEGIES } = require('../../Common/utils/constants');
+
+const CONFIGURABLE_STRATEGIES = {
+  [STRATEGIES.LOOKAHEAD]: LookaheadStrategy,
+  [STRATEGIES.MCTS]: MctsStrategy,
+};
+
+/**
+ * Gets the strategy a player plays with, configured with its options if
+ * any are given.
+ *
+ * @param {object} spec the player specification
+ * @param {string} spec.strategy the key of the strategy
+ * @param {object} [spec.options] the options to configure the strategy with
+ * @returns {string|BaseStrategy} the strategy key, or the configured
+ * strategy
+ */
+const getStrategy = ({ strategy, options }) => {
+  if (!options) {
+    return strategy;
+  }
+  const configurable = CONFIGURABLE_STRATEGIES[strategy];
+  if (!configurable) {
+    throw `Strategy ${strategy} cannot be configured`;
+  }
+  return configurable.withOptions(options);
+};
+
+/**
+ * Runs a game with the given players, and gets its record.
+ *
+ * @param {number} seed the seed for the deck
+ * @param {object[]} players the player specifications
+ * @returns {object} the JSON-ified record of the game
+ */
+const runGame = async (seed, players) => {
+  const referee = new Referee(new Logger(undefined, { quiet: true }), { seed });
+  players.forEach(spec => referee.addPlayer(new Player(spec.name, spec.name, getStrategy(spec))));
+  await referee.runGame();
+  return referee.getRecord().toJson();
+};
+
+/**
+ * Handles running the same game twice, with players whose strategies may
+ * be configured. Prints the winners and losers of the first game, and
+ * whether the second game's record is the same.
+ *
+ * @param {object} input the game to run
+ * @param {number} input.seed the seed for the deck
+ * @param {object[]} input.players the players of the game, each with a
+ * `name`, a `strategy` key, and the `options` to configure it with, if any
+ */
+const handleStrategy = async ({ seed, players }) => {
+  try {
+    const record = await runGame(seed, players);
+    const rerunRecord = await runGame(seed, players);
+    const { winners, losers } = record.result;
+
+    const isReproducible = JSON.stringify(record) === JSON.stringify(rerunRecord);
+    const output = { winners, losers, isReproducible };
+    console.log(JSON.stringify(output));
+  } catch (err) {
+    console.log(JSON.stringify(err));
+  }
+};
+
+module.exports = handleStrategy;
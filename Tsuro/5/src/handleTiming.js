@@ -0,0 +1,86 @@
+const Referee = require('../../Admin/Referee');
+const Player = require('../../Player/Player');
+const Logger = require('../../Remote/Logger');
+const { DumbStrategy } = require('../../Player/Strategy');
+
+/**
+ * Waits for the given time without yielding, as a local strategy that
+ * searches for its action does.
+ *
+ * @param {number} delay the time to wait, in milliseconds
+ */
+const block = delay => {
+  const end = Date.now() + delay;
+  while (Date.now() < end) {
+    // wait without yielding
+  }
+};
+
+/**
+ * Gets a strategy which plays as the dumb strategy does, but takes the
+ * given time to give each action. Once every delay is used, actions are
+ * given right away.
+ *
+ * @param {number[]} delays the time taken to give each action, in
+ * milliseconds
+ * @param {boolean} blocking whether the strategy waits without yielding,
+ * rather than waiting asynchronously as a remote player does
+ * @returns {BaseStrategy} the delayed strategy
+ */
+const getDelayedStrategy = (delays, blocking) => {
+  let numActions = 0;
+
+  /**
+   * Waits for the delay of the next action, then gives it.
+   *
+   * @param {function} getAction the function giving the action
+   * @returns {BaseAction|Promise<BaseAction>} the action
+   */
+  const delayAction = getAction => {
+    const delay = delays[numActions++] || 0;
+    if (blocking) {
+      block(delay);
+      return getAction();
+    }
+    return new Promise(resolve => setTimeout(() => resolve(getAction()), delay));
+  };
+
+  return class extends DumbStrategy {
+    static getInitialAction(id, hand, boardState, timeLeft, ruleSet) {
+      return delayAction(() => super.getInitialAction(id, hand, boardState, timeLeft, ruleSet));
+    }
+
+    static getIntermediateAction(id, hand, boardState) {
+      return delayAction(() => super.getIntermediateAction(id, hand, boardState));
+    }
+  };
+};
+
+/**
+ * Handles running a game under the given timing policy, with dumb players
+ * that take the given time to give each action. Prints the winners and
+ * losers of the game, and every elimination with its reason.
+ *
+ * @param {object} input the game to run
+ * @param {number} input.seed the seed for the deck
+ * @param {object} input.timing the options of the timing policy
+ * @param {object[]} input.players the players of the game, each with a
+ * `name`, the `delays` of their actions, and whether they are `blocking`
+ */
+const handleTiming = async ({ seed, timing, players }) => {
+  try {
+    const referee = new Referee(new Logger(undefined, { quiet: true }), { seed, timing });
+    players.forEach(({ name, delays = [], blocking = false }) => {
+      referee.addPlayer(new Player(name, name, getDelayedStrategy(delays, blocking)));
+    });
+    await referee.runGame();
+
+    const { result, eliminations } = referee.getRecord().toJson();
+    const { winners, losers } = result;
+    console.log(JSON.stringify({ winners, losers, eliminations }));
+  } catch (err) {
+    console.log(JSON.stringify(err));
+  }
+};
+
+module.exports = handleTiming;
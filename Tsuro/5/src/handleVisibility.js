@@ -0,0 +1,44 @@
+const Referee = require('../../Admin/Referee');
+const ProxyObserver = require('../../Admin/ProxyObserver');
+const Player = require('../../Player/Player');
+const Logger = require('../../Remote/Logger');
+const { MESSAGE_ACTIONS, STRATEGIES } = require('../../Common/utils/constants');
+
+/**
+ * Handles running a game with a spectator watching, as it would from a
+ * remote client. Prints how many hands the spectator was sent, and every
+ * tile shown to it in them.
+ *
+ * @param {object} input the game to run
+ * @param {string} input.rules the rules mode of the game
+ * @param {number} input.seed the seed for the deck
+ * @param {string[]} input.players the names of the players, who all play
+ * with the dumb strategy
+ */
+const handleVisibility = async ({ rules, seed, players }) => {
+  const logger = new Logger(undefined, { quiet: true });
+  const messages = [];
+  const client = {
+    destroyed: false,
+    write: message => messages.push(JSON.parse(message)),
+  };
+
+  try {
+    const referee = new Referee(logger, { rules, seed });
+    players.forEach(name => referee.addPlayer(new Player(name, name, STRATEGIES.DUMB)));
+    referee.addObserver(new ProxyObserver('spectator', client, logger));
+    await referee.runGame();
+
+    const hands = messages
+      .filter(({ action }) => action === MESSAGE_ACTIONS.DEAL_HAND)
+      .map(({ payload }) => payload);
+    const tilesShown = [...new Set(hands.flat())].sort((a, b) => a - b);
+
+    const output = { handsSent: hands.length, tilesShown };
+    console.log(JSON.stringify(output));
+  } catch (err) {
+    console.log(JSON.stringify(err));
+  }
+};
+
+module.exports = handleVisibility;
@@ -0,0 +1,8 @@
+const { getInput } = require('../../Common/__tests__');
+const handleRender = require('./handleRender');
+
+const main = () => {
+  getInput().then(handleRender);
+};
+
+main();
@@ -0,0 +1,8 @@
+const { getInput } = require('../../Common/__tests__');
+const handleReplay = require('./handleReplay');
+
+const main = () => {
+  getInput().then(handleReplay);
+};
+
+main();
@@ -0,0 +1,8 @@
+const { getInput } = require('../../Common/__tests__');
+const handleStrategy = require('./handleStrategy');
+
+const main = () => {
+  getInput().then(handleStrategy);
+};
+
+main();
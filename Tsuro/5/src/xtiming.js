@@ -0,0 +1,8 @@
+const { getInput } = require('../../Common/__tests__');
+const handleTiming = require('./handleTiming');
+
+const main = () => {
+  getInput().then(handleTiming);
+};
+
+main();
@@ -0,0 +1,8 @@
+const { getInput } = require('../../Common/__tests__');
+const handleVisibility = require('./handleVisibility');
+
+const main = () => {
+  getInput().then(handleVisibility);
+};
+
+main();
@@ -0,0 +1,7 @@
+const { getInput, handleFraming } = require('../../Common/__tests__');
+
+const main = () => {
+  getInput().then(handleFraming);
+};
+
+main();
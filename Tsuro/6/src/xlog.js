@@ -0,0 +1,7 @@
+const { getInput, handleLogging } = require('../../Common/__tests__');
+
+const main = () => {
+  getInput().then(handleLogging);
+};
+
+main();
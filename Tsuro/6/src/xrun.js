@@ -16,7 +16,7 @@ const main = async () => {
       throw 'Too many players';
     }
 
-    new Server(ipAddress, port, 'xrun.log', false);
+    new Server(ipAddress, port, 'xrun.log', { useStandby: false, singleGame: true });
 
     players.forEach(({ name, strategy }) => {
       new Client(ipAddress, port, name, strategy);
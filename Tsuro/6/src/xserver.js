@@ -2,8 +2,21 @@ const getArgs = require('./getArgs');
 const { Server } = require('../../Remote');
 
 const main = () => {
-  const [ipAddress, port] = getArgs();
-  new Server(ipAddress, port, 'xserver.log');
+  const [ipAddress, port, seed, webSocketPort, timingMode, logLevel, quiet] = getArgs();
+  const server = new Server(ipAddress, port, 'xserver.log', {
+    seed: seed ? Number(seed) : undefined,
+    webSocketPort: webSocketPort ? Number(webSocketPort) : undefined,
+    timing: timingMode ? { mode: timingMode } : undefined,
+    log: { level: logLevel || undefined, quiet: quiet === 'quiet' },
+  });
+
+  // The server runs until stopped, so its log is closed on the way out
+  ['SIGINT', 'SIGTERM'].forEach(signal =>
+    process.on(signal, () => {
+      server.logger.close();
+      process.exit(0);
+    })
+  );
 };
 
 main();
@@ -0,0 +1,9 @@
+const { getInput, handleSession } = require('../../Common/__tests__');
+
+const main = () => {
+  getInput()
+    .then(handleSession)
+    .then(() => process.exit(0));
+};
+
+main();
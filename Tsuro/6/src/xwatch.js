@@ -0,0 +1,21 @@
+const getArgs = require('./getArgs');
+const { Spectator } = require('../../Remote');
+
+const main = () => {
+  try {
+    const [ipAddress, port, outputDir, tableId] = getArgs();
+    if (!ipAddress) {
+      throw 'IP address is required.';
+    } else if (!port) {
+      throw 'Port is required.';
+    } else if (!outputDir) {
+      throw 'Output directory is required.';
+    }
+    new Spectator(ipAddress, port, outputDir, tableId);
+  } catch (err) {
+    console.log(err);
+    process.exit(0);
+  }
+};
+
+main();
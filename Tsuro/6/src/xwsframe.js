@@ -0,0 +1,7 @@
+const { getInput, handleWebSocketFraming } = require('../../Common/__tests__');
+
+const main = () => {
+  getInput().then(handleWebSocketFraming);
+};
+
+main();
@@ -0,0 +1,100 @@
+const { Random, SimpleTile } = require('../Common');
+const tiles = require('../Common/__tests__/tiles');
+
+class Deck {
+  /**
+   * @constructor
+   * Creates a new Deck of tiles, dealt in an order determined by the given
+   * seed. Dealing from two decks with the same seed and mode will always
+   * produce the same tiles.
+   *
+   * @param {number} [seed] the seed used to shuffle the deck, generated
+   * randomly if not given
+   * @param {boolean} [noRepeat=false] whether every tile should be dealt
+   * once before any tile is dealt again
+   * @param {boolean} [finite=false] whether the deck holds a single copy of
+   * every tile, and is never refilled once empty
+   */
+  constructor(seed, noRepeat = false, finite = false) {
+    this._random = new Random(seed);
+    this.seed = this._random.seed;
+    this.noRepeat = noRepeat || finite;
+    this.finite = finite;
+
+    this._pile = [];
+    if (finite) {
+      this._refill();
+    }
+  }
+
+  /**
+   * @private
+   * Refills the pile with a newly shuffled copy of every tile index.
+   */
+  _refill() {
+    const indices = tiles.map((tile, idx) => idx);
+    this._pile = this._random.shuffle(indices);
+  }
+
+  /**
+   * Draws a single tile from the deck. In no-repeat mode, the tile is taken
+   * from the shuffled pile, which is refilled once exhausted unless the deck
+   * is finite; otherwise, any tile may be drawn at random.
+   *
+   * @returns {SimpleTile|null} the drawn tile, or null if the deck is
+   * finite and empty
+   */
+  draw() {
+    if (!this.noRepeat) {
+      return new SimpleTile(this._random.nextInt(tiles.length));
+    }
+
+    if (this.isEmpty()) {
+      if (this.finite) {
+        return null;
+      }
+      this._refill();
+    }
+    return new SimpleTile(this._pile.shift());
+  }
+
+  /**
+   * Checks whether the pile of the deck is empty. Decks that are not finite
+   * are never out of tiles, as they are refilled on the next draw.
+   *
+   * @returns {boolean} whether the pile is empty
+   */
+  isEmpty() {
+    return this._pile.length === 0;
+  }
+
+  /**
+   * Returns the given tiles to a finite deck, shuffling them back into the
+   * pile.
+   *
+   * @param {SimpleTile[]} returned the tiles to return
+   */
+  returnTiles(returned) {
+    if (!this.finite) {
+      throw 'Tiles can only be returned to a finite deck.';
+    }
+    const indices = [...this._pile, ...returned.map(tile => tile.index)];
+    this._pile = this._random.shuffle(indices);
+  }
+
+  /**
+   * Draws a hand of the given size from the deck.
+   *
+   * @param {number} size the size of the hand
+   * @returns {SimpleTile[]} the hand of tiles
+   */
+  drawHand(size) {
+    const hand = [];
+    for (let i = 0; i < size; i++) {
+      hand.push(this.draw());
+    }
+    return hand;
+  }
+}
+
+module.exports = Deck;
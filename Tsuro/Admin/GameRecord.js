@@ -0,0 +1,225 @@
+const fs = require('fs');
+const { GameConfig, RuleSet } = require('../Common');
+const { RULE_MODES } = require('../Common/utils/constants');
+
+// Version 2 added the configuration of the game, version 3 its rules mode,
+// version 4 its board events and version 5 its rule set
+const RECORD_VERSION = 5;
+const REQUIRED_FIELDS = [
+  'seed',
+  'config',
+  'rules',
+  'ruleSet',
+  'boardEvents',
+  'players',
+  'turns',
+  'result',
+];
+
+class GameRecord {
+  /**
+   * @constructor
+   * Creates a new, empty GameRecord for a game dealt from a deck with the
+   * given seed and mode.
+   *
+   * @param {number} seed the seed of the game's deck
+   * @param {boolean} [noRepeat=false] whether the game's deck deals every
+   * tile before any tile is dealt again
+   * @param {GameConfig} [config] the board size and player limits of the
+   * game, the default configuration if not given
+   * @param {string} [rules='standard'] the rules mode of the game, one of
+   * `RULE_MODES`
+   * @param {RuleSet} [ruleSet] the rules every action was checked against,
+   * the standard rules if not given
+   * @param {object[]} [boardEvents=[]] the JSON-ified board events run at
+   * the end of every turn, with the type and options of each
+   */
+  constructor(
+    seed,
+    noRepeat = false,
+    config = GameConfig.getDefault(),
+    rules = RULE_MODES.STANDARD,
+    ruleSet = new RuleSet(),
+    boardEvents = []
+  ) {
+    this.version = RECORD_VERSION;
+    this.seed = seed;
+    this.noRepeat = noRepeat;
+    this.config = config;
+    this.rules = rules;
+    this.ruleSet = ruleSet;
+    this.boardEvents = boardEvents;
+
+    this.players = [];
+    this.turns = [];
+    this.eliminations = [];
+    this.result = null;
+  }
+
+  /**
+   * Records a player joining the game with the given color.
+   *
+   * @param {string} id the ID of the player
+   * @param {string} color the color assigned to the player
+   */
+  addPlayer(id, color) {
+    this.players.push({ id, color });
+  }
+
+  /**
+   * Removes a player that has left before the game started, as they
+   * never took part in the game.
+   *
+   * @param {string} id the ID of the player
+   */
+  removePlayer(id) {
+    this.players = this.players.filter(player => player.id !== id);
+  }
+
+  /**
+   * Records the start of a player's turn, and the hand dealt to them.
+   *
+   * @param {number} turn the turn number
+   * @param {string} playerId the ID of the player whose turn it is
+   * @param {boolean} isInitial whether the player is to make an initial
+   * action
+   * @param {SimpleTile[]} hand the hand dealt to the player
+   */
+  addTurn(turn, playerId, isInitial, hand) {
+    this.turns.push({
+      turn,
+      playerId,
+      isInitial,
+      hand: hand.map(tile => tile.index),
+      action: null,
+    });
+  }
+
+  /**
+   * Records the action given by the player during the current turn.
+   *
+   * @param {BaseAction} action the action given by the player
+   */
+  setAction(action) {
+    const currentTurn = this.turns[this.turns.length - 1];
+    currentTurn.action = action.toJson();
+  }
+
+  /**
+   * Records the elimination of a player from play.
+   *
+   * @param {number} turn the turn number the player was eliminated on
+   * @param {string} playerId the ID of the player
+   * @param {string} reason the reason for elimination, one of
+   * `ELIMINATION_REASONS`
+   */
+  addElimination(turn, playerId, reason) {
+    this.eliminations.push({ turn, playerId, reason });
+  }
+
+  /**
+   * Records the final outcome of the game.
+   *
+   * @param {BoardState} boardState the final state of the board
+   * @param {string[][]} winners the player IDs of the winners of the game,
+   * separated by winner place
+   * @param {string[]} losers the player IDs of the losers of the game
+   */
+  setResult(boardState, winners, losers) {
+    this.result = {
+      state: boardState.toJson(),
+      winners,
+      losers,
+    };
+  }
+
+  /**
+   * Converts this GameRecord object into JSON to be saved to a file.
+   *
+   * @returns {object} a JSON-ified GameRecord object
+   */
+  toJson() {
+    return {
+      version: this.version,
+      seed: this.seed,
+      noRepeat: this.noRepeat,
+      config: this.config.toJson(),
+      rules: this.rules,
+      ruleSet: this.ruleSet.toJson(),
+      boardEvents: this.boardEvents,
+      players: this.players,
+      turns: this.turns,
+      eliminations: this.eliminations,
+      result: this.result,
+    };
+  }
+
+  /**
+   * Writes this GameRecord as JSON to the given path.
+   *
+   * @param {string} path the path to write the record to
+   */
+  write(path) {
+    fs.writeFileSync(path, JSON.stringify(this.toJson(), null, 2));
+  }
+
+  /**
+   * @static
+   * Creates a new GameRecord object from the JSON-ified version. Throws if
+   * the record was created with an unsupported version, or is missing any
+   * part needed to replay the game.
+   *
+   * @param {object} json the JSON-ified GameRecord object, as created by
+   * the `toJson` method.
+   */
+  static fromJson(json) {
+    const {
+      version,
+      seed,
+      noRepeat,
+      config,
+      rules,
+      ruleSet,
+      boardEvents,
+      players,
+      turns,
+      eliminations,
+      result,
+    } = json;
+    if (version !== RECORD_VERSION) {
+      throw `Unsupported game record version: ${version}`;
+    }
+    const missingField = REQUIRED_FIELDS.find(field => json[field] === undefined);
+    if (missingField) {
+      throw `Game record is missing its ${missingField}`;
+    }
+
+    const record = new GameRecord(
+      seed,
+      noRepeat,
+      GameConfig.fromJson(config),
+      rules,
+      RuleSet.fromJson(ruleSet),
+      boardEvents
+    );
+    record.players = players;
+    record.turns = turns;
+    record.eliminations = eliminations;
+    record.result = result;
+    return record;
+  }
+
+  /**
+   * @static
+   * Reads a GameRecord from a JSON file at the given path.
+   *
+   * @param {string} path the path to read the record from
+   * @returns {GameRecord} the read record
+   */
+  static read(path) {
+    const json = JSON.parse(fs.readFileSync(path, 'utf8'));
+    return GameRecord.fromJson(json);
+  }
+}
+
+module.exports = GameRecord;
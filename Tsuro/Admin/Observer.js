@@ -1,5 +1,7 @@
 const fs = require('fs');
 const D3Node = require('d3-node');
+const { applyPalette, GIFEncoder, quantize } = require('gifenc');
+const Rasterizer = require('./Rasterizer');
 const { BoardState } = require('../Common');
 const { styles } = require('../Common/utils');
 
@@ -9,14 +11,25 @@ const TILE_PREVIEW_SIZE = 55;
 const LINE_HEIGHT = 15;
 const WIDTH = 1000;
 const HEIGHT = WIDTH + TILE_PREVIEW_SIZE + MARGIN;
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Frames of the animation are drawn at half size, to keep them light
+const FRAME_SCALE = 0.5;
+const FRAME_DELAY = 750;
+const FRAME_COLORS = 256;
 
 class Observer {
   /**
    * @constructor
    * Creates a new Observer with an empty board state.
+   *
+   * @param {string} id the ID of the observer
+   * @param {boolean} [shouldAnimateTrails=false] whether rendered SVGs
+   * should animate the hops of the last move across the board
    */
-  constructor(id) {
+  constructor(id, shouldAnimateTrails = false) {
     this.id = id;
+    this.shouldAnimateTrails = shouldAnimateTrails;
 
     this._boardState = new BoardState();
     this._playerColors = {};
@@ -30,9 +43,11 @@ class Observer {
     this._lastHand = this._currentHand;
     this._lastAction = null;
 
-    // RENDER VARIABLES
-    this.d3Node = new D3Node({ styles });
-    this.d3 = this.d3Node.d3;
+    this._winners = null;
+    this._losers = null;
+
+    this._trailLengths = {};
+    this._animation = null;
   }
 
   /**
@@ -87,7 +102,8 @@ class Observer {
   /**
    * Updates the last action used by a player, as told by the referee.
    * This also updates the last hand and player ID to use the currently
-   * set ones (in anticipation of the next turn).
+   * set ones (in anticipation of the next turn), and notes how long each
+   * avatar's trail was before the action moved it.
    *
    * @param {BaseAction} lastAction the last action used
    */
@@ -95,6 +111,30 @@ class Observer {
     this._lastAction = lastAction;
     this._lastHand = this._currentHand;
     this._lastPlayerId = this._currentPlayerId;
+    this._trailLengths = this._boardState
+      .getAvatars()
+      .reduce((acc, avatar) => Object.assign(acc, { [avatar.id]: avatar.getTrail().length }), {});
+  }
+
+  /**
+   * @private
+   * Gets the index of the first hop of each avatar's last move, which is
+   * where its trail ended before the last action. Avatars placed by the
+   * last action moved along the whole of their trail.
+   *
+   * @returns {object} the index of the first hop of each avatar's last
+   * move, by avatar ID
+   */
+  _getLastMoveStarts() {
+    if (!this._lastAction) {
+      return {};
+    }
+    return this._boardState
+      .getAvatars()
+      .reduce(
+        (acc, avatar) => Object.assign(acc, { [avatar.id]: this._trailLengths[avatar.id] || 0 }),
+        {}
+      );
   }
 
   /**
@@ -106,6 +146,19 @@ class Observer {
     this._deadPlayers.add(id);
   }
 
+  /**
+   * Marks the game as over, with the winners and losers decided by the
+   * referee.
+   *
+   * @param {string[][]} winners the player IDs of the winners of the game,
+   * separated by winner place
+   * @param {string[]} losers the player IDs of the losers of the game
+   */
+  endGame(winners, losers) {
+    this._winners = winners;
+    this._losers = losers;
+  }
+
   /**
    * @private
    * Renders an avatar icon at the given x-position.
@@ -138,10 +191,12 @@ class Observer {
 
     let avatarX = MARGIN + radius;
     Object.keys(this._playerColors).forEach(id => {
+      // Players are yet to place an avatar before their first turn
+      const boardAvatar = this._boardState.getAvatar(id);
       const avatar = avatarGroup
         .append('g')
         .attr('id', id)
-        .classed('dead', this._deadPlayers.has(id) || this._boardState.getAvatar(id).hasLost());
+        .classed('dead', this._deadPlayers.has(id) || (!!boardAvatar && boardAvatar.hasLost()));
 
       if (this._currentPlayerId === id) {
         this._renderAvatar(avatar, avatarX, 'avatar__highlight');
@@ -155,7 +210,8 @@ class Observer {
    * @private
    * Renders the last action to the given selection. This includes the player
    * to make the last action, the cards in the player's hand, and highlighting
-   * the tile that was chosen from the hand.
+   * the tile that was chosen from the hand. If the hand was hidden from the
+   * observer, only the chosen tile is shown.
    *
    * @param {d3.Selection} selection the selection to render the action to
    * @param {boolean} renderAsSvg whether this should render for SVG file
@@ -165,7 +221,8 @@ class Observer {
     if (this._lastAction) {
       let tileX = WIDTH - MARGIN;
 
-      this._lastHand.forEach(tile => {
+      const tiles = this._lastHand.length > 0 ? this._lastHand : [this._lastAction.tile];
+      tiles.forEach(tile => {
         tileX -= TILE_PREVIEW_SIZE;
 
         const tileGroup = selection.append('g');
@@ -239,15 +296,42 @@ class Observer {
     this._renderMeta(selection, renderAsSvg);
 
     const boardSize = WIDTH - 2 * MARGIN;
+    const boardY = HEIGHT - boardSize - MARGIN;
     this._boardState.render(
       selection,
       MARGIN,
-      HEIGHT - boardSize - MARGIN,
+      boardY,
       boardSize,
-      this._lastAction ? this._lastAction.coords : null
+      this._lastAction ? this._lastAction.coords : null,
+      this._getLastMoveStarts(),
+      this.shouldAnimateTrails
     );
   }
 
+  /**
+   * Renders the entire screen to a new SVG within the given selection,
+   * such as an element of a web page. The SVG carries its own styles, and
+   * scales to fit the width of its container.
+   *
+   * @param {d3.Selection} container the selection to render the SVG to
+   * @returns {d3.Selection} the rendered SVG
+   */
+  renderInto(container) {
+    const svg = container
+      .append('svg')
+      .attr('xmlns', SVG_NAMESPACE)
+      .attr('viewBox', `0 0 ${WIDTH} ${HEIGHT}`)
+      .attr('width', '100%');
+    svg
+      .append('defs')
+      .append('style')
+      .attr('type', 'text/css')
+      .text(styles);
+
+    this.render(svg);
+    return svg;
+  }
+
   /**
    * @private
    * Renders the given SVG string to an SVG at the given path.
@@ -262,24 +346,79 @@ class Observer {
   }
 
   /**
-   * Renders the current game state screen to a file at the
-   * given path.
+   * @private
+   * Renders the entire screen to a new SVG document. Each render starts
+   * from a new document, so the observer may be rendered again as the
+   * game goes on.
+   *
+   * @returns {d3.Selection} the rendered SVG
+   */
+  _renderDocument() {
+    this.d3Node = new D3Node({ styles });
+    this.d3 = this.d3Node.d3;
+    const svg = this.d3Node.createSVG(WIDTH, HEIGHT);
+    this.render(svg);
+    return svg;
+  }
+
+  /**
+   * Renders the current game state screen to a file at the given path,
+   * as an SVG or a PNG depending on its extension. PNGs are rasterized
+   * from the SVG.
    *
    * @param {string} path the path to render the state to
+   * @returns {Promise} a promise that resolves once a PNG is written
    */
   renderToFile(path) {
     const shouldCreateSvg = path.endsWith('svg');
-    if (!shouldCreateSvg) {
+    const shouldCreatePng = path.endsWith('png');
+    if (!shouldCreateSvg && !shouldCreatePng) {
       throw 'Cannot convert to given file type.';
     }
 
-    const svg = this.d3Node.createSVG(WIDTH, HEIGHT);
-    this.render(svg, shouldCreateSvg);
-    const svgString = this.d3Node.svgString();
-
+    const svg = this._renderDocument();
     if (shouldCreateSvg) {
-      this._renderToSvg(path, svgString);
+      this._renderToSvg(path, this.d3Node.svgString());
+      return Promise.resolve();
     }
+    return Rasterizer.writePng(Rasterizer.rasterize(svg.node()), path);
+  }
+
+  /**
+   * Records the current game state screen as the next frame of the game's
+   * animation. Frames are usually recorded once per turn.
+   */
+  recordFrame() {
+    if (!this._animation) {
+      this._animation = GIFEncoder();
+    }
+
+    const { data, width, height } = Rasterizer.rasterize(
+      this._renderDocument().node(),
+      FRAME_SCALE
+    );
+    const palette = quantize(data, FRAME_COLORS);
+    this._animation.writeFrame(applyPalette(data, palette), width, height, {
+      palette,
+      delay: FRAME_DELAY,
+    });
+  }
+
+  /**
+   * Renders every recorded frame to an animated GIF at the given path. No
+   * more frames may be recorded afterwards.
+   *
+   * @param {string} path the path to render the animation to
+   */
+  renderAnimationToFile(path) {
+    if (!path.endsWith('gif')) {
+      throw 'Cannot convert to given file type.';
+    } else if (!this._animation) {
+      throw 'No frames have been recorded.';
+    }
+
+    this._animation.finish();
+    fs.writeFileSync(path, Buffer.from(this._animation.bytes()));
   }
 }
 
@@ -0,0 +1,124 @@
+const Message = require('../Common/message');
+const { MESSAGE_ACTIONS } = require('../Common/utils/constants');
+
+class ProxyObserver {
+  /**
+   * @constructor
+   * Creates a new ProxyObserver, which streams every game event the referee
+   * gives its observers to a remote spectator's client. Spectators only
+   * ever receive messages; they have no say in the game.
+   *
+   * @param {string} id the unique ID of the observer
+   * @param {net.Socket} client the spectator's corresponding client
+   * @param {Logger} logger the server's logger to include new messages
+   */
+  constructor(id, client, logger) {
+    this.id = id;
+
+    this._client = client;
+    this.logger = logger;
+  }
+
+  /**
+   * @private
+   * Helper function for sending messages to the client. This will not send
+   * messages to clients that have been destroyed.
+   *
+   * @param {string} action the action identifier for the message
+   * @param {any} [payload] the payload of the message
+   */
+  _sendMessage(action, payload) {
+    if (!this._client.destroyed) {
+      const message = new Message(action, payload);
+      const stringMessage = message.toString();
+
+      this._client.write(stringMessage);
+      this.logger.logTo(this.id, stringMessage);
+    }
+  }
+
+  /**
+   * Sends the client a `SET_COLOR` message, with the id and color of the
+   * player as payload.
+   *
+   * @param {string} id the ID of the player
+   * @param {string} color the color of the player
+   */
+  setPlayerColor(id, color) {
+    this._sendMessage(MESSAGE_ACTIONS.SET_COLOR, { id, color });
+  }
+
+  /**
+   * Sends the client an `UPDATE_STATE` message, with the JSON
+   * representation of the latest board state as payload.
+   *
+   * @param {BoardState} boardState the current board state
+   */
+  updateState(boardState) {
+    this._sendMessage(MESSAGE_ACTIONS.UPDATE_STATE, boardState.toJson());
+  }
+
+  /**
+   * Sends the client an `UPDATE_CURRENT_PLAYER` message, with the ID of the
+   * player whose turn it currently is as payload.
+   *
+   * @param {string} currentPlayerId the current player's ID
+   */
+  updateCurrentPlayerId(currentPlayerId) {
+    this._sendMessage(MESSAGE_ACTIONS.UPDATE_CURRENT_PLAYER, currentPlayerId);
+  }
+
+  /**
+   * Sends the client an `UPDATE_TURN` message, with the turn number as
+   * payload.
+   *
+   * @param {number} currentTurn the current turn number
+   */
+  updateCurrentTurn(currentTurn) {
+    this._sendMessage(MESSAGE_ACTIONS.UPDATE_TURN, currentTurn);
+  }
+
+  /**
+   * Sends the client a `DEAL_HAND` message, with the tile indices of the
+   * current player's hand as payload.
+   *
+   * @param {Tile[]} currentHand the current player's hand
+   */
+  updateCurrentHand(currentHand) {
+    this._sendMessage(MESSAGE_ACTIONS.DEAL_HAND, currentHand.map(tile => tile.index));
+  }
+
+  /**
+   * Sends the client an `UPDATE_LAST_ACTION` message, with the JSON
+   * representation of the last action used as payload.
+   *
+   * @param {BaseAction} lastAction the last action used
+   */
+  updateLastAction(lastAction) {
+    this._sendMessage(MESSAGE_ACTIONS.UPDATE_LAST_ACTION, lastAction.toJson());
+  }
+
+  /**
+   * Sends the client an `ELIMINATE_PLAYER` message, with the ID of the
+   * player removed from play as payload.
+   *
+   * @param {string} id the ID of the removed player
+   */
+  removePlayer(id) {
+    this._sendMessage(MESSAGE_ACTIONS.ELIMINATE_PLAYER, id);
+  }
+
+  /**
+   * Sends the client a `GAME_OVER` message, with the given winners and
+   * losers as payload.
+   *
+   * @param {string[][]} winners the player IDs of the winners of the game,
+   * separated by winner place
+   * @param {string[]} losers the player IDs of the losers of the game
+   */
+  endGame(winners, losers) {
+    this._sendMessage(MESSAGE_ACTIONS.GAME_OVER, { winners, losers });
+  }
+}
+
+module.exports = ProxyObserver;
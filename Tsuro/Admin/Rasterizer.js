@@ -0,0 +1,385 @@
+const fs = require('fs');
+const path = require('path');
+const PImage = require('pureimage');
+
+const FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const FONTS = {
+  NORMAL: { family: 'DejaVu Sans', file: 'DejaVuSans.ttf' },
+  BOLD: { family: 'DejaVu Sans Bold', file: 'DejaVuSans-Bold.ttf' },
+};
+// CSS font weights from this one up are drawn in bold
+const BOLD_WEIGHT = 600;
+
+const DEFAULT_STYLE = {
+  fill: 'black',
+  stroke: 'none',
+  'stroke-width': '1',
+  'font-size': '16',
+  'font-weight': 'normal',
+  'text-anchor': 'start',
+};
+// Styles that are passed down from a group to the elements within it
+const INHERITED_STYLES = Object.keys(DEFAULT_STYLE);
+const STYLE_ATTRIBUTES = [...INHERITED_STYLES, 'opacity'];
+
+const PATH_COMMANDS = /[a-zA-Z][^a-zA-Z]*/g;
+const NUMBERS = /-?[\d.]+(e-?\d+)?/g;
+const PATH_ARGUMENTS = {
+  M: 2,
+  L: 2,
+  C: 6,
+  Z: 0,
+};
+// The HSL colors given to players past the base colors, which PureImage cannot parse
+const HSL_COLOR = /^hsl\(\s*([\d.]+)\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%\s*\)$/i;
+const MIN_LINE_WIDTH = 1;
+// The number of sides of the polygon circles are drawn as
+const CIRCLE_SIDES = 32;
+
+class Rasterizer {
+  /**
+   * @private @static
+   * Registers the fonts used to draw text, the first time any text is
+   * drawn.
+   */
+  static _loadFonts() {
+    if (!this._areFontsLoaded) {
+      Object.values(FONTS).forEach(({ family, file }) => {
+        PImage.registerFont(path.join(FONT_DIR, file), family).loadSync();
+      });
+      this._areFontsLoaded = true;
+    }
+  }
+
+  /**
+   * @private @static
+   * Parses the given CSS into a list of rules. Only class selectors are
+   * supported, such as `.tile-bg` or `.text.bold`.
+   *
+   * @param {string} css the CSS to parse
+   * @returns {object[]} the rules, each with the `classes` an element
+   * must have for it to apply, and the `declarations` it applies
+   */
+  static _parseStyles(css) {
+    const rules = [];
+    const blocks = /([^{}]+)\{([^{}]*)\}/g;
+    let block = blocks.exec(css);
+    while (block) {
+      const [, selectors, body] = block;
+      const declarations = body
+        .split(';')
+        .map(declaration => declaration.split(':').map(part => part.trim()))
+        .filter(([property, value]) => property && value)
+        .reduce((acc, [property, value]) => Object.assign(acc, { [property]: value }), {});
+
+      selectors.split(',').forEach(selector => {
+        const classes = selector
+          .trim()
+          .split('.')
+          .filter(name => name);
+        rules.push({ classes, declarations });
+      });
+      block = blocks.exec(css);
+    }
+    // Rules with more classes are more specific, so are applied last
+    return rules.sort((a, b) => a.classes.length - b.classes.length);
+  }
+
+  /**
+   * @private @static
+   * Gets the computed style of the given element. Presentation attributes
+   * are applied before the stylesheet rules, as in a browser. Opacity is
+   * not inherited; it is multiplied into the element's `alpha` instead.
+   *
+   * @param {Element} element the SVG element to style
+   * @param {object} inherited the computed style of the element's parent
+   * @param {object[]} rules the rules of the stylesheet
+   * @returns {object} the computed style of the element
+   */
+  static _getStyle(element, inherited, rules) {
+    const style = INHERITED_STYLES.reduce(
+      (acc, property) => Object.assign(acc, { [property]: inherited[property] }),
+      { opacity: '1' }
+    );
+    STYLE_ATTRIBUTES.forEach(property => {
+      if (element.hasAttribute(property)) {
+        style[property] = element.getAttribute(property);
+      }
+    });
+
+    const classes = (element.getAttribute('class') || '').split(/\s+/);
+    rules
+      .filter(rule => rule.classes.every(name => classes.includes(name)))
+      .forEach(rule => Object.assign(style, rule.declarations));
+
+    style.alpha = inherited.alpha * Number(style.opacity);
+    return style;
+  }
+
+  /**
+   * @private @static
+   * Gets a number attribute of the given element, scaled to the image.
+   *
+   * @param {Element} element the SVG element
+   * @param {string} name the name of the attribute
+   * @param {number} scale the scale of the image
+   * @returns {number} the scaled value, or 0 if the attribute is not set
+   */
+  static _getLength(element, name, scale) {
+    return (Number(element.getAttribute(name)) || 0) * scale;
+  }
+
+  /**
+   * @private @static
+   * Gets the given color in a form PureImage can paint with. HSL colors are
+   * converted to RGB; any other color is left as it is.
+   *
+   * @param {string} color the CSS color to convert
+   * @returns {string} the color to paint with
+   */
+  static _toPaintColor(color) {
+    const match = HSL_COLOR.exec(color);
+    if (!match) {
+      return color;
+    }
+    const hue = Number(match[1]) % 360;
+    const saturation = Number(match[2]) / 100;
+    const lightness = Number(match[3]) / 100;
+    const amount = saturation * Math.min(lightness, 1 - lightness);
+    const getChannel = n => {
+      const k = (n + hue / 30) % 12;
+      const value = lightness - amount * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+      return Math.round(value * 255);
+    };
+    return `rgb(${getChannel(0)}, ${getChannel(8)}, ${getChannel(4)})`;
+  }
+
+  /**
+   * @private @static
+   * Traces the given SVG path data on the context. Only the absolute
+   * `M`, `L`, `C` and `Z` commands are supported, which are those D3's
+   * line generator produces.
+   *
+   * @param {Context} ctx the context to trace the path on
+   * @param {string} data the `d` attribute of the path
+   * @param {number} scale the scale of the image
+   */
+  static _tracePath(ctx, data, scale) {
+    ctx.beginPath();
+    let current = [];
+    (data.match(PATH_COMMANDS) || []).forEach(command => {
+      const name = command.charAt(0);
+      const values = (command.match(NUMBERS) || []).map(value => Number(value) * scale);
+      if (!(name in PATH_ARGUMENTS)) {
+        throw `Cannot rasterize path command ${name}.`;
+      }
+
+      const count = PATH_ARGUMENTS[name];
+      if (name === 'Z') {
+        ctx.closePath();
+      }
+      for (let i = 0; count > 0 && i + count <= values.length; i += count) {
+        const point = values.slice(i, i + count);
+        // Segments that go nowhere cannot be given a stroke width, so are skipped
+        const isEmpty = point.every((value, j) => value === current[j % 2]);
+        if (name === 'M' && i === 0) {
+          ctx.moveTo(...point);
+        } else if (name === 'C' && !isEmpty) {
+          ctx.bezierCurveTo(...point);
+        } else if (!isEmpty) {
+          ctx.lineTo(...point);
+        }
+        current = point.slice(-2);
+      }
+    });
+  }
+
+  /**
+   * @private @static
+   * Traces the closed polygon through the given points on the context.
+   * The context's own `rect` and `arc` are not used, as the zero-length
+   * segments they end with cannot be stroked.
+   *
+   * @param {Context} ctx the context to trace the polygon on
+   * @param {number[][]} points the `[x, y]` corners of the polygon
+   */
+  static _tracePolygon(ctx, points) {
+    ctx.beginPath();
+    points.forEach((point, i) => (i === 0 ? ctx.moveTo(...point) : ctx.lineTo(...point)));
+    ctx.closePath();
+  }
+
+  /**
+   * @private @static
+   * Fills, then strokes, the shape most recently traced on the context
+   * with the given style.
+   *
+   * @param {Context} ctx the context to paint on
+   * @param {object} style the computed style of the shape
+   * @param {number} scale the scale of the image
+   */
+  static _paintShape(ctx, style, scale) {
+    ctx.globalAlpha = style.alpha;
+    if (style.fill !== 'none') {
+      ctx.fillStyle = this._toPaintColor(style.fill);
+      ctx.fill();
+    }
+    if (style.stroke !== 'none') {
+      ctx.strokeStyle = this._toPaintColor(style.stroke);
+      // Strokes thinner than a pixel would vanish, so are kept one pixel wide
+      ctx.lineWidth = Math.max(Number(style['stroke-width']) * scale, MIN_LINE_WIDTH);
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * @private @static
+   * Sets the font of the context to the font of the given style.
+   *
+   * @param {Context} ctx the context to draw text on
+   * @param {object} style the computed style of the text
+   * @param {number} scale the scale of the image
+   */
+  static _setFont(ctx, style, scale) {
+    const weight = style['font-weight'];
+    const isBold = weight === 'bold' || Number(weight) >= BOLD_WEIGHT;
+    const { family } = isBold ? FONTS.BOLD : FONTS.NORMAL;
+    ctx.font = `${parseFloat(style['font-size']) * scale} ${family}`;
+  }
+
+  /**
+   * @private @static
+   * Draws the given text element, with any `tspan` elements within it, on
+   * the context. The text is placed at its `dx` and `dy`, and anchored by
+   * its `text-anchor`.
+   *
+   * @param {Context} ctx the context to draw on
+   * @param {Element} element the `text` element
+   * @param {object} style the computed style of the text
+   * @param {object[]} rules the rules of the stylesheet
+   * @param {number} scale the scale of the image
+   */
+  static _drawText(ctx, element, style, rules, scale) {
+    this._loadFonts();
+    const runs = Array.from(element.childNodes)
+      .map(node =>
+        node.nodeType === node.TEXT_NODE
+          ? { text: node.textContent, style }
+          : { text: node.textContent, style: this._getStyle(node, style, rules) }
+      )
+      .filter(({ text }) => text.length > 0);
+
+    const widths = runs.map(run => {
+      this._setFont(ctx, run.style, scale);
+      return ctx.measureText(run.text).width;
+    });
+    const totalWidth = widths.reduce((acc, width) => acc + width, 0);
+    const anchorOffset = { middle: totalWidth / 2, end: totalWidth }[style['text-anchor']] || 0;
+
+    let x = this._getLength(element, 'x', scale) + this._getLength(element, 'dx', scale);
+    x -= anchorOffset;
+    const y = this._getLength(element, 'y', scale) + this._getLength(element, 'dy', scale);
+    ctx.textAlign = 'left';
+    runs.forEach((run, i) => {
+      this._setFont(ctx, run.style, scale);
+      ctx.globalAlpha = run.style.alpha;
+      ctx.fillStyle = this._toPaintColor(run.style.fill);
+      ctx.fillText(run.text, x, y);
+      x += widths[i];
+    });
+  }
+
+  /**
+   * @private @static
+   * Paints the given SVG element, and every element within it, on the
+   * context.
+   *
+   * @param {Context} ctx the context to paint on
+   * @param {Element} element the SVG element to paint
+   * @param {object} inherited the computed style of the element's parent
+   * @param {object[]} rules the rules of the stylesheet
+   * @param {number} scale the scale of the image
+   */
+  static _paint(ctx, element, inherited, rules, scale) {
+    const style = this._getStyle(element, inherited, rules);
+    const length = name => this._getLength(element, name, scale);
+
+    switch (element.tagName.toLowerCase()) {
+      case 'svg':
+      case 'g':
+        Array.from(element.children).forEach(child => {
+          this._paint(ctx, child, style, rules, scale);
+        });
+        break;
+      case 'rect': {
+        const [x, y] = [length('x'), length('y')];
+        const [right, bottom] = [x + length('width'), y + length('height')];
+        this._tracePolygon(ctx, [[x, y], [right, y], [right, bottom], [x, bottom]]);
+        this._paintShape(ctx, style, scale);
+        break;
+      }
+      case 'circle': {
+        const [cx, cy, r] = [length('cx'), length('cy'), length('r')];
+        const angles = [...Array(CIRCLE_SIDES).keys()].map(i => (i / CIRCLE_SIDES) * 2 * Math.PI);
+        this._tracePolygon(
+          ctx,
+          angles.map(angle => [cx + r * Math.cos(angle), cy + r * Math.sin(angle)])
+        );
+        this._paintShape(ctx, style, scale);
+        break;
+      }
+      case 'path':
+        this._tracePath(ctx, element.getAttribute('d'), scale);
+        this._paintShape(ctx, style, scale);
+        break;
+      case 'text':
+        this._drawText(ctx, element, style, rules, scale);
+        break;
+      default:
+        // Definitions, such as the stylesheet, are not drawn
+        break;
+    }
+  }
+
+  /**
+   * @static
+   * Rasterizes the given SVG element into a bitmap. The styles of the SVG
+   * are read from the `style` elements within it.
+   *
+   * @param {Element} svg the SVG element to rasterize
+   * @param {number} [scale=1] the scale to rasterize the SVG at
+   * @returns {Bitmap} the rasterized image
+   */
+  static rasterize(svg, scale = 1) {
+    const width = Math.round(this._getLength(svg, 'width', scale));
+    const height = Math.round(this._getLength(svg, 'height', scale));
+    const image = PImage.make(width, height);
+    const ctx = image.getContext('2d');
+    // New images start out black, but anything an SVG does not draw on is clear
+    ctx.clearRect(0, 0, width, height);
+    // Shapes are filled at the bottom edge of each row of pixels rather than
+    // its middle, so everything is moved up half a pixel to line up
+    ctx.translate(0, -0.5);
+
+    const css = Array.from(svg.getElementsByTagName('style'))
+      .map(style => style.textContent)
+      .join('\n');
+    const rules = this._parseStyles(css);
+    this._paint(ctx, svg, Object.assign({ alpha: 1 }, DEFAULT_STYLE), rules, scale);
+    return image;
+  }
+
+  /**
+   * @static @async
+   * Writes the given image to a PNG at the given path.
+   *
+   * @param {Bitmap} image the image to write
+   * @param {string} filePath the path to write the PNG to
+   * @returns {Promise} a promise that resolves once the PNG is written
+   */
+  static writePng(image, filePath) {
+    return PImage.encodePNGToStream(image, fs.createWriteStream(filePath));
+  }
+}
+
+module.exports = Rasterizer;
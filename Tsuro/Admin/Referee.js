@@ -1,22 +1,81 @@
-const { Board, RuleChecker, SimpleTile } = require('../Common');
+const Deck = require('./Deck');
+const GameRecord = require('./GameRecord');
+const TimingPolicy = require('./TimingPolicy');
+const Visibility = require('./Visibility');
+const { Board, GameConfig, Random, RuleSet } = require('../Common');
 const { incrementIndex } = require('../Common/utils');
-const { COLORS } = require('../Common/utils/constants');
-const { tiles } = require('../Common/__tests__');
+const { ELIMINATION_REASONS, RULE_MODES } = require('../Common/utils/constants');
 
-const COLOR_SET = [COLORS.WHITE, COLORS.BLACK, COLORS.RED, COLORS.GREEN, COLORS.BLUE];
+const CLASSIC_HAND_SIZE = 3;
+// Keeps the board events' random numbers apart from the deck's
+const EVENT_SEED_MASK = 0x9e3779b9;
+const OUT_OF_TIME = 'Out of time';
 
 class Referee {
   /**
    * @constructor
-   * Creates a new Referee with a new board and no players.
+   * Creates a new Referee with a new board, a newly shuffled deck, and no
+   * players.
    *
    * @param {Logger} logger the server's logger to add new messages
+   * @param {object} [options={}] the game options
+   * @param {number} [options.seed] the seed for shuffling the deck; games
+   * with the same seed will be dealt the same tiles
+   * @param {boolean} [options.noRepeat=false] whether every tile should be
+   * dealt before any tile is dealt again
+   * @param {GameConfig|object} [options.config] the board size and player
+   * limits of the game, or the options to create them with
+   * @param {string} [options.rules='standard'] the rules mode of the game,
+   * one of `RULE_MODES`. In standard rules, a fresh hand is dealt every
+   * turn from an endless deck. In classic rules, players keep a hand of
+   * three tiles drawn from a finite deck, and the dragon tile decides who
+   * draws first once the deck runs out
+   * @param {object[]} [options.boardEvents=[]] the board events to run at
+   * the end of every turn, such as `SeasRules`. Each has an
+   * `apply(board, random)` method, which may change the board using the
+   * given seeded random number generator, and a `toJson` method, giving
+   * its type and options for the game record
+   * @param {RuleSet|object} [options.ruleSet] the rules to check every
+   * action against, or the house rules to create them with; the standard
+   * rules if not given
+   * @param {TimingPolicy|object} [options.timing] how long players have to
+   * give each action, or the options to create it with; ten seconds for
+   * every action if not given
    */
-  constructor(logger) {
+  constructor(logger, options = {}) {
+    const {
+      seed,
+      noRepeat = false,
+      config,
+      rules = RULE_MODES.STANDARD,
+      boardEvents = [],
+      ruleSet,
+      timing,
+    } = options;
+    if (!Object.values(RULE_MODES).includes(rules)) {
+      throw 'Invalid rules mode';
+    }
+
     this.logger = logger;
-    this.board = new Board();
+    this.rules = rules;
+    this.config = config instanceof GameConfig ? config : new GameConfig(config);
+    this.ruleSet = ruleSet instanceof RuleSet ? ruleSet : new RuleSet(ruleSet);
+    this.timing = timing instanceof TimingPolicy ? timing : new TimingPolicy(timing);
+    this.visibility = new Visibility(rules);
+    this.colors = this.config.getColors();
+    this.board = new Board(null, this.config);
+    this.deck = new Deck(seed, noRepeat, this._isClassic());
+    this.record = new GameRecord(
+      this.deck.seed,
+      noRepeat,
+      this.config,
+      rules,
+      this.ruleSet,
+      boardEvents.map(boardEvent => boardEvent.toJson())
+    );
+    this.boardEvents = boardEvents;
+    this._eventRandom = new Random(this.deck.seed ^ EVENT_SEED_MASK);
     this.currentPlayerIdx = -1;
-    this.deckIdx = 0;
     this.currentTurn = 0;
     this._hasGameStarted = false;
 
@@ -26,11 +85,27 @@ class Referee {
     this.rejectedPlayers = [];
     this.removedPlayersForTurn = {};
 
+    this.hands = {};
+    this.dragonHolderId = null;
+
+    this.clocks = {};
+
     this.observerMap = {};
   }
 
   /**
-   * Adds an observer to the current game.
+   * @private
+   * Checks whether the game is played with classic rules.
+   *
+   * @returns {boolean} whether the rules mode is classic
+   */
+  _isClassic() {
+    return this.rules === RULE_MODES.CLASSIC;
+  }
+
+  /**
+   * Adds an observer to the current game, and catches it up on the players'
+   * colors, the players removed so far and the current state of the game.
    *
    * @param {Observer} observer the observer to add to the game
    */
@@ -39,8 +114,22 @@ class Referee {
     this.observerMap[id] = observer;
 
     this.playerIds.forEach(playerId => {
-      observer.setColor(playerId, this.playerMap[playerId].getColor());
+      observer.setPlayerColor(playerId, this.playerMap[playerId].getColor());
+      if (!this.currentPlayers[playerId]) {
+        observer.removePlayer(playerId);
+      }
     });
+    observer.updateState(this.visibility.getObserverState(this.board.getState()));
+    observer.updateCurrentTurn(this.currentTurn);
+  }
+
+  /**
+   * Removes the observer of the given ID from the current game.
+   *
+   * @param {string} id the ID of the observer to remove
+   */
+  removeObserver(id) {
+    delete this.observerMap[id];
   }
 
   /**
@@ -66,18 +155,20 @@ class Referee {
   }
 
   /**
-   * Adds a player to the current game, and sets their color.
+   * Adds a player to the current game, tells them the rules of the game,
+   * and sets their color.
    *
    * @param {Player} player the player to add to the game
    * @returns {string} the color the player was set to
    */
   addPlayer(player) {
     const playerIdx = this.playerIds.length;
-    if (playerIdx >= COLOR_SET.length) {
+    if (playerIdx >= this.config.maxPlayers) {
       throw 'Max players already added.';
     }
     const { id } = player;
-    const color = COLOR_SET[playerIdx];
+    player.setRuleSet(this.ruleSet);
+    const color = this.colors[playerIdx];
     player.setColor(id, color);
 
     this.playerIds.forEach(playerId => {
@@ -95,6 +186,8 @@ class Referee {
     this.playerMap[id] = player;
     this.currentPlayers[id] = player;
     this.playerIds.push(id);
+    this.clocks[id] = this.timing.getStartingClock();
+    this.record.addPlayer(id, color);
 
     return color;
   }
@@ -132,43 +225,180 @@ class Referee {
 
   /**
    * @private
-   * Gets a hand of the given size to give to the player.
+   * Checks whether the player of the given ID is still in play; that is,
+   * they have not been removed, and their avatar has not lost.
    *
+   * @param {string} id the ID of the player
+   * @returns {boolean} whether the player is still in play
+   */
+  _isInPlay(id) {
+    const avatar = this.board.getAvatar(id);
+    return !!this.currentPlayers[id] && (!avatar || !avatar.hasLost());
+  }
+
+  /**
+   * @private
+   * Gets a hand of the given size to give to the player. In classic rules,
+   * this is the player's own hand, regardless of size.
+   *
+   * @param {Player} player the player to give the hand to
    * @param {number} size the preferred size of the hand
    * @returns {Tile[]} the hand of tiles
    */
-  _getHand(size) {
-    const hand = [];
-    for (let i = 0; i < size; i++) {
-      hand.push(new SimpleTile(this.deckIdx));
-      this.deckIdx = incrementIndex(this.deckIdx, tiles);
+  _getHand(player, size) {
+    if (this._isClassic()) {
+      return this.hands[player.id].slice();
+    }
+    return this.deck.drawHand(size);
+  }
+
+  /**
+   * @private
+   * Gets the ID of the next player in turn order after the given player
+   * who is in play and short of a full hand, ending with the given player.
+   *
+   * @param {string} id the ID of the player to start after
+   * @returns {string|null} the ID of the next short player, or null if no
+   * player is short
+   */
+  _getNextShortPlayerId(id) {
+    const startIdx = this.playerIds.indexOf(id);
+    for (let i = 1; i <= this.playerIds.length; i++) {
+      const nextId = this.playerIds[(startIdx + i) % this.playerIds.length];
+      if (this._isInPlay(nextId) && this.hands[nextId].length < CLASSIC_HAND_SIZE) {
+        return nextId;
+      }
     }
-    return hand;
+    return null;
+  }
+
+  /**
+   * @private
+   * Draws a tile from the deck into the hand of the player of the given ID.
+   * If the deck is empty, the player takes the dragon tile instead, unless
+   * another player already holds it.
+   *
+   * @param {string} id the ID of the player
+   */
+  _drawTile(id) {
+    if (!this.deck.isEmpty()) {
+      this.hands[id].push(this.deck.draw());
+    } else if (!this.dragonHolderId) {
+      this.dragonHolderId = id;
+      this.logger.forPlayer(id).info('has taken the dragon tile.');
+    }
+  }
+
+  /**
+   * @private
+   * Deals the deck out to players who are short of a full hand, one tile at
+   * a time. The dragon holder draws first, and then passes the dragon tile
+   * on to the next short player, until the deck is empty or no player is
+   * short.
+   */
+  _dealFromDragon() {
+    while (this.dragonHolderId && !this.deck.isEmpty()) {
+      const id = this.dragonHolderId;
+      this.hands[id].push(this.deck.draw());
+      this.dragonHolderId = this._getNextShortPlayerId(id);
+    }
+  }
+
+  /**
+   * @private
+   * Returns the hand of the player of the given ID to the deck, as they are
+   * out of play, and passes on the dragon tile if they held it. The
+   * returned tiles are then dealt out from the dragon.
+   *
+   * @param {string} id the ID of the player
+   */
+  _returnHand(id) {
+    const hand = this.hands[id] || [];
+    this.hands[id] = [];
+    if (hand.length > 0) {
+      this.deck.returnTiles(hand);
+    }
+    if (this.dragonHolderId === id) {
+      this.dragonHolderId = this._getNextShortPlayerId(id);
+    }
+    this._dealFromDragon();
+  }
+
+  /**
+   * @private
+   * Removes the given tile from the hand of the player of the given ID, in
+   * any rotation.
+   *
+   * @param {string} id the ID of the player
+   * @param {Tile} tile the tile played
+   */
+  _playFromHand(id, tile) {
+    const hand = this.hands[id];
+    const idx = hand.findIndex(handTile => handTile.isEqualToRotated(tile));
+    hand.splice(idx, 1);
+  }
+
+  /**
+   * @private
+   * Settles every hand after the given player's action in classic rules.
+   * The hands of players knocked out of play go back to the deck, and the
+   * player draws a tile if they are still in play.
+   *
+   * @param {Player} player the player who took the action
+   */
+  _settleClassicHands(player) {
+    this.playerIds
+      .filter(id => this.currentPlayers[id] && !this._isInPlay(id))
+      .forEach(id => {
+        this._returnHand(id);
+      });
+    if (this._isInPlay(player.id) && !this.dragonHolderId) {
+      this._drawTile(player.id);
+    }
+    this._dealFromDragon();
+  }
+
+  /**
+   * @private
+   * Deals every player their starting hand in classic rules, in turn order.
+   */
+  _dealClassicHands() {
+    this.playerIds.forEach(id => {
+      this.hands[id] = [];
+      for (let i = 0; i < CLASSIC_HAND_SIZE; i++) {
+        this._drawTile(id);
+      }
+    });
   }
 
   /**
    * @private
    * Starts a player's turn by updating their board state, setting their
-   * turn status to current, and giving them their hand.
+   * turn status to current, and giving them their hand. Observers are only
+   * shown as much of the hand as they are allowed to see.
    *
    * @param {Player} player the player to start-up
    * @param {number} handSize the size of the player's hand
+   * @param {boolean} [isInitial=false] whether the player is to make an
+   * initial action
    * @returns {BoardState} the current board state
    */
-  _startPlayerTurn(player, handSize) {
-    this.logger.debug(player.id, 'has started their turn.');
+  _startPlayerTurn(player, handSize, isInitial = false) {
+    this.logger.forPlayer(player.id).debug('has started their turn.');
     this.currentTurn += 1;
     const boardState = this.board.getState();
-    player.updateState(boardState);
+    player.updateState(this.visibility.getPlayerState(boardState));
     player.setTurnStatus(true);
-    const hand = this._getHand(handSize);
+    const hand = this._getHand(player, handSize);
     player.receiveHand(hand);
+    this.record.addTurn(this.currentTurn, player.id, isInitial, hand);
 
+    const observerHand = this.visibility.getObserverHand(hand);
     this._updateObservers(observer => {
-      observer.updateState(boardState);
+      observer.updateState(this.visibility.getObserverState(boardState));
       observer.updateCurrentTurn(this.currentTurn);
       observer.updateCurrentPlayerId(player.id);
-      observer.updateCurrentHand(hand);
+      observer.updateCurrentHand(observerHand);
     });
 
     return boardState;
@@ -176,73 +406,55 @@ class Referee {
 
   /**
    * @private
-   * Checks if the given action is legal for the given player, that is it
-   * can be placed on the board at all.
-   *
-   * @param {BoardState} boardState the current state of the board
-   * @param {Player} player the player to check legality for
-   * @param {BaseAction} action the action to check legality for
-   * @param {boolean} [isInitial=false] whether the given action is
-   * initial or intermediate
-   * @returns {boolean} whether the given action is legal for the
-   * given player
-   */
-  _checkForActionLegality(boardState, player, action, isInitial = false) {
-    const isLegal = RuleChecker.checkPlacementLegality(boardState, action, player);
-    if (isInitial) {
-      return (
-        isLegal ||
-        RuleChecker.canPlaceAvatar(
-          boardState,
-          player.id,
-          action.coords,
-          action.tile,
-          action.position
-        )
-      );
-    }
-
-    return isLegal;
-  }
-
-  /**
-   * @private
-   * Checks if the given action is valid for the given player, that is it
-   * doesn't result in player suicide.
-   *
-   * @param {BoardState} boardState the current state of the board
-   * @param {Player} player the player to check validity for
-   * @param {BaseAction} action the action to check validity for
-   * @param {boolean} [isInitial=false] whether the given action is
-   * initial or intermediate
-   * @returns {boolean} whether the given action is valid for the
-   * given player
-   */
-  _checkForActionValidity(boardState, player, action, isInitial = false) {
-    if (isInitial) {
-      return true;
-    }
-    return RuleChecker.checkPlacementValidity(boardState, action, player);
+   * Runs every board event on the board, in order.
+   */
+  _runBoardEvents() {
+    this.boardEvents.forEach(boardEvent => {
+      boardEvent.apply(this.board, this._eventRandom);
+    });
   }
 
   /**
    * @private
    * Ends a player's turn by clearing their hand, setting their turn status
-   * to waiting, and updating all players' board states.
+   * to waiting, running the board events, and updating all players' board
+   * states.
    *
    * @param {Player} player the player to close out
    */
   _endPlayerTurn(player) {
     player.clearHand();
     player.setTurnStatus(false);
+    this._runBoardEvents();
     const boardState = this.board.getState();
     this.playerIds.forEach(id => {
-      this.playerMap[id].updateState(boardState);
+      this.playerMap[id].updateState(this.visibility.getPlayerState(boardState));
     });
     this._updateObservers(observer => {
-      observer.updateState(boardState);
+      observer.updateState(this.visibility.getObserverState(boardState));
     });
-    this.logger.debug(player.id, 'has ended their turn.');
+    this.logger.forPlayer(player.id).debug('has ended their turn.');
+  }
+
+  /**
+   * @private
+   * Gets the reason a player is being removed from play, to be recorded.
+   *
+   * @param {boolean} fromLegalMove whether the player is removed for a
+   * legal move
+   * @param {boolean} permanent whether the player is removed permanently
+   * @param {boolean} timedOut whether the player ran out of time
+   * @returns {string} the reason for removal, one of `ELIMINATION_REASONS`
+   */
+  _getEliminationReason(fromLegalMove, permanent, timedOut) {
+    if (permanent) {
+      return ELIMINATION_REASONS.DISCONNECT;
+    } else if (timedOut) {
+      return ELIMINATION_REASONS.TIMEOUT;
+    } else if (fromLegalMove) {
+      return ELIMINATION_REASONS.LEGAL_MOVE;
+    }
+    return ELIMINATION_REASONS.ILLEGAL_MOVE;
   }
 
   /**
@@ -252,8 +464,10 @@ class Referee {
    * @param {boolean} [fromLegalMove=true] will add to rejected players if false
    * @param {boolean} [permanent=false] whether the player should be removed
    * permanently from the game (e.g.: client has disconnected from game)
+   * @param {boolean} [timedOut=false] whether the player is removed for
+   * running out of time, which is recorded apart from illegal moves
    */
-  removePlayer(playerId, fromLegalMove = true, permanent = false) {
+  removePlayer(playerId, fromLegalMove = true, permanent = false, timedOut = false) {
     if (this.currentPlayers[playerId]) {
       delete this.currentPlayers[playerId];
 
@@ -261,7 +475,14 @@ class Referee {
         const playerIndex = this.playerIds.findIndex(id => id === playerId);
         this.playerIds.splice(playerIndex, 1);
         delete this.playerMap[playerId];
+        this.record.removePlayer(playerId);
       } else {
+        this.record.addElimination(
+          this.currentTurn,
+          playerId,
+          this._getEliminationReason(fromLegalMove, permanent, timedOut)
+        );
+
         if (fromLegalMove) {
           this.removedPlayersForTurn[this.currentTurn] = [
             ...(this.removedPlayersForTurn[this.currentTurn] || []),
@@ -271,6 +492,10 @@ class Referee {
           this.rejectedPlayers.push(playerId);
         }
 
+        if (this._isClassic()) {
+          this._returnHand(playerId);
+        }
+
         const player = this.playerMap[playerId];
         player.lose(fromLegalMove);
         this._updateObservers(observer => {
@@ -293,25 +518,75 @@ class Referee {
     const { coords, position, tile } = action;
     if (isInitial) {
       try {
-        this.board.placeInitialTileAvatar(player, tile, coords, position);
+        const { allowInitialNeighbors } = this.ruleSet;
+        this.board.placeInitialTileAvatar(player, tile, coords, position, allowInitialNeighbors);
       } catch (err) {
         this.removePlayer(player.id);
       }
     } else {
       this.board.placeTile(tile, coords);
     }
+    if (this._isClassic()) {
+      this._settleClassicHands(player);
+    }
     this._updateObservers(observer => {
       observer.updateLastAction(action);
     });
     this._endPlayerTurn(player);
   }
 
+  /**
+   * @private @async
+   * Gets the given player's action, allowing them only as much time as the
+   * timing policy gives. The player is told the time they have left, and
+   * their clock is charged for the time they took. Throws if the player
+   * runs out of time. Local strategies that search without yielding, such
+   * as the lookahead and Monte Carlo tree search strategies, never let the
+   * timer fire, so their overruns are only caught once they give their
+   * action, by the time they took.
+   *
+   * @param {Player} player the player to prompt for action
+   * @param {boolean} isInitial whether to prompt for an initial or
+   * intermediate action
+   * @returns {BaseAction} the player's action
+   */
+  async _getTimedAction(player, isInitial) {
+    const { id } = player;
+    const timeLeft = this.timing.getTimeLeft(this.clocks[id]);
+    if (timeLeft === null) {
+      return player.getAction(isInitial, timeLeft);
+    }
+
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(OUT_OF_TIME), Math.max(timeLeft, 0));
+    });
+    const startTime = Date.now();
+    try {
+      const action = await Promise.race([player.getAction(isInitial, timeLeft), timeout]);
+      const elapsed = Date.now() - startTime;
+      if (elapsed > timeLeft) {
+        throw OUT_OF_TIME;
+      }
+      this.clocks[id] = this.timing.chargeClock(this.clocks[id], elapsed);
+      return action;
+    } catch (err) {
+      if (err === OUT_OF_TIME) {
+        player.cancelAction(true);
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   /**
    * @private
    * Plays through an entire player's turn, from start to end. This will start
    * the player's turn, prompt them for action, and check for legality and
-   * validity. If the action isn't legal or valid, the player will be removed
-   * from play. Regardless, if the action is legal, the action will be played.
+   * validity. If the action isn't legal or valid, or isn't given in time, the
+   * player will be removed from play. Regardless, if the action is legal, the
+   * action will be played.
    *
    * @param {Player} player the player to prompt for action
    * @param {boolean} [isInitial=false] whether to prompt for an initial or
@@ -319,12 +594,16 @@ class Referee {
    */
   async _promptPlayerForAction(player, isInitial = false) {
     const handSize = isInitial ? 3 : 2;
-    const boardState = this._startPlayerTurn(player, handSize);
+    const boardState = this._startPlayerTurn(player, handSize, isInitial);
 
     try {
-      const action = await player.getAction(isInitial);
-      const isLegal = this._checkForActionLegality(boardState, player, action, isInitial);
-      const isValid = this._checkForActionValidity(boardState, player, action, isInitial);
+      const action = await this._getTimedAction(player, isInitial);
+      this.record.setAction(action);
+      const isLegal = this.ruleSet.isActionLegal(boardState, player, action, isInitial);
+      const isValid = this.ruleSet.isActionValid(boardState, player, action, isInitial);
+      if (isLegal && this._isClassic()) {
+        this._playFromHand(player.id, action.tile);
+      }
       if (!isValid || !isLegal) {
         this.removePlayer(player.id, isLegal);
       }
@@ -332,7 +611,10 @@ class Referee {
         this._usePlayerAction(player, action, isInitial);
       }
     } catch (err) {
-      this.removePlayer(player.id, false);
+      if (err === OUT_OF_TIME) {
+        this.logger.forPlayer(player.id).warn('has run out of time.');
+      }
+      this.removePlayer(player.id, false, false, err === OUT_OF_TIME);
     }
   }
 
@@ -342,7 +624,8 @@ class Referee {
    * playing, their turn will be skipped. If the player doesn't have an avatar on
    * the board, they will be prompted for an initial action. If they do have an
    * avatar and can move, they will be prompted for an intermediate action. If
-   * neither, they will be removed from play.
+   * neither, they will be removed from play. In classic rules, players still
+   * in play with no tiles in hand pass their turn.
    */
   async _nextPlayer() {
     this.currentPlayerIdx = incrementIndex(this.currentPlayerIdx, this.playerIds);
@@ -350,7 +633,9 @@ class Referee {
     const player = this.currentPlayers[id];
 
     if (player) {
-      if (!this._hasAvatar(player)) {
+      if (this._isClassic() && this._isInPlay(id) && this.hands[id].length === 0) {
+        this.logger.forPlayer(id).info('has no tiles, and has passed their turn.');
+      } else if (!this._hasAvatar(player)) {
         await this._promptPlayerForAction(player, true);
       } else if (this._canPlayerMove(player)) {
         await this._promptPlayerForAction(player);
@@ -362,12 +647,21 @@ class Referee {
 
   /**
    * Checks whether the game is over yet, that is if one or no players
-   * are left on the board.
+   * are left on the board. In classic rules, the game is also over once
+   * every tile has been placed, and every player left is still in play.
    *
    * @returns {boolean} whether the game is over yet
    */
   isGameOver() {
-    return Object.keys(this.currentPlayers).length <= 1;
+    const ids = Object.keys(this.currentPlayers);
+    if (ids.length <= 1) {
+      return true;
+    }
+    return (
+      this._isClassic() &&
+      this.deck.isEmpty() &&
+      ids.every(id => this._isInPlay(id) && this.hands[id].length === 0)
+    );
   }
 
   /**
@@ -399,17 +693,31 @@ class Referee {
     return this.rejectedPlayers.slice();
   }
 
+  /**
+   * Gets the record of the game so far, which can be saved and replayed
+   * with the `Replayer`.
+   *
+   * @returns {GameRecord} the record of the game
+   */
+  getRecord() {
+    return this.record;
+  }
+
   /**
    * @private
-   * Notifies all players that the game is now over, and which players have
-   * won the game.
+   * Notifies all players and observers that the game is now over, and which
+   * players have won the game.
    */
   _notifyPlayersOfGameOver() {
     const winners = this.getWinners();
     const losers = this.getLosers();
+    this.record.setResult(this.board.getState(), winners, losers);
     this.playerIds.forEach(id => {
       this.playerMap[id].endGame(winners, losers);
     });
+    this._updateObservers(observer => {
+      observer.endGame(winners, losers);
+    });
   }
 
   /**
@@ -424,6 +732,10 @@ class Referee {
       }
 
       this._hasGameStarted = true;
+      this.logger.info('Game is using deck seed', this.deck.seed);
+      if (this._isClassic()) {
+        this._dealClassicHands();
+      }
 
       while (!this.isGameOver()) {
         await this._nextPlayer();
@@ -0,0 +1,113 @@
+const GameRecord = require('./GameRecord');
+const Referee = require('./Referee');
+const ReplayPlayer = require('../Player/ReplayPlayer');
+const { SeasRules } = require('../Common');
+const { BOARD_EVENTS, ELIMINATION_REASONS, TIMING_MODES } = require('../Common/utils/constants');
+
+const BOARD_EVENT_MAP = {
+  [BOARD_EVENTS.SEAS]: SeasRules,
+};
+
+class Replayer {
+  /**
+   * @constructor
+   * Creates a new Replayer for the given game record. The replayed game
+   * has no time limit, as the record already shows who ran out of time.
+   * The board events of the recorded game are created anew from their
+   * recorded types and options.
+   *
+   * @param {GameRecord|object} record the game record to replay, or its
+   * JSON-ified version
+   * @param {Logger} logger the logger for the replayed game's referee
+   */
+  constructor(record, logger) {
+    this.record = record instanceof GameRecord ? record : GameRecord.fromJson(record);
+    const boardEvents = this.record.boardEvents.map(boardEvent => {
+      const BoardEvent = BOARD_EVENT_MAP[boardEvent.type];
+      if (!BoardEvent) {
+        throw `Unknown board event: ${boardEvent.type}`;
+      }
+      return BoardEvent.fromJson(boardEvent);
+    });
+    this.referee = new Referee(logger, {
+      seed: this.record.seed,
+      noRepeat: this.record.noRepeat,
+      config: this.record.config,
+      rules: this.record.rules,
+      ruleSet: this.record.ruleSet,
+      boardEvents,
+      timing: { mode: TIMING_MODES.UNLIMITED },
+    });
+  }
+
+  /**
+   * @private
+   * Gets a callback function for ReplayPlayers, which removes all players
+   * that disconnected or ran out of time during the given turn. Both can
+   * only happen while the referee is waiting on an action, so they are
+   * replayed right before the action of that turn is given.
+   *
+   * @returns {function} a callback function that, given a recorded turn,
+   * removes the players that disconnected or ran out of time during it
+   */
+  _getRemovalCallback() {
+    return ({ turn }) => {
+      this.record.eliminations
+        .filter(elimination => elimination.turn === turn)
+        .forEach(({ playerId, reason }) => {
+          if (reason === ELIMINATION_REASONS.DISCONNECT) {
+            this.referee.removePlayer(playerId, false, true);
+          } else if (reason === ELIMINATION_REASONS.TIMEOUT) {
+            this.referee.removePlayer(playerId, false, false, true);
+          }
+        });
+    };
+  }
+
+  /**
+   * @private
+   * Checks that the given part of the replayed game matches the original
+   * record. Throws with the mismatched part if not.
+   *
+   * @param {string} name the name of the part being checked
+   * @param {any} original the original recorded value
+   * @param {any} replayed the replayed value
+   */
+  _assertMatch(name, original, replayed) {
+    if (JSON.stringify(original) !== JSON.stringify(replayed)) {
+      throw `Replay does not match record: ${name} differ`;
+    }
+  }
+
+  /**
+   * @async
+   * Replays the recorded game through a new referee, using the recorded
+   * seed, players, and actions. Throws if the dealt hands, eliminations,
+   * final board state, or winners and losers of the replay differ from
+   * those in the record.
+   *
+   * @returns {GameRecord} the record of the replayed game
+   */
+  async replay() {
+    const onAction = this._getRemovalCallback();
+    this.record.players.forEach(({ id }) => {
+      const turns = this.record.turns.filter(({ playerId }) => playerId === id);
+      this.referee.addPlayer(new ReplayPlayer(id, turns, onAction));
+    });
+
+    await this.referee.runGame();
+
+    const replayed = this.referee.getRecord();
+    const { result } = this.record;
+    this._assertMatch('players', this.record.players, replayed.players);
+    this._assertMatch('turns', this.record.turns, replayed.turns);
+    this._assertMatch('eliminations', this.record.eliminations, replayed.eliminations);
+    this._assertMatch('final states', result.state, replayed.result.state);
+    this._assertMatch('winners', result.winners, replayed.result.winners);
+    this._assertMatch('losers', result.losers, replayed.result.losers);
+
+    return replayed;
+  }
+}
+
+module.exports = Replayer;
@@ -0,0 +1,88 @@
+const { SECOND, TIMING_MODES } = require('../Common/utils/constants');
+
+const DEFAULT_MOVE_TIME = 10 * SECOND;
+const DEFAULT_BANK = 60 * SECOND;
+const DEFAULT_INCREMENT = 2 * SECOND;
+
+class TimingPolicy {
+  /**
+   * @constructor
+   * Creates a new TimingPolicy, which decides how long the referee waits on
+   * each player's action. The policy itself holds no clocks, so it may be
+   * shared by many games; each referee keeps the clocks of its own players.
+   *
+   * @param {object} [options={}] the timing options
+   * @param {string} [options.mode='fixed'] the timing mode, one of
+   * `TIMING_MODES`. In fixed mode, every action must be given within the
+   * move time. With a chess clock, every player has a bank of time for the
+   * whole game, which gains the increment after each action. In unlimited
+   * mode, the referee waits on every action for as long as it takes
+   * @param {number} [options.moveTime=10000] the time allowed for every
+   * action in fixed mode, in milliseconds
+   * @param {number} [options.bank=60000] the time every player starts the
+   * game with on a chess clock, in milliseconds
+   * @param {number} [options.increment=2000] the time added to a player's
+   * chess clock after each action, in milliseconds
+   */
+  constructor(options = {}) {
+    const {
+      mode = TIMING_MODES.FIXED,
+      moveTime = DEFAULT_MOVE_TIME,
+      bank = DEFAULT_BANK,
+      increment = DEFAULT_INCREMENT,
+    } = options;
+    if (!Object.values(TIMING_MODES).includes(mode)) {
+      throw 'Invalid timing mode';
+    }
+
+    this.mode = mode;
+    this.moveTime = moveTime;
+    this.bank = bank;
+    this.increment = increment;
+  }
+
+  /**
+   * Gets the time a player has left on their clock when the game starts.
+   *
+   * @returns {number} the starting time on the clock, in milliseconds
+   */
+  getStartingClock() {
+    return this.bank;
+  }
+
+  /**
+   * Gets the time a player has to give their next action.
+   *
+   * @param {number} clock the time left on the player's clock, in
+   * milliseconds
+   * @returns {number|null} the time allowed for the action in milliseconds,
+   * or null if there is no limit
+   */
+  getTimeLeft(clock) {
+    if (this.mode === TIMING_MODES.UNLIMITED) {
+      return null;
+    } else if (this.mode === TIMING_MODES.FIXED) {
+      return this.moveTime;
+    }
+    return clock;
+  }
+
+  /**
+   * Gets the time left on a player's clock after they have given an action
+   * in time. Only a chess clock is charged for the time taken.
+   *
+   * @param {number} clock the time left on the player's clock before the
+   * action, in milliseconds
+   * @param {number} elapsed the time taken to give the action, in
+   * milliseconds
+   * @returns {number} the time left on the player's clock, in milliseconds
+   */
+  chargeClock(clock, elapsed) {
+    if (this.mode !== TIMING_MODES.CHESS_CLOCK) {
+      return clock;
+    }
+    return clock - elapsed + this.increment;
+  }
+}
+
+module.exports = TimingPolicy;
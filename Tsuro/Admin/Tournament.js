@@ -0,0 +1,439 @@
+const Referee = require('./Referee');
+const TimingPolicy = require('./TimingPolicy');
+const { GameConfig, Random, RuleSet } = require('../Common');
+const { TOURNAMENT_FORMATS } = require('../Common/utils/constants');
+
+const MAX_SEED = 0x100000000;
+const SEPARATOR = '-----';
+
+/**
+ * Gets the ordinal string for the given place (e.g.: `1st`, `12th`).
+ *
+ * @param {number} place the place, starting at 1
+ * @returns {string} the ordinal string of the place
+ */
+const getOrdinal = place => {
+  const suffixes = ['th', 'st', 'nd', 'rd'];
+  const lastTwo = place % 100;
+  const suffix = suffixes[(lastTwo - 20) % 10] || suffixes[lastTwo] || suffixes[0];
+  return `${place}${suffix}`;
+};
+
+class Tournament {
+  /**
+   * @constructor
+   * Creates a new Tournament with no players.
+   *
+   * @param {Logger} logger the logger to add new messages, shared by every
+   * game's referee with the game's number as its ID; a quiet logger keeps
+   * long tournament runs out of the terminal
+   * @param {object} [options={}] the tournament options
+   * @param {string} [options.format='round_robin'] the tournament format,
+   * one of `TOURNAMENT_FORMATS`
+   * @param {number} [options.rounds] the number of rounds to play in the
+   * round-robin and Swiss formats; knockouts play until a champion is found
+   * @param {number} [options.seed] the seed for seating players and for
+   * every game's deck, generated randomly if not given
+   * @param {GameConfig|object} [options.config] the board size and player
+   * limits of every game, or the options to create them with
+   * @param {RuleSet|object} [options.ruleSet] the house rules of every
+   * game, the standard rules if not given
+   * @param {TimingPolicy|object} [options.timing] how long players have to
+   * give each action in every game, or the options to create it with
+   */
+  constructor(logger, options = {}) {
+    const {
+      format = TOURNAMENT_FORMATS.ROUND_ROBIN,
+      rounds,
+      seed,
+      config,
+      ruleSet,
+      timing,
+    } = options;
+    if (!Object.values(TOURNAMENT_FORMATS).includes(format)) {
+      throw 'Invalid tournament format';
+    }
+
+    this.logger = logger;
+    this.format = format;
+    this.rounds = rounds;
+    this.config = config instanceof GameConfig ? config : new GameConfig(config);
+    this.ruleSet = ruleSet instanceof RuleSet ? ruleSet : new RuleSet(ruleSet);
+    this.timing = timing instanceof TimingPolicy ? timing : new TimingPolicy(timing);
+    this._random = new Random(seed);
+    this.seed = this._random.seed;
+
+    this.playerMap = {};
+    this.activePlayerIds = [];
+    this.games = [];
+
+    this._standings = {};
+    this._meetings = {};
+  }
+
+  /**
+   * Adds a player to the tournament.
+   *
+   * @param {BasePlayer} player the player to add
+   */
+  addPlayer(player) {
+    const { id } = player;
+    if (this.playerMap[id]) {
+      throw 'Player already added.';
+    }
+    this.playerMap[id] = player;
+    this.activePlayerIds.push(id);
+    this._standings[id] = {
+      id,
+      played: 0,
+      wins: 0,
+      points: 0,
+      opponentPoints: 0,
+      rejections: 0,
+      dropped: false,
+    };
+    this._meetings[id] = {};
+  }
+
+  /**
+   * @private
+   * Gets the sizes of the games to seat the given number of players in.
+   * Players are spread as evenly as possible across the fewest games that
+   * have no more than the maximum seats, and every game has at least the
+   * minimum seats. Players who cannot be seated that way sit out the round.
+   *
+   * @param {number} count the number of players to seat
+   * @returns {number[]} the size of each game, which may add up to fewer
+   * than the given number of players
+   */
+  _getGameSizes(count) {
+    const { minPlayers, maxPlayers } = this.config;
+    if (count < minPlayers) {
+      return [];
+    }
+    const numGames = Math.min(Math.ceil(count / maxPlayers), Math.floor(count / minPlayers));
+    const seated = Math.min(count, numGames * maxPlayers);
+    const baseSize = Math.floor(seated / numGames);
+    const extra = seated % numGames;
+
+    const sizes = [];
+    for (let i = 0; i < numGames; i++) {
+      sizes.push(i < extra ? baseSize + 1 : baseSize);
+    }
+    return sizes;
+  }
+
+  /**
+   * @private
+   * Counts the previous games between the given player and the given
+   * group of players.
+   *
+   * @param {string} id the ID of the player
+   * @param {string[]} group the IDs of the group of players
+   * @returns {number} the number of previous meetings
+   */
+  _countMeetings(id, group) {
+    return group.reduce((acc, otherId) => acc + (this._meetings[id][otherId] || 0), 0);
+  }
+
+  /**
+   * @private
+   * Seats active players for a round-robin round. Each game is filled
+   * by the player who has met the players already seated the fewest
+   * times, so that every player meets as many others as possible.
+   *
+   * @returns {string[][]} the IDs of the players seated at each game
+   */
+  _seatRoundRobin() {
+    const unseated = this._random.shuffle(this.activePlayerIds);
+    return this._getGameSizes(unseated.length).map(size => {
+      const game = [unseated.shift()];
+      while (game.length < size) {
+        let bestIdx = 0;
+        unseated.forEach((id, idx) => {
+          if (this._countMeetings(id, game) < this._countMeetings(unseated[bestIdx], game)) {
+            bestIdx = idx;
+          }
+        });
+        game.push(...unseated.splice(bestIdx, 1));
+      }
+      return game;
+    });
+  }
+
+  /**
+   * @private
+   * Seats active players for a Swiss round. Players are ordered by their
+   * current standing, and players of similar standing are seated together.
+   *
+   * @returns {string[][]} the IDs of the players seated at each game
+   */
+  _seatSwiss() {
+    const ordered = this._random.shuffle(this.activePlayerIds).sort(this._compareStandings());
+    return this._getGameSizes(ordered.length).map(size => ordered.splice(0, size));
+  }
+
+  /**
+   * @private
+   * Seats active players for a knockout round. Players are ordered by their
+   * current standing, then dealt across the games so the strongest players
+   * are spread apart. Any players who cannot be seated are the strongest,
+   * who sit out the round and advance.
+   *
+   * @returns {string[][]} the IDs of the players seated at each game
+   */
+  _seatKnockout() {
+    const ordered = this._random.shuffle(this.activePlayerIds).sort(this._compareStandings());
+    const sizes = this._getGameSizes(ordered.length);
+    const seated = ordered.slice(ordered.length - sizes.reduce((acc, size) => acc + size, 0));
+    const games = sizes.map(() => []);
+    seated.forEach((id, idx) => {
+      games[idx % games.length].push(id);
+    });
+    return games;
+  }
+
+  /**
+   * @private
+   * Gets a comparator for sorting player IDs by their standings. Players are
+   * ranked by points, then wins, then the points of the opponents they have
+   * faced, then fewest rejections. In knockouts, players who have made it
+   * further are always ranked first.
+   *
+   * @returns {function} the comparator function for two player IDs
+   */
+  _compareStandings() {
+    const isKnockout = this.format === TOURNAMENT_FORMATS.KNOCKOUT;
+    return (idA, idB) => {
+      const a = this._standings[idA];
+      const b = this._standings[idB];
+      return (
+        (isKnockout ? b.played - a.played : 0) ||
+        b.points - a.points ||
+        b.wins - a.wins ||
+        b.opponentPoints - a.opponentPoints ||
+        a.rejections - b.rejections
+      );
+    };
+  }
+
+  /**
+   * @private
+   * Updates the standings of the players of a finished game. Each player
+   * scores a point for every player that placed after them; players
+   * rejected for illegal moves score nothing, and are dropped from all
+   * later rounds.
+   *
+   * @param {string[]} playerIds the IDs of the players of the game
+   * @param {string[][]} winners the player IDs of the winners of the game,
+   * separated by winner place
+   * @param {string[]} losers the player IDs of the losers of the game
+   */
+  _updateStandings(playerIds, winners, losers) {
+    const gamePoints = {};
+    losers.forEach(id => {
+      gamePoints[id] = 0;
+    });
+
+    let playersBehind = playerIds.length;
+    winners.forEach(place => {
+      playersBehind -= place.length;
+      place.forEach(id => {
+        gamePoints[id] = playersBehind;
+      });
+    });
+
+    playerIds.forEach(id => {
+      const standing = this._standings[id];
+      standing.played += 1;
+      standing.points += gamePoints[id] || 0;
+
+      playerIds.forEach(otherId => {
+        if (otherId !== id) {
+          standing.opponentPoints += gamePoints[otherId] || 0;
+          this._meetings[id][otherId] = (this._meetings[id][otherId] || 0) + 1;
+        }
+      });
+    });
+
+    if (winners.length > 0) {
+      winners[0].forEach(id => {
+        this._standings[id].wins += 1;
+      });
+    }
+
+    losers.forEach(id => {
+      this._standings[id].rejections += 1;
+      this._standings[id].dropped = true;
+    });
+    this.activePlayerIds = this.activePlayerIds.filter(id => !losers.includes(id));
+  }
+
+  /**
+   * @private @async
+   * Plays a single game between the given players, then updates the
+   * tournament standings with its results.
+   *
+   * @param {number} round the current round number
+   * @param {string[]} playerIds the IDs of the players of the game
+   * @returns {string[][]} the player IDs of the winners of the game,
+   * separated by winner place
+   */
+  async _playGame(round, playerIds) {
+    const seed = this._random.nextInt(MAX_SEED);
+    const referee = new Referee(this.logger.forGame(String(this.games.length + 1)), {
+      seed,
+      config: this.config,
+      ruleSet: this.ruleSet,
+      timing: this.timing,
+    });
+    playerIds.forEach(id => {
+      referee.addPlayer(this.playerMap[id]);
+    });
+
+    await referee.runGame();
+
+    const winners = referee.getWinners();
+    const losers = referee.getLosers();
+    this.games.push({ round, seed, playerIds, winners, losers });
+    this._updateStandings(playerIds, winners, losers);
+    return winners;
+  }
+
+  /**
+   * @private @async
+   * Plays a single round of the tournament between the given seated
+   * players.
+   *
+   * @param {number} round the current round number
+   * @param {string[][]} games the IDs of the players seated at each game,
+   * as seated for the tournament format
+   * @returns {string[][][]} the winners of each game of the round
+   */
+  async _playRound(round, games) {
+    this.logger.info('Tournament round', round, 'has started with', games.length, 'games.');
+    const results = [];
+    for (const playerIds of games) {
+      results.push(await this._playGame(round, playerIds));
+    }
+    return results;
+  }
+
+  /**
+   * @private
+   * Gets the default number of rounds for the round-robin and Swiss formats.
+   * Round-robins play enough rounds for every player to be able to meet all
+   * others, while Swiss tournaments play a logarithmic number of rounds.
+   *
+   * @returns {number} the number of rounds to play
+   */
+  _getDefaultRounds() {
+    const count = this.activePlayerIds.length;
+    if (this.format === TOURNAMENT_FORMATS.SWISS) {
+      return Math.max(1, Math.ceil(Math.log2(count)));
+    }
+    return Math.max(1, Math.ceil((count - 1) / (this.config.maxPlayers - 1)));
+  }
+
+  /**
+   * @private
+   * Gets the players advancing from a knockout round: the first-place
+   * players of every game, and every player who sat the round out. If too
+   * few players would be left for a game, the next places of every game
+   * advance as well, until the next round can be seated.
+   *
+   * @param {string[][]} games the IDs of the players seated at each game
+   * @param {string[][][]} results the winners of each game, separated by
+   * winner place
+   * @returns {string[]} the IDs of the advancing players
+   */
+  _getAdvancingPlayers(games, results) {
+    const seated = games.reduce((acc, game) => acc.concat(game), []);
+    const advancing = this.activePlayerIds.filter(id => !seated.includes(id));
+    const mostPlaces = Math.max(...results.map(winners => winners.length));
+    for (let place = 0; place < mostPlaces; place++) {
+      if (place > 0 && advancing.length >= this.config.minPlayers) {
+        break;
+      }
+      results.forEach(winners => {
+        advancing.push(...(winners[place] || []));
+      });
+    }
+    return advancing;
+  }
+
+  /**
+   * @private @async
+   * Plays knockout rounds, advancing the first-place players of every game,
+   * until a single game decides the champions.
+   */
+  async _runKnockout() {
+    let round = 1;
+    let isFinal = false;
+    while (!isFinal && this.activePlayerIds.length >= this.config.minPlayers) {
+      const games = this._seatKnockout();
+      const results = await this._playRound(round, games);
+      isFinal = results.length === 1 && games[0].length === this.activePlayerIds.length;
+
+      const advancing = this._getAdvancingPlayers(games, results);
+      this.activePlayerIds = this.activePlayerIds.filter(id => advancing.includes(id));
+      round += 1;
+    }
+  }
+
+  /**
+   * @async
+   * Runs the entire tournament with the currently added players, playing
+   * every round to completion.
+   */
+  async run() {
+    if (this.activePlayerIds.length < this.config.minPlayers) {
+      throw 'Not enough players for a tournament.';
+    }
+    this.logger.info('Tournament is using seed', this.seed);
+
+    if (this.format === TOURNAMENT_FORMATS.KNOCKOUT) {
+      await this._runKnockout();
+    } else {
+      const rounds = this.rounds || this._getDefaultRounds();
+      for (let round = 1; round <= rounds; round++) {
+        if (this.activePlayerIds.length < this.config.minPlayers) {
+          break;
+        }
+        const games =
+          this.format === TOURNAMENT_FORMATS.SWISS ? this._seatSwiss() : this._seatRoundRobin();
+        await this._playRound(round, games);
+      }
+    }
+  }
+
+  /**
+   * Gets the current standings of every player, ordered by rank. Players
+   * who are tied on every tie-breaker are ordered by ID.
+   *
+   * @returns {object[]} the standing of each player, with their `rank`
+   */
+  getStandings() {
+    const compareStandings = this._compareStandings();
+    return Object.keys(this._standings)
+      .sort((idA, idB) => compareStandings(idA, idB) || (idA < idB ? -1 : 1))
+      .map((id, idx) => Object.assign({ rank: idx + 1 }, this._standings[id]));
+  }
+
+  /**
+   * Prints the final ranking of the tournament.
+   */
+  printRanking() {
+    console.log(SEPARATOR);
+    console.log('Final ranking:');
+    this.getStandings().forEach(({ rank, id, points, wins, played, dropped }) => {
+      const note = dropped ? ' (dropped)' : '';
+      console.log(
+        `${getOrdinal(rank)} place: ${id}, ${points} points, ${wins}/${played} wins${note}`
+      );
+    });
+    console.log(SEPARATOR);
+  }
+}
+
+module.exports = Tournament;
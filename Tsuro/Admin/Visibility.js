@@ -0,0 +1,71 @@
+const { RULE_MODES } = require('../Common/utils/constants');
+
+class Visibility {
+  /**
+   * @constructor
+   * Creates the visibility rules of a game, which project the game state
+   * down to what each player and observer is allowed to see. The board is
+   * open to everyone, so every player sees the same view of it, and views
+   * only differ in hands. A hand is seen as dealt only by its owner; in
+   * classic rules, hands are kept from turn to turn, so they are hidden
+   * from everyone else. Hands shown to anyone else are sorted, so the order
+   * of the deck is never given away.
+   *
+   * @param {string} [rules='standard'] the rules mode of the game, one of
+   * `RULE_MODES`
+   */
+  constructor(rules = RULE_MODES.STANDARD) {
+    if (!Object.values(RULE_MODES).includes(rules)) {
+      throw 'Invalid rules mode';
+    }
+    this.rules = rules;
+  }
+
+  /**
+   * @private
+   * Checks whether hands are hidden from everyone but their owners.
+   *
+   * @returns {boolean} whether hands are hidden
+   */
+  _areHandsHidden() {
+    return this.rules === RULE_MODES.CLASSIC;
+  }
+
+  /**
+   * Gets the view of the board a player may see, which is the whole board,
+   * the same for every player. Every player is given a copy of their own,
+   * so no player can change the board seen by anyone else.
+   *
+   * @param {BoardState} boardState the full state of the board
+   * @returns {BoardState} the player's view of the board
+   */
+  getPlayerState(boardState) {
+    return boardState.copy();
+  }
+
+  /**
+   * Gets the view of the board an observer may see, as a copy of its own.
+   *
+   * @param {BoardState} boardState the full state of the board
+   * @returns {BoardState} the observer's view of the board
+   */
+  getObserverState(boardState) {
+    return boardState.copy();
+  }
+
+  /**
+   * Gets the view of the current player's hand an observer may see. The
+   * hand is empty if hands are hidden, and sorted by tile index otherwise.
+   *
+   * @param {Tile[]} hand the current player's hand, as dealt
+   * @returns {Tile[]} the observer's view of the hand
+   */
+  getObserverHand(hand) {
+    if (this._areHandsHidden()) {
+      return [];
+    }
+    return [...hand].sort((a, b) => a.index - b.index);
+  }
+}
+
+module.exports = Visibility;
@@ -1,2 +1,9 @@
+exports.Deck = require('./Deck');
+exports.GameRecord = require('./GameRecord');
 exports.Observer = require('./Observer');
+exports.ProxyObserver = require('./ProxyObserver');
 exports.Referee = require('./Referee');
+exports.Replayer = require('./Replayer');
+exports.TimingPolicy = require('./TimingPolicy');
+exports.Tournament = require('./Tournament');
+exports.Visibility = require('./Visibility');
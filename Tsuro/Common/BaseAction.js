@@ -11,6 +11,27 @@ class BaseAction {
   constructor(tile, coords) {
     this.tile = tile;
     this.coords = coords;
+
+    // Set once the action's outcome is known (e.g.: by the RuleChecker)
+    this.isSuicidal = null;
+    this.endCoords = null;
+    this.endPosition = null;
+  }
+
+  /**
+   * Sets the outcome of taking this action on the board it was made for.
+   *
+   * @param {boolean} isSuicidal whether the action leaves its player's
+   * avatar on the edge of the board
+   * @param {Coords} endCoords the coordinates the avatar ends up at
+   * @param {Position} endPosition the position the avatar ends up at
+   * @returns {BaseAction} this action, with its outcome
+   */
+  setOutcome(isSuicidal, endCoords, endPosition) {
+    this.isSuicidal = isSuicidal;
+    this.endCoords = endCoords;
+    this.endPosition = endPosition;
+    return this;
   }
 
   /**
@@ -20,8 +41,10 @@ class BaseAction {
    * @returns {object} a JSON-ified Action object
    */
   toJson() {
+    const { index, rotation } = this.tile.toJson();
     return {
-      tile: this.tile.index,
+      tile: index,
+      rotation,
       coords: this.coords.toJson(),
     };
   }
@@ -37,8 +60,8 @@ class BaseAction {
    * JSON-ified object, but with actual objects
    */
   static _convertJson(json) {
-    const { tile, coords } = json;
-    const aTile = new SimpleTile(tile);
+    const { tile, rotation, coords } = json;
+    const aTile = SimpleTile.fromJson({ index: tile, rotation });
     const aCoords = Coords.fromJson(coords);
     return {
       tile: aTile,
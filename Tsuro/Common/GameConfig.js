@@ -0,0 +1,137 @@
+const {
+  BOARD_SIZE,
+  BOARD_SIZE_LIMITS,
+  COLORS,
+  PLAYER_LIMITS,
+  PLAYER_POOL_SIZE,
+} = require('./utils/constants');
+
+const BASE_COLORS = [COLORS.WHITE, COLORS.BLACK, COLORS.RED, COLORS.GREEN, COLORS.BLUE];
+// Hues for generated colors start between the base colors' red and green
+const EXTRA_HUE_START = 30;
+const EXTRA_HUE_STEP = 60;
+
+let defaultConfig = null;
+
+class GameConfig {
+  /**
+   * @constructor
+   * Creates a new GameConfig, describing the size of the board and the
+   * number of players in a game. Throws if any option is out of bounds.
+   *
+   * @param {object} [options={}] the game configuration options
+   * @param {number} [options.boardSize=BOARD_SIZE] the number of tiles along
+   * each side of the board
+   * @param {number} [options.minPlayers=PLAYER_POOL_SIZE.MIN] the minimum
+   * number of players needed to start a game
+   * @param {number} [options.maxPlayers=PLAYER_POOL_SIZE.MAX] the maximum
+   * number of players in a game
+   */
+  constructor(options = {}) {
+    const {
+      boardSize = BOARD_SIZE,
+      minPlayers = PLAYER_POOL_SIZE.MIN,
+      maxPlayers = PLAYER_POOL_SIZE.MAX,
+    } = options;
+
+    if (!GameConfig._isInRange(boardSize, BOARD_SIZE_LIMITS)) {
+      throw `Board size must be between ${BOARD_SIZE_LIMITS.MIN} and ${BOARD_SIZE_LIMITS.MAX}.`;
+    } else if (!GameConfig._isInRange(maxPlayers, PLAYER_LIMITS)) {
+      throw `Max players must be between ${PLAYER_LIMITS.MIN} and ${PLAYER_LIMITS.MAX}.`;
+    } else if (!GameConfig._isInRange(minPlayers, { MIN: PLAYER_LIMITS.MIN, MAX: maxPlayers })) {
+      throw `Min players must be between ${PLAYER_LIMITS.MIN} and the max players.`;
+    }
+
+    this.boardSize = boardSize;
+    this.minPlayers = minPlayers;
+    this.maxPlayers = maxPlayers;
+  }
+
+  /**
+   * @private @static
+   * Checks whether the given value is an integer within the given limits.
+   *
+   * @param {number} value the value to check
+   * @param {object} limits the inclusive `MIN` and `MAX` limits
+   * @returns {boolean} whether the value is within the limits
+   */
+  static _isInRange(value, limits) {
+    return Number.isInteger(value) && value >= limits.MIN && value <= limits.MAX;
+  }
+
+  /**
+   * Gets the avatar colors for every seat of a game, in the order they are
+   * assigned. The base colors are used first; any further seats are given
+   * generated colors, evenly spaced around the color wheel.
+   *
+   * @returns {string[]} the colors, one per seat
+   */
+  getColors() {
+    const colors = [];
+    for (let i = 0; i < this.maxPlayers; i++) {
+      if (i < BASE_COLORS.length) {
+        colors.push(BASE_COLORS[i]);
+      } else {
+        const hue = (EXTRA_HUE_START + (i - BASE_COLORS.length) * EXTRA_HUE_STEP) % 360;
+        colors.push(`hsl(${hue}, 80%, 50%)`);
+      }
+    }
+    return colors;
+  }
+
+  /**
+   * Checks whether the given coordinates are on the edge of the board.
+   *
+   * @param {Coords} coords the coordinates to check
+   * @returns {boolean} whether the coordinates are on the edge
+   */
+  isOnBorder(coords) {
+    const { x, y } = coords;
+    return x === 0 || x === this.boardSize - 1 || y === 0 || y === this.boardSize - 1;
+  }
+
+  /**
+   * Converts this GameConfig object into JSON to be sent over
+   * a TCP server connection.
+   *
+   * @returns {object} a JSON-ified GameConfig object
+   */
+  toJson() {
+    return {
+      boardSize: this.boardSize,
+      minPlayers: this.minPlayers,
+      maxPlayers: this.maxPlayers,
+    };
+  }
+
+  /**
+   * @static
+   * Gets the shared GameConfig for the standard game, with the default
+   * board size and player limits.
+   *
+   * @returns {GameConfig} the default GameConfig
+   */
+  static getDefault() {
+    if (!defaultConfig) {
+      defaultConfig = new GameConfig();
+    }
+    return defaultConfig;
+  }
+
+  /**
+   * @static
+   * Creates a new GameConfig object from the JSON-ified version, or gets the
+   * default GameConfig if none is given.
+   *
+   * @param {object} [json] the JSON-ified GameConfig object, as created by
+   * the `toJson` method.
+   */
+  static fromJson(json) {
+    if (!json) {
+      return GameConfig.getDefault();
+    }
+    return new GameConfig(json);
+  }
+}
+
+module.exports = GameConfig;
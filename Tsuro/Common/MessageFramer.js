@@ -0,0 +1,105 @@
+const { Transform } = require('stream');
+const { MESSAGE_ACTIONS } = require('./utils/constants');
+
+// Messages are JSON objects, each ending with a newline
+const DELIMITER = 0x0a;
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+class MessageFramer extends Transform {
+  /**
+   * @constructor
+   * Creates a new MessageFramer, a stream which takes in raw socket data
+   * and puts out every complete message in it as a parsed object. Partial
+   * messages are buffered until the rest of them arrives, so messages may
+   * be split across or share any number of data chunks.
+   *
+   * The stream errors with an `INVALID_JSON` message action if a message
+   * is not a JSON object, or with a `MESSAGE_TOO_LARGE` message action if
+   * a message grows past the maximum size.
+   *
+   * @param {number} [maxMessageSize=65536] the maximum size of a single
+   * message, in bytes
+   */
+  constructor(maxMessageSize = MAX_MESSAGE_SIZE) {
+    super({ readableObjectMode: true });
+    this.maxMessageSize = maxMessageSize;
+    this._buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * @private
+   * Parses a single line of data, and puts out the message in it.
+   *
+   * @param {Buffer} line the line of data, without its delimiter
+   * @returns {string|null} the message action of the error with the line,
+   * or null if there was none
+   */
+  _pushLine(line) {
+    if (line.length > this.maxMessageSize) {
+      return MESSAGE_ACTIONS.MESSAGE_TOO_LARGE;
+    }
+    const text = line.toString().trim();
+    if (!text) {
+      return null;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (err) {
+      return MESSAGE_ACTIONS.INVALID_JSON;
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return MESSAGE_ACTIONS.INVALID_JSON;
+    }
+    this.push(message);
+    return null;
+  }
+
+  /**
+   * @private
+   * Splits the given chunk of data into messages, along with any partial
+   * message left over from the last chunk. Used by the `Transform` stream.
+   *
+   * @param {Buffer} chunk the chunk of data received
+   * @param {string} encoding the encoding of the chunk, unused for buffers
+   * @param {function} callback the callback to call once the chunk has been
+   * handled, with an error if there was one
+   */
+  _transform(chunk, encoding, callback) {
+    let data = Buffer.concat([this._buffer, chunk]);
+    let delimiterIdx = data.indexOf(DELIMITER);
+    while (delimiterIdx !== -1) {
+      const error = this._pushLine(data.slice(0, delimiterIdx));
+      if (error) {
+        callback(error);
+        return;
+      }
+      data = data.slice(delimiterIdx + 1);
+      delimiterIdx = data.indexOf(DELIMITER);
+    }
+
+    if (data.length > this.maxMessageSize) {
+      callback(MESSAGE_ACTIONS.MESSAGE_TOO_LARGE);
+      return;
+    }
+    this._buffer = data;
+    callback();
+  }
+
+  /**
+   * @private
+   * Puts out the last message once the data has ended, even if it was not
+   * followed by a delimiter. Used by the `Transform` stream.
+   *
+   * @param {function} callback the callback to call once the stream has
+   * been flushed, with an error if there was one
+   */
+  _flush(callback) {
+    const error = this._pushLine(this._buffer);
+    this._buffer = Buffer.alloc(0);
+    callback(error || undefined);
+  }
+}
+
+module.exports = MessageFramer;
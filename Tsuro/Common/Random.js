@@ -0,0 +1,77 @@
+const MAX_SEED = 0x100000000;
+
+class Random {
+  /**
+   * @constructor
+   * Creates a new seedable pseudo-random number generator. Two generators
+   * created with the same seed will always produce the same sequence.
+   *
+   * @param {number} [seed] the seed of the generator, generated randomly
+   * if not given
+   */
+  constructor(seed = Random.generateSeed()) {
+    this.seed = seed >>> 0;
+    this._state = this.seed;
+  }
+
+  /**
+   * @static
+   * Generates a new random seed, to be used when no seed is given.
+   *
+   * @returns {number} an unsigned 32-bit integer seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * MAX_SEED);
+  }
+
+  /**
+   * Gets the next number in the sequence, using the Mulberry32 algorithm.
+   *
+   * @returns {number} a number between 0 (inclusive) and 1 (exclusive)
+   */
+  next() {
+    this._state = (this._state + 0x6d2b79f5) >>> 0;
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / MAX_SEED;
+  }
+
+  /**
+   * Gets the next integer in the sequence, within the given bounds.
+   *
+   * @param {number} max the maximum value, exclusive
+   * @returns {number} an integer between 0 (inclusive) and the given
+   * max (exclusive)
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Picks a random item from the given array.
+   *
+   * @param {any[]} array the array to pick from
+   * @returns {any} a random item from the array
+   */
+  pick(array) {
+    return array[this.nextInt(array.length)];
+  }
+
+  /**
+   * Shuffles a copy of the given array using the Fisher-Yates algorithm.
+   *
+   * @param {any[]} array the array to shuffle
+   * @returns {any[]} a shuffled copy of the array
+   */
+  shuffle(array) {
+    const shuffled = array.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = this.nextInt(i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
+
+module.exports = Random;
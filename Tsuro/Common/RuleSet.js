@@ -0,0 +1,137 @@
+const RuleChecker = require('./rules');
+
+let defaultRuleSet = null;
+
+class RuleSet {
+  /**
+   * @constructor
+   * Creates a new RuleSet, which the referee checks every action against,
+   * and which players list their legal actions with. By default, these are
+   * the standard rules of the `RuleChecker`; each option loosens a single
+   * rule, for games with house rules.
+   *
+   * @param {object} [options={}] the house rules
+   * @param {boolean} [options.allowInitialNeighbors=false] whether initial
+   * tiles may be placed next to existing tiles
+   */
+  constructor(options = {}) {
+    const { allowInitialNeighbors = false } = options;
+    this.allowInitialNeighbors = allowInitialNeighbors;
+  }
+
+  /**
+   * Checks if the given action is legal for the given player, that is it
+   * can be placed on the board at all.
+   *
+   * @param {BoardState} boardState the current state of the board
+   * @param {Player} player the player to check legality for
+   * @param {BaseAction} action the action to check legality for
+   * @param {boolean} [isInitial=false] whether the given action is
+   * initial or intermediate
+   * @returns {boolean} whether the given action is legal for the
+   * given player
+   */
+  isActionLegal(boardState, player, action, isInitial = false) {
+    const isLegal = RuleChecker.checkPlacementLegality(boardState, action, player);
+    if (isInitial) {
+      return (
+        isLegal ||
+        RuleChecker.canPlaceAvatar(
+          boardState,
+          player.id,
+          action.coords,
+          action.tile,
+          action.position,
+          this.allowInitialNeighbors
+        )
+      );
+    }
+
+    return isLegal;
+  }
+
+  /**
+   * Checks if the given action is valid for the given player, that is it
+   * doesn't result in player suicide.
+   *
+   * @param {BoardState} boardState the current state of the board
+   * @param {Player} player the player to check validity for
+   * @param {BaseAction} action the action to check validity for
+   * @param {boolean} [isInitial=false] whether the given action is
+   * initial or intermediate
+   * @returns {boolean} whether the given action is valid for the
+   * given player
+   */
+  isActionValid(boardState, player, action, isInitial = false) {
+    if (isInitial) {
+      return true;
+    }
+    return RuleChecker.checkPlacementValidity(boardState, action, player);
+  }
+
+  /**
+   * Gets every initial action the given player can legally take under
+   * these rules, each annotated with its outcome.
+   *
+   * @param {BoardState} boardState the current state of the board
+   * @param {Player} player the player intending on the action
+   * @returns {InitialAction[]} the legal initial actions
+   */
+  getLegalInitialActions(boardState, player) {
+    return RuleChecker.getLegalInitialActions(boardState, player, this.allowInitialNeighbors);
+  }
+
+  /**
+   * Gets every intermediate action the given player can legally take under
+   * these rules, each annotated with its outcome.
+   *
+   * @param {BoardState} boardState the current state of the board
+   * @param {Player} player the player intending on the action
+   * @returns {IntermediateAction[]} the legal intermediate actions
+   */
+  getLegalIntermediateActions(boardState, player) {
+    return RuleChecker.getLegalIntermediateActions(boardState, player);
+  }
+
+  /**
+   * Converts this RuleSet object into JSON to be saved with a game record,
+   * or sent over a TCP server connection.
+   *
+   * @returns {object} a JSON-ified RuleSet object
+   */
+  toJson() {
+    return {
+      allowInitialNeighbors: this.allowInitialNeighbors,
+    };
+  }
+
+  /**
+   * @static
+   * Gets the shared RuleSet for the standard rules, with no house rules.
+   *
+   * @returns {RuleSet} the default RuleSet
+   */
+  static getDefault() {
+    if (!defaultRuleSet) {
+      defaultRuleSet = new RuleSet();
+    }
+    return defaultRuleSet;
+  }
+
+  /**
+   * @static
+   * Creates a new RuleSet object from the JSON-ified version, or the
+   * standard rules if none is given.
+   *
+   * @param {object} [json] the JSON-ified RuleSet object, as created by
+   * the `toJson` method.
+   */
+  static fromJson(json) {
+    if (!json) {
+      return RuleSet.getDefault();
+    }
+    return new RuleSet(json);
+  }
+}
+
+module.exports = RuleSet;
@@ -0,0 +1,189 @@
+const { WhirlpoolTile } = require('.');
+const { BOARD_EVENTS, DIRECTIONS_CLOCKWISE } = require('./utils/constants');
+
+const DAIKAIJU_COUNT = 3;
+const MAX_WHIRLPOOLS = 4;
+const DIE_SIDES = 6;
+// The daikaiju move when two dice roll at least this much
+const MOVE_ROLL = 6;
+
+class SeasRules {
+  /**
+   * @constructor
+   * Creates new Tsuro of the Seas rules, a board event for the referee to
+   * run after every turn. Two dice are rolled each time: on a high enough
+   * roll, every daikaiju moves one space and destroys the tile it moves
+   * onto, and on doubles, a whirlpool appears on the board. The daikaiju
+   * are kept on the board state, so everyone watching the board sees them.
+   *
+   * @param {object} [options={}] the variant options
+   * @param {number} [options.daikaiju=3] the number of daikaiju roaming
+   * the board
+   * @param {number} [options.maxWhirlpools=4] the maximum number of
+   * whirlpools to place over a game
+   */
+  constructor(options = {}) {
+    const { daikaiju = DAIKAIJU_COUNT, maxWhirlpools = MAX_WHIRLPOOLS } = options;
+    this.numDaikaiju = daikaiju;
+    this.maxWhirlpools = maxWhirlpools;
+
+    this._haveDaikaijuAppeared = false;
+    this._numWhirlpools = 0;
+  }
+
+  /**
+   * @private @static
+   * Checks whether a daikaiju is at the given coordinates.
+   *
+   * @param {Coords[]} daikaiju the coordinates of every daikaiju
+   * @param {Coords} coords the coordinates to check
+   * @returns {boolean} whether a daikaiju is at the coordinates
+   */
+  static _hasDaikaiju(daikaiju, coords) {
+    return daikaiju.some(daikaijuCoords => daikaijuCoords.isEqualTo(coords));
+  }
+
+  /**
+   * @private
+   * Gets the coordinates of every open space on the board; that is, every
+   * space with no tile and no daikaiju, which no avatar in play is facing.
+   *
+   * @param {BoardState} boardState the current board state
+   * @returns {Coords[]} the coordinates of the open spaces
+   */
+  _getOpenCoords(boardState) {
+    const faced = new Set();
+    boardState
+      .getAvatars()
+      .filter(avatar => !avatar.hasLost())
+      .forEach(({ coords, position }) => {
+        try {
+          const facedCoords = coords.copy().moveOne(position.direction);
+          faced.add(facedCoords.getHash());
+        } catch (err) {
+          // The avatar is facing off the board
+        }
+      });
+
+    const daikaiju = boardState.getDaikaiju();
+    const openCoords = [];
+    boardState.getTiles().forEach((column, x) => {
+      column.forEach((tile, y) => {
+        const coords = boardState.toBoardCoords({ x, y });
+        if (!tile && !faced.has(coords.getHash()) && !SeasRules._hasDaikaiju(daikaiju, coords)) {
+          openCoords.push(coords);
+        }
+      });
+    });
+    return openCoords;
+  }
+
+  /**
+   * @private
+   * Rolls a single die.
+   *
+   * @param {Random} random the referee's random number generator
+   * @returns {number} the rolled number
+   */
+  static _rollDie(random) {
+    return random.nextInt(DIE_SIDES) + 1;
+  }
+
+  /**
+   * @private
+   * Moves every daikaiju one space in a random direction, destroying the
+   * tile it moves onto. A daikaiju stays put rather than leave the board or
+   * move onto another daikaiju.
+   *
+   * @param {Board} board the board of the game
+   * @param {Random} random the referee's random number generator
+   */
+  _moveDaikaiju(board, random) {
+    const daikaiju = board.getState().getDaikaiju();
+    daikaiju.forEach((coords, idx) => {
+      const direction = random.pick(DIRECTIONS_CLOCKWISE);
+      let nextCoords;
+      try {
+        nextCoords = coords.copy().moveOne(direction);
+      } catch (err) {
+        return;
+      }
+      if (!SeasRules._hasDaikaiju(daikaiju, nextCoords)) {
+        board.removeTile(nextCoords);
+        daikaiju[idx] = nextCoords;
+      }
+    });
+    board.setDaikaiju(daikaiju);
+  }
+
+  /**
+   * @private
+   * Places a whirlpool on a random open space, unless every whirlpool has
+   * already been placed.
+   *
+   * @param {Board} board the board of the game
+   * @param {Random} random the referee's random number generator
+   */
+  _placeWhirlpool(board, random) {
+    const openCoords = this._getOpenCoords(board.getState());
+    if (this._numWhirlpools >= this.maxWhirlpools || openCoords.length === 0) {
+      return;
+    }
+    board.placeTile(new WhirlpoolTile(), random.pick(openCoords));
+    this._numWhirlpools += 1;
+  }
+
+  /**
+   * Runs the board event at the end of a turn. The daikaiju appear on
+   * random open spaces the first time the event is run.
+   *
+   * @param {Board} board the board of the game
+   * @param {Random} random the referee's random number generator
+   */
+  apply(board, random) {
+    if (!this._haveDaikaijuAppeared) {
+      const openCoords = random.shuffle(this._getOpenCoords(board.getState()));
+      board.setDaikaiju(openCoords.slice(0, this.numDaikaiju));
+      this._haveDaikaijuAppeared = true;
+    }
+
+    const firstRoll = SeasRules._rollDie(random);
+    const secondRoll = SeasRules._rollDie(random);
+    if (firstRoll + secondRoll >= MOVE_ROLL) {
+      this._moveDaikaiju(board, random);
+    }
+    if (firstRoll === secondRoll) {
+      this._placeWhirlpool(board, random);
+    }
+  }
+
+  /**
+   * Converts this SeasRules object into JSON to be saved in a game record,
+   * with the variant options it was created with.
+   *
+   * @returns {object} a JSON-ified SeasRules object
+   */
+  toJson() {
+    return {
+      type: BOARD_EVENTS.SEAS,
+      daikaiju: this.numDaikaiju,
+      maxWhirlpools: this.maxWhirlpools,
+    };
+  }
+
+  /**
+   * @static
+   * Creates new SeasRules from the JSON-ified version, with no daikaiju or
+   * whirlpools placed yet.
+   *
+   * @param {object} json the JSON-ified SeasRules object, as created by
+   * the `toJson` method.
+   * @returns {SeasRules} the new rules
+   */
+  static fromJson(json) {
+    const { daikaiju, maxWhirlpools } = json;
+    return new SeasRules({ daikaiju, maxWhirlpools });
+  }
+}
+
+module.exports = SeasRules;
@@ -1,6 +1,9 @@
 const Tile = require('./tiles');
-const { tiles } = require('./__tests__');
+const tiles = require('./__tests__/tiles');
 const { getTileFromLetters } = require('./utils');
+const { DIRECTIONS_CLOCKWISE } = require('./utils/constants');
+
+const DEGREES_PER_ROTATION = 90;
 
 class SimpleTile extends Tile {
   /**
@@ -19,17 +22,57 @@ class SimpleTile extends Tile {
 
     this.paths = tile.paths;
     this.index = index;
+    this.rotation = 0;
   }
 
   /**
-   * Creates a new copy of this Tile.
+   * Creates a new copy of this Tile, keeping its index and rotation.
    *
+   * @param {number} [rotations] rotations to perform on the new copy
    * @returns {SimpleTile} a copy of this Tile
    */
-  copy() {
-    const copy = super.copy();
-    copy.index = this.index;
-    return copy;
+  copy(rotations = 0) {
+    const copy = new SimpleTile(this.index);
+    return copy.rotate(this.rotation + rotations);
+  }
+
+  /**
+   * Rotates the tile 90 degrees clockwise per number of rotations given,
+   * keeping track of the total rotation from the original tile.
+   *
+   * @param {number} rotations the amount of 90-degree clockwise rotations
+   * to perform
+   * @returns {SimpleTile} this tile, rotated
+   */
+  rotate(rotations) {
+    super.rotate(rotations);
+    this.rotation = (this.rotation + rotations) % DIRECTIONS_CLOCKWISE.length;
+    return this;
+  }
+
+  /**
+   * Converts this SimpleTile object into JSON to be sent over a TCP
+   * server connection.
+   *
+   * @returns {object} a JSON-ified SimpleTile object
+   */
+  toJson() {
+    return {
+      index: this.index,
+      rotation: this.rotation * DEGREES_PER_ROTATION,
+    };
+  }
+
+  /**
+   * @static
+   * Creates a new SimpleTile object from the JSON-ified version.
+   *
+   * @param {object} json the JSON-ified SimpleTile object, as created
+   * by the `toJson` method.
+   */
+  static fromJson(json) {
+    const { index, rotation = 0 } = json;
+    return new SimpleTile(index).rotate(rotation / DEGREES_PER_ROTATION);
   }
 }
 
@@ -0,0 +1,133 @@
+const { getLetterFromPosition } = require('./utils');
+
+const CELL_WIDTH = 3;
+const CELLS = {
+  EMPTY: '.',
+  TILE: '#',
+  WHIRLPOOL: '@',
+  DAIKAIJU: '&',
+  NEXT: '*',
+  CROWDED: '+',
+};
+const TILE_GAP = '  ';
+
+class TextRenderer {
+  /**
+   * @private @static
+   * Pads the given text to be centered in a board cell.
+   *
+   * @param {string} text the text of the cell
+   * @returns {string} the padded cell
+   */
+  static _toCell(text) {
+    const left = Math.floor((CELL_WIDTH - text.length) / 2);
+    return text.padStart(text.length + left).padEnd(CELL_WIDTH);
+  }
+
+  /**
+   * @static
+   * Gets the initial used to draw an avatar of the given color.
+   *
+   * @param {string} color the color of the avatar
+   * @returns {string} the initial of the color, or `?` if it has none
+   */
+  static getAvatarInitial(color) {
+    return color ? color.charAt(0).toUpperCase() : '?';
+  }
+
+  /**
+   * @static
+   * Renders the given board state as text. Every cell shows a tile (`#`),
+   * whirlpool (`@`), daikaiju (`&`), empty space (`.`), or the initial of
+   * the color of the avatar standing there (`+` if several are). The given
+   * coordinates, such as an avatar's next square, are marked with a `*`.
+   *
+   * @param {BoardState} boardState the board state to render
+   * @param {Coords} [highlightCoords] the coordinates to mark
+   * @returns {string[]} the lines of the rendered board
+   */
+  static renderBoard(boardState, highlightCoords) {
+    const { boardSize } = boardState.config;
+    const avatarsAt = {};
+    boardState
+      .getAvatars()
+      .filter(avatar => !avatar.hasLost())
+      .forEach(avatar => {
+        const hash = avatar.coords.getHash();
+        avatarsAt[hash] = [...(avatarsAt[hash] || []), avatar];
+      });
+
+    const daikaiju = boardState.getDaikaiju();
+
+    const indices = [...Array(boardSize).keys()];
+    const header = `${' '.repeat(CELL_WIDTH)}${indices.map(i => this._toCell(String(i))).join('')}`;
+    const rows = indices.map(y => {
+      const cells = indices.map(x => {
+        const coords = boardState.toBoardCoords({ x, y });
+        const avatars = avatarsAt[coords.getHash()] || [];
+        const tile = boardState.getTile(coords);
+        if (avatars.length > 1) {
+          return this._toCell(CELLS.CROWDED);
+        } else if (avatars.length === 1) {
+          return this._toCell(this.getAvatarInitial(avatars[0].color));
+        } else if (highlightCoords && coords.isEqualTo(highlightCoords)) {
+          return this._toCell(CELLS.NEXT);
+        } else if (daikaiju.some(daikaijuCoords => daikaijuCoords.isEqualTo(coords))) {
+          return this._toCell(CELLS.DAIKAIJU);
+        } else if (tile && tile.isWhirlpool) {
+          return this._toCell(CELLS.WHIRLPOOL);
+        }
+        return this._toCell(tile ? CELLS.TILE : CELLS.EMPTY);
+      });
+      return `${String(y).padStart(CELL_WIDTH - 1)} ${cells.join('')}`;
+    });
+    return [header, ...rows];
+  }
+
+  /**
+   * @static
+   * Renders the given tile as text. The ports around the box are labeled
+   * with their letters, from `A` (north, port 0) to `H` (west, port 1)
+   * clockwise, and the inside lists the pairs of ports joined by a path.
+   *
+   * @param {Tile} tile the tile to render
+   * @returns {string[]} the lines of the rendered tile
+   */
+  static renderTile(tile) {
+    const pairs = tile.paths
+      .map(path => [getLetterFromPosition(path.start), getLetterFromPosition(path.end)].sort())
+      .sort()
+      .map(pair => pair.join(''));
+    const [first = '  ', second = '  ', third = '  ', fourth = '  '] = pairs;
+
+    return [
+      '┌──A─B──┐',
+      `H ${first} ${second} C`,
+      '│       │',
+      `G ${third} ${fourth} D`,
+      '└──F─E──┘',
+    ];
+  }
+
+  /**
+   * @static
+   * Renders the given tiles side by side as text, each with a label
+   * above it.
+   *
+   * @param {Tile[]} tiles the tiles to render
+   * @param {string[]} labels the label of each tile
+   * @returns {string[]} the lines of the rendered tiles
+   */
+  static renderTiles(tiles, labels) {
+    const renders = tiles.map(tile => this.renderTile(tile));
+    const width = renders.length > 0 ? renders[0][0].length : 0;
+    const labelLine = labels.map(label => label.padEnd(width)).join(TILE_GAP);
+    const lines =
+      renders.length > 0
+        ? renders[0].map((line, i) => renders.map(render => render[i]).join(TILE_GAP))
+        : [];
+    return [labelLine, ...lines];
+  }
+}
+
+module.exports = TextRenderer;
@@ -0,0 +1,63 @@
+const Tile = require('./tiles');
+
+class WhirlpoolTile extends Tile {
+  /**
+   * @constructor
+   * Creates a new whirlpool tile, from the Tsuro of the Seas variant. A
+   * whirlpool has no paths, so an avatar that moves onto it has no way
+   * out, and sinks.
+   */
+  constructor() {
+    super([]);
+    this.isWhirlpool = true;
+  }
+
+  /**
+   * Creates a new copy of this whirlpool. Whirlpools look the same in
+   * every rotation.
+   *
+   * @returns {WhirlpoolTile} a copy of this whirlpool
+   */
+  copy() {
+    return new WhirlpoolTile();
+  }
+
+  /**
+   * Renders this whirlpool to the given selection.
+   *
+   * @param {d3.Selection} selection the current D3 selection
+   * @param {number} x the x position of the tile
+   * @param {number} y the y position of the tile
+   * @param {number} size the size of the tile
+   * @returns {d3.Selection} the rendered tile group
+   */
+  render(selection, x, y, size) {
+    const group = super.render(selection, x, y, size);
+    group.select('.tile-bg').classed('tile-bg--whirlpool', true);
+    return group;
+  }
+
+  /**
+   * Converts this WhirlpoolTile object into JSON to be sent over a TCP
+   * server connection.
+   *
+   * @returns {object} a JSON-ified WhirlpoolTile object
+   */
+  toJson() {
+    return {
+      whirlpool: true,
+    };
+  }
+
+  /**
+   * @static
+   * Creates a new WhirlpoolTile object from the JSON-ified version.
+   *
+   * @returns {WhirlpoolTile} the whirlpool
+   */
+  static fromJson() {
+    return new WhirlpoolTile();
+  }
+}
+
+module.exports = WhirlpoolTile;
@@ -0,0 +1,38 @@
+const MessageFramer = require('../MessageFramer');
+
+/**
+ * Handles feeding the given chunks of data through a message framer, one
+ * chunk at a time, as they would arrive from a socket, before ending the
+ * data. Then, prints every message put out, and the message action of the
+ * error the framer stopped on, if any.
+ *
+ * @param {object} input the framing instructions
+ * @param {string[]} input.chunks the chunks of data to feed, in order
+ * @param {number} [input.maxMessageSize] the maximum size of a single
+ * message, in bytes
+ * @returns {Promise} a promise that resolves once the output is printed
+ */
+const handleFraming = ({ chunks, maxMessageSize }) =>
+  new Promise(resolve => {
+    const framer = new MessageFramer(maxMessageSize);
+    const messages = [];
+
+    const printOutput = error => {
+      console.log(JSON.stringify({ messages, error }));
+      resolve();
+    };
+
+    framer.on('data', message => messages.push(message));
+    framer.on('error', printOutput);
+    framer.on('end', () => printOutput(null));
+
+    for (const chunk of chunks) {
+      if (framer.destroyed) {
+        return;
+      }
+      framer.write(chunk);
+    }
+    framer.end();
+  });
+
+module.exports = handleFraming;
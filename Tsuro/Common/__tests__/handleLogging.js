@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Logger = require('../../Remote/Logger');
+
+const LOG_FILE = 'test.log';
+
+/**
+ * Gets the printed form of the given line of the log file. Timestamps,
+ * which change every run, are printed by whether they are valid alone.
+ *
+ * @param {string} line the line of the log file
+ * @returns {object} the printed event
+ */
+const printEvent = line => {
+  const event = JSON.parse(line);
+  return { ...event, timestamp: new Date(event.timestamp).toISOString() === event.timestamp };
+};
+
+/**
+ * Handles logging the given events to a log file in a new temporary
+ * directory, with the given logger options. Then, prints every line put
+ * out to the terminal, and the events of every log file, by file name.
+ *
+ * Each event is a `{ method, gameId, playerId, args }` object, calling
+ * the logger method of the given name with the given arguments, on the
+ * child logger for the given game and player, if any. The `close` method
+ * closes the log file.
+ *
+ * @param {object} input the logging instructions
+ * @param {object} [input.options={}] the options to create the logger with
+ * @param {object[]} input.events the events to log, in order
+ */
+const handleLogging = ({ options = {}, events }) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tsuro-'));
+  const terminal = [];
+  const { log } = console;
+  console.log = line => terminal.push(line);
+
+  try {
+    const logger = new Logger(path.join(directory, LOG_FILE), options);
+    events.forEach(({ method, gameId, playerId, args = [] }) => {
+      let child = gameId ? logger.forGame(gameId) : logger;
+      child = playerId ? child.forPlayer(playerId) : child;
+      child[method](...args);
+    });
+    logger.close();
+
+    const files = fs
+      .readdirSync(directory)
+      .sort()
+      .reduce((acc, name) => {
+        const lines = fs.readFileSync(path.join(directory, name), 'utf8').split('\n');
+        return { ...acc, [name]: lines.filter(Boolean).map(printEvent) };
+      }, {});
+    console.log = log;
+    console.log(JSON.stringify({ terminal, files }));
+  } catch (err) {
+    console.log = log;
+    console.log(JSON.stringify(err));
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+};
+
+module.exports = handleLogging;
@@ -9,7 +9,9 @@ const { tiles } = require('.');
 const Player = require('../../Player/Player');
 const getMessage = require('./getMessage');
 const isValidPlacement = require('./isValidPlacement');
+const isValidRemoval = require('./isValidRemoval');
 const { COLORS } = require('./constants');
+const { STRATEGIES } = require('../utils/constants');
 
 /**
  * Handles parsing the placements as directed by the user, and using them on
@@ -27,7 +29,7 @@ const handlePlacements = (placements, printResponses = true) => {
 
   /**
    * Uses the given placements array to make tile and avatar placements onto
-   * the board.
+   * the board, and to remove tiles from it.
    *
    * @param {array[]} placements the placements array
    *
@@ -54,7 +56,7 @@ const handlePlacements = (placements, printResponses = true) => {
      * @param {array} placement the initial placement JSON array
      */
     const handleInitialPlacement = ([tileIndex, rotation, color, port, x, y]) => {
-      const player = new Player(color, color);
+      const player = new Player(color, color, STRATEGIES.DUMB);
       player.setColor(color);
 
       const tile = getTileFromLetters(tiles[tileIndex]).rotate(rotation / 90);
@@ -65,11 +67,23 @@ const handlePlacements = (placements, printResponses = true) => {
       jsonBoard[x][y] = { tileIndex, rotation };
     };
 
+    /**
+     * Handles a removal, taking a tile off the board, as a daikaiju does.
+     *
+     * @param {array} removal the removal JSON array
+     */
+    const handleRemoval = ([, x, y]) => {
+      board.removeTile(new Coords(x, y));
+      jsonBoard[x][y] = null;
+    };
+
     placements.forEach(placement => {
       if (isValidPlacement(placement, true)) {
         handleInitialPlacement(placement);
       } else if (isValidPlacement(placement, false)) {
         handleIntermediatePlacement(placement);
+      } else if (isValidRemoval(placement)) {
+        handleRemoval(placement);
       } else {
         throw 'Invalid placement instruction';
       }
@@ -79,7 +93,7 @@ const handlePlacements = (placements, printResponses = true) => {
   /**
    * Gets the responses for each of the defined colors. Determines
    * whether the color was ever played, if it collided, if it exited,
-   * or, if none of the above, the current position of the color.
+   * if it looped, or, if none of the above, the current position of the color.
    *
    * @returns {array[]} an array of responses
    */
@@ -92,6 +106,8 @@ const handlePlacements = (placements, printResponses = true) => {
         return [color, ' collided'];
       } else if (avatar.hasExited()) {
         return [color, ' exited'];
+      } else if (avatar.hasLooped()) {
+        return [color, ' looped'];
       }
 
       const {
@@ -0,0 +1,180 @@
+const { createConnection } = require('net');
+const MessageFramer = require('../MessageFramer');
+const Message = require('../message');
+const Server = require('../../Remote/Server');
+const WebSocketConnection = require('../../Remote/WebSocketConnection');
+const WebSocketTransport = require('../../Remote/WebSocketTransport');
+const { MESSAGE_ACTIONS } = require('../utils/constants');
+
+const IP_ADDRESS = '127.0.0.1';
+const STEP_TIMEOUT = 5000;
+const TRANSPORTS = {
+  TCP: 'tcp',
+  WEBSOCKET: 'websocket',
+};
+// Messages printed whole, as the outcome of a handshake
+const HANDSHAKE_ACTIONS = [MESSAGE_ACTIONS.SET_UNIQUE_NAME, MESSAGE_ACTIONS.DENY_ENTRY];
+// Session IDs, which are random, are left out of every printed player ID
+const SESSION_ID_SUFFIX = /#[0-9a-z]+/g;
+
+/**
+ * Gets the printed form of the given message. Handshake messages are
+ * printed whole, with only whether a session token was given; every
+ * other message is printed by its action alone.
+ *
+ * @param {object} message the message received
+ * @returns {string|object} the printed message
+ */
+const printMessage = ({ action, payload }) => {
+  if (!HANDSHAKE_ACTIONS.includes(action)) {
+    return action;
+  }
+  if (action === MESSAGE_ACTIONS.SET_UNIQUE_NAME) {
+    return { action, payload: { ...payload, token: !!payload.token } };
+  }
+  return { action, payload };
+};
+
+/**
+ * Waits for the given transport's server to begin listening, then gets
+ * its port.
+ *
+ * @param {BaseTransport} transport the transport listening for clients
+ * @returns {Promise<number>} the port of the transport
+ */
+const getPort = ({ server }) =>
+  new Promise(resolve => {
+    if (server.listening) {
+      resolve(server.address().port);
+    } else {
+      server.once('listening', () => resolve(server.address().port));
+    }
+  });
+
+/**
+ * Connects a new client to the server at the given port.
+ *
+ * @param {boolean} isWebSocket whether to connect over a WebSocket, rather
+ * than a TCP socket
+ * @param {number} port the port of the server
+ * @returns {net.Socket|WebSocketConnection} the client's connection
+ */
+const createSocket = (isWebSocket, port) => {
+  if (!isWebSocket) {
+    return createConnection({ port, host: IP_ADDRESS });
+  }
+  const connection = new WebSocketConnection(true);
+  connection.connect(port, IP_ADDRESS);
+  return connection;
+};
+
+/**
+ * Handles running the given steps against a server, as clients connected
+ * over the given transport. Each client connects on its first step. Then,
+ * prints the messages every client received, by client name.
+ *
+ * Each step is one of:
+ * - `{ client, send }`, sending the given message from the client
+ * - `{ client, resume }`, sending a `resume` message from the client, with
+ *   the session token given to the named client, if any
+ * - `{ client, until }`, waiting until the client has received a message
+ *   with the given action
+ * - `{ client, drop }`, ending the client's connection
+ * - `{ wait }`, waiting for the given time, in milliseconds
+ *
+ * @param {object} input the session instructions
+ * @param {string} [input.transport='tcp'] the transport clients connect
+ * over, `tcp` or `websocket`
+ * @param {object} [input.server={}] the options to create the server with
+ * @param {object[]} input.steps the steps to run, in order
+ * @returns {Promise} a promise that resolves once the output is printed
+ */
+const handleSession = async ({ transport = TRANSPORTS.TCP, server = {}, steps }) => {
+  const isWebSocket = transport === TRANSPORTS.WEBSOCKET;
+  const webSocketTransport = new WebSocketTransport(IP_ADDRESS, 0);
+  const { transports } = new Server(IP_ADDRESS, 0, undefined, {
+    useStandby: false,
+    log: { quiet: true },
+    ...server,
+    transports: isWebSocket ? [webSocketTransport] : [],
+  });
+  const port = await getPort(isWebSocket ? webSocketTransport : transports[0]);
+
+  const clients = {};
+  const getClient = name => {
+    if (!clients[name]) {
+      const socket = createSocket(isWebSocket, port);
+      const client = {
+        socket,
+        ready: new Promise(resolve => socket.once('connect', resolve)),
+        received: [],
+        token: null,
+        waiting: null,
+      };
+      const framer = new MessageFramer();
+      framer.on('data', message => {
+        client.received.push(message);
+        if (message.action === MESSAGE_ACTIONS.SET_UNIQUE_NAME) {
+          client.token = message.payload.token;
+        }
+        if (client.waiting && client.waiting.action === message.action) {
+          client.waiting.resolve();
+        }
+      });
+      socket.pipe(framer);
+      socket.on('error', () => {});
+      clients[name] = client;
+    }
+    return clients[name];
+  };
+
+  const runStep = async step => {
+    const { client: name, send, resume, until, drop, wait } = step;
+    const client = name && getClient(name);
+    if (client) {
+      await client.ready;
+    }
+
+    return new Promise((resolve, reject) => {
+      if (wait !== undefined) {
+        setTimeout(resolve, wait);
+      } else if (send || resume !== undefined) {
+        const message = send
+          ? new Message(send.action, send.payload)
+          : new Message(MESSAGE_ACTIONS.RESUME, { token: (clients[resume] || {}).token || null });
+        client.socket.write(message.toString());
+        resolve();
+      } else if (drop) {
+        client.socket.end();
+        resolve();
+      } else if (client.received.some(message => message.action === until)) {
+        resolve();
+      } else {
+        const timer = setTimeout(() => reject(`${name} never received ${until}`), STEP_TIMEOUT);
+        client.waiting = {
+          action: until,
+          resolve: () => {
+            clearTimeout(timer);
+            client.waiting = null;
+            resolve();
+          },
+        };
+      }
+    });
+  };
+
+  try {
+    for (const step of steps) {
+      await runStep(step);
+    }
+    const output = Object.keys(clients).reduce(
+      (acc, name) => ({ ...acc, [name]: clients[name].received.map(printMessage) }),
+      {}
+    );
+    console.log(JSON.stringify(output).replace(SESSION_ID_SUFFIX, ''));
+  } catch (err) {
+    console.log(JSON.stringify(err));
+  }
+};
+
+module.exports = handleSession;
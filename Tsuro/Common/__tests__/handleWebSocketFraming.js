@@ -0,0 +1,122 @@
+const { EventEmitter } = require('events');
+const { randomBytes } = require('crypto');
+const MessageFramer = require('../MessageFramer');
+const WebSocketConnection = require('../../Remote/WebSocketConnection');
+
+const FIN_BIT = 0x80;
+const RSV_SHIFT = 4;
+const MASK_BIT = 0x80;
+const MASK_SIZE = 4;
+const REPLY_TYPES = {
+  0x8: 'close',
+  0x9: 'ping',
+  0xa: 'pong',
+};
+
+/**
+ * Creates a frame as a client would send it. Frames are masked unless
+ * told otherwise. Only payloads short enough for a single length byte
+ * are supported.
+ *
+ * @param {object} frame the frame to create
+ * @param {number} frame.opcode the opcode of the frame
+ * @param {string} [frame.payload=''] the payload of the frame
+ * @param {boolean} [frame.fin=true] whether this is the final frame of
+ * its message
+ * @param {number} [frame.rsv=0] the reserved bits to set, from 0 to 7
+ * @param {boolean} [frame.masked=true] whether the frame is masked
+ * @returns {Buffer} the frame
+ */
+const createFrame = ({ opcode, payload = '', fin = true, rsv = 0, masked = true }) => {
+  const data = Buffer.from(payload);
+  const header = Buffer.from([
+    (fin ? FIN_BIT : 0) | (rsv << RSV_SHIFT) | opcode,
+    (masked ? MASK_BIT : 0) | data.length,
+  ]);
+  if (!masked) {
+    return Buffer.concat([header, data]);
+  }
+  const mask = randomBytes(MASK_SIZE);
+  const maskedData = data.map((byte, i) => byte ^ mask[i % MASK_SIZE]);
+  return Buffer.concat([header, mask, maskedData]);
+};
+
+/**
+ * Reads the frames the server side of the connection sent in reply.
+ *
+ * @param {Buffer} data the data written to the socket
+ * @returns {object[]} the replies, each with its `type`, and either the
+ * status `code` of a close frame or the `payload` of any other frame
+ */
+const readReplies = data => {
+  const replies = [];
+  let offset = 0;
+  while (offset < data.length) {
+    const type = REPLY_TYPES[data[offset] & 0x0f] || 'data';
+    const length = data[offset + 1];
+    const payload = data.slice(offset + 2, offset + 2 + length);
+    replies.push(
+      type === 'close'
+        ? { type, code: payload.readUInt16BE(0) }
+        : { type, payload: String(payload) }
+    );
+    offset += 2 + length;
+  }
+  return replies;
+};
+
+/**
+ * Handles feeding the given frames, as sent by a client, through the
+ * server side of a WebSocket connection, in chunks of the given size, as
+ * they would arrive from a socket, before ending the data. The data the
+ * connection puts out is framed into messages. Then, prints every
+ * message framed, the message action of the error the framer stopped on,
+ * if any, and every frame the connection sent in reply.
+ *
+ * @param {object} input the framing instructions
+ * @param {object[]} input.frames the frames to send, in order
+ * @param {number} [input.chunkSize] the size of each chunk of data, in
+ * bytes; all the data arrives at once if not given
+ * @returns {Promise} a promise that resolves once the output is printed
+ */
+const handleWebSocketFraming = ({ frames, chunkSize }) =>
+  new Promise(resolve => {
+    const written = [];
+    const socket = new EventEmitter();
+    socket.destroyed = false;
+    socket.write = (data, callback) => {
+      written.push(data);
+      if (callback) {
+        callback();
+      }
+    };
+    socket.end = () => {};
+    socket.destroy = () => {
+      socket.destroyed = true;
+    };
+
+    const connection = new WebSocketConnection();
+    const framer = new MessageFramer();
+    const messages = [];
+
+    const printOutput = error => {
+      const replies = readReplies(Buffer.concat(written));
+      console.log(JSON.stringify({ messages, error, replies }));
+      resolve();
+    };
+
+    framer.on('data', message => messages.push(message));
+    framer.on('error', printOutput);
+    framer.on('end', () => printOutput(null));
+    connection.pipe(framer);
+    connection.attach(socket);
+
+    const data = Buffer.concat(frames.map(createFrame));
+    const size = chunkSize || data.length;
+    for (let offset = 0; offset < data.length; offset += size) {
+      socket.emit('data', data.slice(offset, offset + size));
+    }
+    socket.emit('end');
+  });
+
+module.exports = handleWebSocketFraming;
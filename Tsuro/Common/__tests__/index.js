@@ -1,4 +1,9 @@
 exports.tiles = require('./tiles');
 exports.getInput = require('./getInput');
+exports.handleFraming = require('./handleFraming');
+exports.handleWebSocketFraming = require('./handleWebSocketFraming');
+exports.handleSession = require('./handleSession');
+exports.handleLogging = require('./handleLogging');
 exports.handlePlacements = require('./handlePlacements');
 exports.isValidPlacement = require('./isValidPlacement');
+exports.isValidRemoval = require('./isValidRemoval');
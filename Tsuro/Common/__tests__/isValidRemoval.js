@@ -0,0 +1,18 @@
+const REMOVE = 'remove';
+
+/**
+ * Whether the given instruction is a valid removal instruction, which
+ * removes the tile at the given coordinates from the board.
+ *
+ * @param {any} removal the user instruction to check
+ * @returns {boolean} whether the removal instruction is valid
+ */
+const isValidRemoval = removal => {
+  if (!Array.isArray(removal) || removal.length !== 3) {
+    return false;
+  }
+  const [action, x, y] = removal;
+  return action === REMOVE && [x, y].every(val => Number.isInteger(val) && val >= 0 && val <= 9);
+};
+
+module.exports = isValidRemoval;
@@ -1,5 +1,9 @@
 const { Coords, Position } = require('.');
 const RenderUtils = require('./renderUtils');
+const { getLetterFromPosition, getPositionFromLetter } = require('./utils');
+
+// How long each hop of a move takes to appear when animated, in seconds
+const HOP_DURATION = 0.25;
 
 class Avatar {
   /**
@@ -9,8 +13,25 @@ class Avatar {
    * @param {string} color the avatar color
    * @param {Coords} [coords] the initial coordinates of the avatar
    * @param {Position} [position] the initial position on a tile
+   * @param {boolean} [collided=false] whether the avatar has collided
+   * @param {boolean} [exited=false] whether the avatar has exited the board
+   * @param {boolean} [looped=false] whether the avatar is caught in a loop
+   * @param {boolean} [sunk=false] whether the avatar has sunk
+   * @param {object[]} [trail=[]] every hop the avatar has taken, each with
+   * the `coords` of the tile and the `start` and `end` positions of the path
+   * followed across it
    */
-  constructor(id, color, coords, position, collided = false, exited = false) {
+  constructor(
+    id,
+    color,
+    coords,
+    position,
+    collided = false,
+    exited = false,
+    looped = false,
+    sunk = false,
+    trail = []
+  ) {
     this.id = id;
     this.color = color;
 
@@ -19,6 +40,9 @@ class Avatar {
 
     this._collided = collided;
     this._exited = exited;
+    this._looped = looped;
+    this._sunk = sunk;
+    this._trail = trail;
     this._updateHash();
   }
 
@@ -46,6 +70,13 @@ class Avatar {
     if (this.hasCollided()) {
       avatar.collide();
     }
+    if (this.hasLooped()) {
+      avatar.loop();
+    }
+    if (this.hasSunk()) {
+      avatar.sink();
+    }
+    avatar._trail = [...this._trail];
     return avatar;
   }
 
@@ -59,6 +90,28 @@ class Avatar {
     return this;
   }
 
+  /**
+   * Marks this Avatar as being caught in a loop, following a path that
+   * never ends.
+   *
+   * @returns {Avatar} this avatar, looped
+   */
+  loop() {
+    this._looped = true;
+    return this;
+  }
+
+  /**
+   * Marks this Avatar as having sunk, by losing the tile beneath it or
+   * moving onto a tile with no way out.
+   *
+   * @returns {Avatar} this avatar, sunk
+   */
+  sink() {
+    this._sunk = true;
+    return this;
+  }
+
   /**
    * @static
    * Static method for generating an Avatar hash, using the
@@ -82,13 +135,13 @@ class Avatar {
   }
 
   /**
-   * Checks whether this Avatar has lost, either by colliding
-   * or exiting the board.
+   * Checks whether this Avatar has lost, either by colliding,
+   * exiting the board, being caught in a loop, or sinking.
    *
    * @returns {boolean} whether this Avatar has lost
    */
   hasLost() {
-    return this._collided || this._exited;
+    return this._collided || this._exited || this._looped || this._sunk;
   }
 
   /**
@@ -109,6 +162,24 @@ class Avatar {
     return this._exited;
   }
 
+  /**
+   * Checks whether this Avatar is caught in a loop.
+   *
+   * @returns {boolean} whether this Avatar looped
+   */
+  hasLooped() {
+    return this._looped;
+  }
+
+  /**
+   * Checks whether this Avatar has sunk.
+   *
+   * @returns {boolean} whether this Avatar sunk
+   */
+  hasSunk() {
+    return this._sunk;
+  }
+
   /**
    * Moves this Avatar to the given coords and position.
    *
@@ -121,6 +192,33 @@ class Avatar {
     this._updateHash();
   }
 
+  /**
+   * Adds a hop to the end of this Avatar's trail, for following the path
+   * between the given positions across the tile at the given coordinates.
+   *
+   * @param {Coords} coords the coordinates of the tile crossed
+   * @param {Position} start the position the path was entered at
+   * @param {Position} end the position the path was left at
+   */
+  addHop(coords, start, end) {
+    this._trail.push({ coords: coords.copy(), start: start.copy(), end: end.copy() });
+  }
+
+  /**
+   * Gets a copy of every hop this Avatar has taken since it was placed, in
+   * order.
+   *
+   * @returns {object[]} the hops of the trail, each with the `coords` of the
+   * tile and the `start` and `end` positions of the path followed across it
+   */
+  getTrail() {
+    return this._trail.map(({ coords, start, end }) => ({
+      coords: coords.copy(),
+      start: start.copy(),
+      end: end.copy(),
+    }));
+  }
+
   /**
    * @private
    * Updates this Avatar's hash to match new coordinates and/ors
@@ -167,6 +265,58 @@ class Avatar {
     renderCircle('avatar').attr('fill', this.color);
   }
 
+  /**
+   * Renders this Avatar's trail to the given selection, in its color. The
+   * hops of its last move are drawn bolder than the rest, and may be
+   * animated to appear one after another.
+   *
+   * @param {d3.Selection} selection the current D3 selection
+   * @param {number} xStart the starting x position for the board
+   * @param {number} yStart the starting y position for the board
+   * @param {number} tileSize the size of a board tile
+   * @param {number} [lastMoveStart] the index of the first hop of the last
+   * move; by default, no hops are part of it
+   * @param {boolean} [shouldAnimate=false] whether to animate the hops of
+   * the last move
+   */
+  renderTrail(
+    selection,
+    xStart,
+    yStart,
+    tileSize,
+    lastMoveStart = this._trail.length,
+    shouldAnimate = false
+  ) {
+    const group = selection.append('g').classed('dead', this.hasLost());
+    const lastMoveLength = this._trail.length - lastMoveStart;
+
+    this._trail.forEach(({ coords, start, end }, i) => {
+      const renderUtils = new RenderUtils(
+        xStart + coords.x * tileSize,
+        yStart + coords.y * tileSize,
+        tileSize
+      );
+      const isLastMove = i >= lastMoveStart;
+      const path = group
+        .append('path')
+        .attr('class', isLastMove ? 'path__move' : 'path__trail')
+        .attr('stroke', this.color)
+        .attr('d', renderUtils.getPathCommands(start, end));
+
+      // Each hop stays hidden until the hops before it have appeared
+      if (isLastMove && shouldAnimate) {
+        path
+          .append('animate')
+          .attr('attributeName', 'visibility')
+          .attr('values', 'hidden;visible')
+          .attr('keyTimes', `0;${(i - lastMoveStart) / lastMoveLength}`)
+          .attr('calcMode', 'discrete')
+          .attr('dur', `${lastMoveLength * HOP_DURATION}s`)
+          .attr('fill', 'freeze');
+      }
+    });
+  }
+
   /**
    * Converts this Avatar object into JSON to be sent over a TCP
    * server connection.
@@ -177,10 +327,18 @@ class Avatar {
     return {
       id: this.id,
       color: this.color,
-      coords: this.coords,
-      position: this.position,
+      coords: this.coords.toJson(),
+      position: this.position.toJson(),
       collided: this._collided,
       exited: this._exited,
+      looped: this._looped,
+      sunk: this._sunk,
+      // Trails can grow long, so their ports are sent as letters
+      trail: this._trail.map(({ coords, start, end }) => ({
+        coords: coords.toJson(),
+        start: getLetterFromPosition(start),
+        end: getLetterFromPosition(end),
+      })),
     };
   }
 
@@ -190,16 +348,25 @@ class Avatar {
    *
    * @param {object} json the JSON-ified Avatar object, as created by
    * the `toJson` method.
+   * @param {GameConfig} [config] the configuration of the board the avatar
+   * is on
    */
-  static fromJson(payload) {
-    const { id, color, coords, position, collided, exited } = payload;
+  static fromJson(payload, config) {
+    const { id, color, coords, position, collided, exited, looped, sunk, trail = [] } = payload;
     return new Avatar(
       id,
       color,
-      Coords.fromJson(coords),
+      Coords.fromJson(coords, config),
       Position.fromJson(position),
       collided,
-      exited
+      exited,
+      looped,
+      sunk,
+      trail.map(hop => ({
+        coords: Coords.fromJson(hop.coords, config),
+        start: getPositionFromLetter(hop.start),
+        end: getPositionFromLetter(hop.end),
+      }))
     );
   }
 }
@@ -1,5 +1,6 @@
 const BoardState = require('./boardState');
-const { BOARD_SIZE, DIRECTIONS } = require('./utils/constants');
+const GameConfig = require('./GameConfig');
+const { DIRECTIONS } = require('./utils/constants');
 
 class Board {
   /**
@@ -7,9 +8,11 @@ class Board {
    * cloning Board objects.
    *
    * @param {BoardState} [stateOverride] override for initial state
+   * @param {GameConfig} [config] the configuration of a new board; ignored
+   * if a state override is given
    */
-  constructor(stateOverride) {
-    this._state = new BoardState(stateOverride);
+  constructor(stateOverride, config) {
+    this._state = new BoardState(stateOverride, config);
   }
 
   /**
@@ -94,13 +97,15 @@ class Board {
    * @param {Coords} coords the coordinates to place the tile at
    * @param {Position} position the starting position of the avatar
    * on the tile
+   * @param {boolean} [allowNeighbors=false] whether the tile may be placed
+   * next to existing tiles
    */
-  placeInitialTileAvatar(player, tile, coords, position) {
-    if (this._hasNeighboringTiles(coords)) {
+  placeInitialTileAvatar(player, tile, coords, position, allowNeighbors = false) {
+    if (!allowNeighbors && this._hasNeighboringTiles(coords)) {
       throw 'Tile neighbors existing tile';
     } else if (!this._isTileOnBorder(coords)) {
       throw 'Tile must be placed on Border';
-    } else if (!Board.isAvatarOnOutsidePosition(coords, position)) {
+    } else if (!Board.isAvatarOnOutsidePosition(coords, position, this._state.config)) {
       throw 'Avatar must be placed on an inward-facing port';
     }
     this._placeTileAndUpdate(tile, coords, true);
@@ -118,6 +123,25 @@ class Board {
     this._placeTileAndUpdate(tile, coords);
   }
 
+  /**
+   * Removes the tile at the given coordinates from the board. Avatars on
+   * the removed tile sink.
+   *
+   * @param {Coords} coords the coordinates to remove the tile at
+   */
+  removeTile(coords) {
+    this._state.removeTile(coords);
+  }
+
+  /**
+   * Sets the coordinates of every daikaiju roaming the board.
+   *
+   * @param {Coords[]} daikaiju the coordinates of the daikaiju
+   */
+  setDaikaiju(daikaiju) {
+    this._state.setDaikaiju(daikaiju);
+  }
+
   /**
    * Removes an avatar from the board state.
    *
@@ -145,23 +169,26 @@ class Board {
    *
    * @param {Coords} coords the coordinates of the avatar's tile
    * @param {Position} position the position of the avatar
+   * @param {GameConfig} [config] the configuration of the board, the
+   * default configuration if not given
    * @returns {boolean} whether the initial position is valid
    */
-  static isAvatarOnOutsidePosition(coords, position) {
+  static isAvatarOnOutsidePosition(coords, position, config = GameConfig.getDefault()) {
     const { x, y } = coords;
     const { direction } = position;
+    const lastIdx = config.boardSize - 1;
 
     let isValid = false;
 
     if (x === 0) {
       isValid = direction === DIRECTIONS.WEST;
-    } else if (x === BOARD_SIZE - 1) {
+    } else if (x === lastIdx) {
       isValid = direction === DIRECTIONS.EAST;
     }
 
     if (y === 0) {
       isValid = isValid || direction === DIRECTIONS.NORTH;
-    } else if (y === BOARD_SIZE - 1) {
+    } else if (y === lastIdx) {
       isValid = isValid || direction === DIRECTIONS.SOUTH;
     }
 
@@ -177,47 +204,76 @@ class Board {
    * @returns {boolean} whether the coordinates are on the border
    */
   _isTileOnBorder(coords) {
-    const { x, y } = coords;
-    return x === 0 || x === BOARD_SIZE - 1 || y === 0 || y === BOARD_SIZE - 1;
+    return this._state.config.isOnBorder(coords);
   }
 
   /**
    * @private
-   * Updates the coordinates and position of the given avatar, given that
-   * the avatar has not yet exited the board. Moves the avatar along the board
-   * based on board paths. Marks the avatar as exited if it cannot move further.
+   * Moves the given avatar across the tile it is facing, if any. Marks the
+   * avatar as exited if it is facing off the board, and as sunk if the tile
+   * it moves onto has no way out. Every tile crossed is added to the
+   * avatar's trail.
    *
-   * @param {Avatar} avatar the avatar to update
+   * @param {Avatar} avatar the avatar to move
+   * @returns {object|null} the step taken, with the avatar's `id` and the
+   * hashes of the points it moved `from` and `to`, or null if it did not move
    */
   _updateAvatar(avatar) {
-    if (!avatar.hasExited()) {
-      const position = avatar.position.copy();
-
-      let neighborCoords = null;
-      try {
-        neighborCoords = avatar.coords.copy().moveOne(position.direction);
-      } catch (err) {
-        return avatar.exit();
-      }
-      const neighborTile = this._state.getTile(neighborCoords);
-
-      if (neighborTile) {
-        const intermediatePosition = position.reflect();
-        const finalPosition = neighborTile.getEndingPosition(intermediatePosition);
-        this._state.moveAvatar(avatar.id, neighborCoords, finalPosition);
-        this._updateAvatar(avatar);
-      }
+    const { coords, position } = avatar;
+
+    let neighborCoords = null;
+    try {
+      neighborCoords = coords.copy().moveOne(position.direction);
+    } catch (err) {
+      avatar.exit();
+      return null;
     }
+    const neighborTile = this._state.getTile(neighborCoords);
+    if (!neighborTile) {
+      return null;
+    }
+
+    const from = this._state.getPointHash(coords, position);
+    const intermediatePosition = position.copy().reflect();
+    const finalPosition = neighborTile.getEndingPosition(intermediatePosition);
+    if (!finalPosition) {
+      this._state.moveAvatar(avatar.id, neighborCoords, intermediatePosition);
+      avatar.sink();
+      return null;
+    }
+    this._state.moveAvatar(avatar.id, neighborCoords, finalPosition);
+    avatar.addHop(neighborCoords, intermediatePosition, finalPosition);
+    return { id: avatar.id, from, to: this._state.getPointHash(neighborCoords, finalPosition) };
   }
 
   /**
    * @private
-   * Updates the coordinates and positions of all avatars.
+   * Updates the coordinates and positions of all avatars still in play.
+   * Avatars move at the same time, one tile at a time, until none can move
+   * further; after every step, avatars that meet each other collide. An
+   * avatar that returns to a point it has already visited is caught in a
+   * loop, and is marked as looped.
    */
   _updateAvatars() {
-    this._state.getAvatars().forEach(avatar => {
-      this._updateAvatar(avatar);
-    });
+    let moving = this._state.getAvatars().filter(avatar => !avatar.hasLost());
+    const visited = moving.reduce(
+      (acc, avatar) => Object.assign(acc, { [avatar.id]: new Set([avatar.getHash()]) }),
+      {}
+    );
+
+    while (moving.length > 0) {
+      const steps = moving.map(avatar => this._updateAvatar(avatar)).filter(step => step);
+      this._state.collideAvatars(steps);
+
+      moving = steps.map(({ id }) => this._state.getAvatar(id)).filter(avatar => !avatar.hasLost());
+      moving.forEach(avatar => {
+        if (visited[avatar.id].has(avatar.getHash())) {
+          avatar.loop();
+        }
+        visited[avatar.id].add(avatar.getHash());
+      });
+      moving = moving.filter(avatar => !avatar.hasLooped());
+    }
   }
 
   /**
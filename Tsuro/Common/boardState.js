@@ -1,6 +1,6 @@
-const { Avatar, SimpleTile, Tile } = require('.');
+const { Avatar, Coords, GameConfig, SimpleTile, Tile, WhirlpoolTile } = require('.');
 const { getEmptyBoardArray } = require('./utils');
-const { BOARD_SIZE, DIRECTIONS_CLOCKWISE } = require('./utils/constants');
+const { DIRECTIONS, DIRECTIONS_CLOCKWISE } = require('./utils/constants');
 require('./utils/polyfills');
 
 class BoardState {
@@ -8,19 +8,36 @@ class BoardState {
    * Creates a new Board State.
    *
    * @param {BoardState} [initialState] an override for initial state
+   * @param {GameConfig} [config] the configuration of the board, the
+   * default configuration if not given; ignored if an initial state is given
    */
-  constructor(initialState) {
+  constructor(initialState, config = GameConfig.getDefault()) {
     if (initialState) {
+      this.config = initialState.config;
       this._avatars = initialState._avatars;
       this._initialAvatarHashes = initialState._initialAvatarHashes;
       this._tiles = initialState._tiles;
+      this._daikaiju = initialState._daikaiju || [];
     } else {
+      this.config = config;
       this._avatars = {};
       this._initialAvatarHashes = {};
-      this._tiles = getEmptyBoardArray();
+      this._tiles = getEmptyBoardArray(config.boardSize);
+      this._daikaiju = [];
     }
   }
 
+  /**
+   * Gets a copy of the given coordinates, bound to this board's
+   * configuration, so that they can be moved within this board's bounds.
+   *
+   * @param {Coords} coords the coordinates to copy
+   * @returns {Coords} the copy of the coordinates
+   */
+  toBoardCoords(coords) {
+    return new Coords(coords.x, coords.y, this.config);
+  }
+
   /**
    * Adds an avatar to the board.
    *
@@ -35,12 +52,14 @@ class BoardState {
       throw 'Player already has avatar on board';
     }
     const tile = this.getTile(coords);
-    const avatar = new Avatar(id, player.getColor(), coords, position);
-    this._initialAvatarHashes[avatar.getHash(coords, position)] = id;
+    const avatarCoords = this.toBoardCoords(coords);
+    const avatar = new Avatar(id, player.getColor(), avatarCoords, position);
+    this._initialAvatarHashes[avatar.getHash()] = id;
     this._avatars[id] = avatar;
 
     const endPosition = tile.getEndingPosition(position);
-    this.moveAvatar(id, coords, endPosition);
+    this.moveAvatar(id, avatarCoords, endPosition);
+    avatar.addHop(avatarCoords, position, endPosition);
     return avatar;
   }
 
@@ -65,7 +84,7 @@ class BoardState {
    * @returns {BoardState} a copy of this Board State
    */
   copy() {
-    const newState = new BoardState();
+    const newState = new BoardState(null, this.config);
     newState._avatars = Object.keys(this._avatars).reduce(
       (acc, id) => Object.assign(acc, { [id]: this._avatars[id].copy() }),
       {}
@@ -78,9 +97,30 @@ class BoardState {
       {}
     );
     newState._tiles = this._tiles.map(row => row.map(tile => (tile ? tile.copy() : null)));
+    newState._daikaiju = this.getDaikaiju();
     return newState;
   }
 
+  /**
+   * Removes the tile at the given coordinates, if any. Avatars still in
+   * play on the removed tile are left with nothing beneath them, and sink.
+   *
+   * @param {Coords} coords the coordinates to remove the tile at
+   */
+  removeTile(coords) {
+    const boardCoords = this.toBoardCoords(coords);
+    const { x, y } = boardCoords;
+    if (!this._tiles[x][y]) {
+      return;
+    }
+    this._tiles[x][y] = null;
+    this.getAvatars()
+      .filter(avatar => !avatar.hasLost() && avatar.coords.isEqualTo(boardCoords))
+      .forEach(avatar => {
+        avatar.sink();
+      });
+  }
+
   /**
    * Gets a single avatar with the given ID. Returns null
    * if an avatar with the given ID doesn't exist.
@@ -102,6 +142,26 @@ class BoardState {
     return Object.values(this._avatars);
   }
 
+  /**
+   * Gets the coordinates of every daikaiju roaming the board, as in Tsuro
+   * of the Seas.
+   *
+   * @returns {Coords[]} copies of the daikaiju coordinates
+   */
+  getDaikaiju() {
+    return this._daikaiju.map(coords => coords.copy());
+  }
+
+  /**
+   * Sets the coordinates of every daikaiju roaming the board. Moving onto
+   * a tile does not destroy it; the board event moving the daikaiju does.
+   *
+   * @param {Coords[]} daikaiju the coordinates of the daikaiju
+   */
+  setDaikaiju(daikaiju) {
+    this._daikaiju = daikaiju.map(coords => this.toBoardCoords(coords));
+  }
+
   /**
    * Gets a tile at the given coordinates. Returns null if no
    * tile exists.
@@ -138,7 +198,7 @@ class BoardState {
    */
   _getNeighboringTile(coords, direction) {
     try {
-      const neighborCoords = coords.copy().moveOne(direction);
+      const neighborCoords = this.toBoardCoords(coords).moveOne(direction);
       return this.getTile(neighborCoords);
     } catch (err) {
       return null;
@@ -186,6 +246,60 @@ class BoardState {
     }
   }
 
+  /**
+   * Gets the hash of the point at the given coordinates and position. The
+   * same point on the shared side of two neighboring tiles always has the
+   * same hash, whichever tile it is seen from.
+   *
+   * @param {Coords} coords the coordinates of the tile
+   * @param {Position} position the position on the tile
+   * @returns {string} the hash of the point
+   */
+  getPointHash(coords, position) {
+    const { direction } = position;
+    if (direction === DIRECTIONS.NORTH || direction === DIRECTIONS.WEST) {
+      try {
+        const neighborCoords = this.toBoardCoords(coords).moveOne(direction);
+        return Avatar.generateHash(neighborCoords, position.copy().reflect());
+      } catch (err) {
+        // The point is on the edge of the board, and has no neighboring tile
+      }
+    }
+    return Avatar.generateHash(coords, position);
+  }
+
+  /**
+   * Marks every avatar that meets another as collided, once the given steps
+   * have been taken at the same time. Avatars meet when they end up on the
+   * same point, or when they pass each other along the same path. Avatars
+   * that were already out of play are ignored.
+   *
+   * @param {object[]} steps the steps taken, each with the avatar's `id`
+   * and the hashes of the points it moved `from` and `to`
+   */
+  collideAvatars(steps) {
+    const steppedIds = steps.map(({ id }) => id);
+    const idsByPoint = this.getAvatars()
+      .filter(avatar => steppedIds.includes(avatar.id) || !avatar.hasLost())
+      .reduce((acc, avatar) => {
+        const point = this.getPointHash(avatar.coords, avatar.position);
+        return Object.assign(acc, { [point]: [...(acc[point] || []), avatar.id] });
+      }, {});
+
+    const collidedIds = Object.values(idsByPoint)
+      .filter(ids => ids.length > 1)
+      .reduce((acc, ids) => [...acc, ...ids], []);
+    steps.forEach(step => {
+      if (steps.some(other => other.from === step.to && other.to === step.from)) {
+        collidedIds.push(step.id);
+      }
+    });
+
+    collidedIds.forEach(id => {
+      this._avatars[id].collide();
+    });
+  }
+
   /**
    * Removes the avatar of the given ID from the board.
    *
@@ -196,15 +310,29 @@ class BoardState {
   }
 
   /**
-   * Renders a board to the given selection.
+   * Renders a board to the given selection. The trail of every avatar is
+   * drawn beneath the avatars.
    *
    * @param {d3.Selection} selection the current D3 selection
    * @param {number} xStart the starting x position for the board
    * @param {number} yStart the starting y position for the board
    * @param {number} size the total size of the board
+   * @param {Coords} [highlightCoords] the coordinates of the tile to highlight
+   * @param {object} [lastMoveStarts={}] the index of the first hop of each
+   * avatar's last move, by avatar ID
+   * @param {boolean} [shouldAnimateTrails=false] whether to animate the
+   * hops of each avatar's last move
    */
-  render(selection, xStart, yStart, size, highlightCoords) {
-    const tileSize = size / BOARD_SIZE;
+  render(
+    selection,
+    xStart,
+    yStart,
+    size,
+    highlightCoords,
+    lastMoveStarts = {},
+    shouldAnimateTrails = false
+  ) {
+    const tileSize = size / this.config.boardSize;
 
     const getRenderCoords = (x, y) => {
       const tileX = xStart + x * tileSize;
@@ -235,6 +363,28 @@ class BoardState {
       selection.select('.raise').raise();
     }
 
+    this._daikaiju.forEach(({ x, y }) => {
+      const [tileX, tileY] = getRenderCoords(x, y);
+      selection
+        .append('circle')
+        .attr('class', 'daikaiju')
+        .attr('cx', tileX + tileSize / 2)
+        .attr('cy', tileY + tileSize / 2)
+        .attr('r', tileSize / 3);
+    });
+
+    const trailGroup = selection.append('g');
+    this.getAvatars().forEach(avatar => {
+      avatar.renderTrail(
+        trailGroup,
+        xStart,
+        yStart,
+        tileSize,
+        lastMoveStarts[avatar.id],
+        shouldAnimateTrails
+      );
+    });
+
     const avatarGroup = selection.append('g');
 
     this.getAvatars().forEach(avatar => {
@@ -249,12 +399,14 @@ class BoardState {
    * @returns {object} a JSON-ified BoardState object
    */
   toJson() {
-    const tiles = this._tiles.map(row => row.map(tile => (tile ? tile.index : null)));
+    const tiles = this._tiles.map(row => row.map(tile => (tile ? tile.toJson() : null)));
     const avatars = this.getAvatars().map(avatar => avatar.toJson());
     return {
+      config: this.config.toJson(),
       tiles,
       avatars,
       initialAvatarHashes: this._initialAvatarHashes,
+      daikaiju: this._daikaiju.map(coords => coords.toJson()),
     };
   }
 
@@ -266,19 +418,24 @@ class BoardState {
    * created by the `toJson` method.
    */
   static fromJson(json) {
-    const { tiles, avatars, initialAvatarHashes } = json;
-    const bsTiles = tiles.map(row => row.map(tile => (tile ? new SimpleTile(tile) : null)));
+    const { tiles, avatars, initialAvatarHashes, daikaiju = [] } = json;
+    const config = GameConfig.fromJson(json.config);
+    const parseTile = tile =>
+      tile.whirlpool ? WhirlpoolTile.fromJson(tile) : SimpleTile.fromJson(tile);
+    const bsTiles = tiles.map(row => row.map(tile => (tile ? parseTile(tile) : null)));
     const bsAvatars = avatars.reduce(
       (acc, avatar) =>
         Object.assign(acc, {
-          [avatar.id]: Avatar.fromJson(avatar),
+          [avatar.id]: Avatar.fromJson(avatar, config),
         }),
       {}
     );
     const newState = {
+      config,
       _tiles: bsTiles,
       _avatars: bsAvatars,
       _initialAvatarHashes: initialAvatarHashes,
+      _daikaiju: daikaiju.map(coords => Coords.fromJson(coords, config)),
     };
     return new BoardState(newState);
   }
@@ -1,4 +1,5 @@
-const { BOARD_SIZE, DIRECTIONS } = require('./utils/constants');
+const GameConfig = require('./GameConfig');
+const { DIRECTIONS } = require('./utils/constants');
 
 class Coords {
   /**
@@ -6,10 +7,13 @@ class Coords {
    *
    * @param {number} x the x coordinate
    * @param {number} y the y coordinate
+   * @param {GameConfig} [config] the configuration of the board the
+   * coordinates are on, the default configuration if not given
    */
-  constructor(x, y) {
+  constructor(x, y, config = GameConfig.getDefault()) {
     this.x = x;
     this.y = y;
+    this.config = config;
     this._updateHash();
   }
 
@@ -19,7 +23,7 @@ class Coords {
    * @returns {Coords} a copy of this Coords
    */
   copy() {
-    return new Coords(this.x, this.y);
+    return new Coords(this.x, this.y, this.config);
   }
 
   /**
@@ -40,7 +44,7 @@ class Coords {
    * @returns {boolean} whether the coordinate value is valid
    */
   _isValidCoordinate(value) {
-    return value >= 0 && value < BOARD_SIZE;
+    return value >= 0 && value < this.config.boardSize;
   }
 
   /**
@@ -122,7 +126,7 @@ class Coords {
    * y position changes.
    */
   _updateHash() {
-    this._hash = `${this.x}${this.y}`;
+    this._hash = `${this.x},${this.y}`;
   }
 
   /**
@@ -144,10 +148,12 @@ class Coords {
    *
    * @param {object} json the JSON-ified Coords object, as
    * created by the `toJson` method.
+   * @param {GameConfig} [config] the configuration of the board the
+   * coordinates are on
    */
-  static fromJson(json) {
+  static fromJson(json, config) {
     const { x, y } = json;
-    return new Coords(x, y);
+    return new Coords(x, y, config);
   }
 }
 
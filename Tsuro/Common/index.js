@@ -1,16 +1,23 @@
 require('./utils/polyfills');
 
 exports.RenderUtils = require('./renderUtils');
+exports.TextRenderer = require('./TextRenderer');
+exports.Random = require('./Random');
+exports.GameConfig = require('./GameConfig');
 exports.Coords = require('./coords');
 exports.Position = require('./position');
 exports.Avatar = require('./avatar');
 exports.Path = require('./path');
 exports.Tile = require('./tiles');
 exports.SimpleTile = require('./SimpleTile');
+exports.WhirlpoolTile = require('./WhirlpoolTile');
 exports.BoardState = require('./boardState');
 exports.Board = require('./board');
-exports.RuleChecker = require('./rules');
 
 exports.BaseAction = require('./BaseAction');
 exports.InitialAction = require('./InitialAction');
 exports.IntermediateAction = require('./IntermediateAction');
+
+exports.RuleChecker = require('./rules');
+exports.RuleSet = require('./RuleSet');
+exports.SeasRules = require('./SeasRules');
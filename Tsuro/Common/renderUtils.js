@@ -1,4 +1,5 @@
-const D3Node = require('d3-node');
+const { scaleLinear } = require('d3-scale');
+const { curveBasis, line } = require('d3-shape');
 const { DIRECTIONS } = require('./utils/constants');
 
 const PORT_POINTS = {
@@ -18,16 +19,13 @@ class RenderUtils {
    * @param {number} size the size of the render area
    */
   constructor(x, y, size) {
-    this._d3 = new D3Node().d3;
-
     this.scaleX = this._getRenderScale(x, size);
     this.scaleY = this._getRenderScale(y, size);
 
-    this._getDrawCommands = this._d3
-      .line()
+    this._getDrawCommands = line()
       .x(([x]) => this.scaleX(x))
       .y(([, y]) => this.scaleY(y))
-      .curve(this._d3.curveBasis);
+      .curve(curveBasis);
   }
 
   /**
@@ -40,8 +38,7 @@ class RenderUtils {
    * of a given axis, from 0 to 1
    */
   _getRenderScale(min, size) {
-    return this._d3
-      .scaleLinear()
+    return scaleLinear()
       .domain([0, 1])
       .range([min, min + size]);
   }
@@ -59,6 +56,71 @@ class RenderUtils {
     return this._getDrawCommands(points);
   }
 
+  /**
+   * @private
+   * Gets the mid points of a path between the given start and end points.
+   * This is used to achieve smoothly curved lines that blend into adjacent
+   * tiles.
+   *
+   * @param {number[]} startCoords the starting point of the path
+   * @param {number[]} endCoords the ending point of the path
+   * @returns {number[][]} an array of mid points
+   */
+  _getMidPoints(startCoords, endCoords) {
+    let [midX1, midY1] = startCoords;
+    let [midX2, midY2] = endCoords;
+
+    /**
+     * Gets the closest quarter value. If the value is 1, it'll
+     * return 0.75; otherwise, it'll return 0.25.
+     *
+     * @param {number} val the value to check
+     * @returns {number} the closest quarter value
+     */
+    const getClosestQuarterValue = val => (val === 1 ? 0.75 : 0.25);
+
+    /**
+     * Checks if value is 0 or 1, on a scale from 0 to 1.
+     *
+     * @param {number} val the value to check
+     * @returns {boolean} whether value is 0 or 1
+     */
+    const isZeroOrOne = val => val % 1 === 0;
+
+    if (midY1 === midY2 && isZeroOrOne(midY1)) {
+      midY1 = midY2 = getClosestQuarterValue(midY1);
+    } else if (isZeroOrOne(midX1) && isZeroOrOne(midX2)) {
+      midX1 = getClosestQuarterValue(midX1);
+      midX2 = getClosestQuarterValue(midX2);
+    } else if (isZeroOrOne(midX1)) {
+      midY2 = midY1;
+    } else if (isZeroOrOne(midX2)) {
+      midY1 = midY2;
+    } else {
+      midY1 = getClosestQuarterValue(midY1);
+      midY2 = getClosestQuarterValue(midY2);
+    }
+
+    return [[midX1, midY1], [midX2, midY2]];
+  }
+
+  /**
+   * Gets the draw commands for an svg `path` along a tile's path, from
+   * the given starting position to the given ending position.
+   *
+   * @param {Position} start the starting position of the path
+   * @param {Position} end the ending position of the path
+   * @returns {string} the draw commands to pass to the `d`
+   * attribute of a path
+   */
+  getPathCommands(start, end) {
+    const startCoords = this.getPositionCoords(start);
+    const endCoords = this.getPositionCoords(end);
+    const points = [startCoords, ...this._getMidPoints(startCoords, endCoords), endCoords];
+
+    return this.getDrawCommands(points);
+  }
+
   /**
    * Gets the render coordinates for a given position.
    *
@@ -1,4 +1,17 @@
-const Board = require('./board');
+const { Board, InitialAction, IntermediateAction, Position } = require('.');
+const { DIRECTIONS, DIRECTIONS_CLOCKWISE, PORTS } = require('./utils/constants');
+
+// Every position on a tile, clockwise from the north
+const POSITIONS = DIRECTIONS_CLOCKWISE.reduce(
+  (acc, direction) => [
+    ...acc,
+    new Position(direction, PORTS.ZERO),
+    new Position(direction, PORTS.ONE),
+  ],
+  []
+);
+// Directions for walking the border clockwise from the north-west corner
+const BORDER_WALK = [DIRECTIONS.EAST, DIRECTIONS.SOUTH, DIRECTIONS.WEST, DIRECTIONS.NORTH];
 
 class RuleChecker {
   /**
@@ -40,6 +53,23 @@ class RuleChecker {
     );
   }
 
+  /**
+   * @private
+   * Checks whether the given avatar has eliminated itself, by being moved to the edge of the board, by being
+   * caught in a loop, or by sinking.
+   *
+   * @param {Avatar} avatar the avatar after a move
+   * @param {GameConfig} config the configuration of the board the avatar is on
+   * @returns {boolean} whether the avatar has eliminated itself
+   */
+  static _isAvatarSuicidal(avatar, config) {
+    return (
+      avatar.hasLooped() ||
+      avatar.hasSunk() ||
+      Board.isAvatarOnOutsidePosition(avatar.coords, avatar.position, config)
+    );
+  }
+
   /**
    * Returns whether the tilePlacement is a valid move where it does not result in the given player's suicide on the
    * given board.
@@ -54,8 +84,7 @@ class RuleChecker {
     const boardCopy = new Board(boardState.copy());
     boardCopy.placeTile(tilePlacement.tile, tilePlacement.coords);
     const avatarCopy = boardCopy.getAvatar(player.id);
-
-    return !Board.isAvatarOnOutsidePosition(avatarCopy.coords, avatarCopy.position);
+    return !this._isAvatarSuicidal(avatarCopy, boardState.config);
   }
 
   /**
@@ -70,7 +99,7 @@ class RuleChecker {
     if (this.checkPlacementValidity(boardState, tilePlacement, player)) {
       return true;
     }
-    return this._doesPlayerHaveValidMove(boardState, tilePlacement.coords, player);
+    return this._doesPlayerHaveValidMove(boardState, player);
   }
 
   /**
@@ -95,30 +124,14 @@ class RuleChecker {
   }
 
   /**
-   * Returns whether any tile in the given player's hand keeps the player alive if placed at the given coord.
+   * Returns whether any tile in the given player's hand keeps the player alive if placed next to their avatar.
    *
    * @param {BoardState} boardState is a representation of the board and the current state of the game
-   * @param {Coordinates} coords where the tile will be placed
    * @param {Player} player is the player intending on the action
    * @returns {boolean} true if any one tile keeps the player alive, false if all cards lead to death
    */
-  static _doesPlayerHaveValidMove(boardState, coords, player) {
-    const { hand, id } = player;
-    // For each tile in hand, test for a tile that keeps the player alive
-    return hand.some(tile => {
-      // Test all four rotations
-      for (let j = 0; j < 4; j++) {
-        const boardCopy = new Board(boardState.copy());
-        const tileCopy = tile.copy(j);
-        boardCopy.placeTile(tileCopy, coords);
-        const avatarCopy = boardCopy.getAvatar(id);
-        // If the player does not end up at the edge, they are alive return true
-        if (!Board.isAvatarOnOutsidePosition(avatarCopy.coords, avatarCopy.position)) {
-          return true;
-        }
-      }
-      return false;
-    });
+  static _doesPlayerHaveValidMove(boardState, player) {
+    return this.getLegalIntermediateActions(boardState, player).some(action => !action.isSuicidal);
   }
 
   /**
@@ -130,15 +143,17 @@ class RuleChecker {
    * @param {Coords} coords the coordinates to place the avatar at
    * @param {Tile} tile the tile the avatar is attempting to be placed on
    * @param {Position} position the position the avatar is attempting to be set as
+   * @param {boolean} [allowNeighbors=false] whether the tile may be placed next to existing tiles
    * @returns {boolean} whether the player can place their avatar at that initial position at the start of the game
    */
-  static canPlaceAvatar(boardState, playerId, coords, tile, position) {
+  static canPlaceAvatar(boardState, playerId, coords, tile, position, allowNeighbors = false) {
+    const boardCoords = boardState.toBoardCoords(coords);
     return (
-      Board.isAvatarOnOutsidePosition(coords, position) && // On the edge of the board
+      Board.isAvatarOnOutsidePosition(boardCoords, position, boardState.config) && // On the edge of the board
       !boardState.getAvatar(playerId) && // The avatar has not been placed
-      !boardState.getTile(coords) && // This tile space is empty
-      !boardState.hasNeighboringTiles(coords) && // There are no neighbors
-      this.checkIsMoveOnBoard(coords, tile, position) // The move stays on the board
+      !boardState.getTile(boardCoords) && // This tile space is empty
+      (allowNeighbors || !boardState.hasNeighboringTiles(boardCoords)) && // There are no neighbors
+      this.checkIsMoveOnBoard(boardCoords, tile, position) // The move stays on the board
     );
   }
 
@@ -159,5 +174,106 @@ class RuleChecker {
       return false;
     }
   }
+
+  /**
+   * @private
+   * Sets the outcome of the given action, by taking it on a copy of the board.
+   *
+   * @param {BoardState} boardState is a representation of the board and the current state of the game
+   * @param {string} playerId the ID of the player taking the action
+   * @param {InitialAction|IntermediateAction} action the action to take
+   * @param {boolean} isInitial whether the action is an initial action
+   * @param {boolean} [allowNeighbors=false] whether initial tiles may be placed next to existing tiles
+   * @returns {InitialAction|IntermediateAction} the action, with its outcome
+   */
+  static _setActionOutcome(boardState, playerId, action, isInitial, allowNeighbors = false) {
+    const boardCopy = new Board(boardState.copy());
+    const { tile, coords, position } = action;
+    if (isInitial) {
+      const mockPlayer = { id: playerId, getColor: () => null };
+      boardCopy.placeInitialTileAvatar(mockPlayer, tile, coords, position, allowNeighbors);
+    } else {
+      boardCopy.placeTile(tile, coords);
+    }
+    const avatarCopy = boardCopy.getAvatar(playerId);
+    const isSuicidal = this._isAvatarSuicidal(avatarCopy, boardState.config);
+    return action.setOutcome(isSuicidal, avatarCopy.coords, avatarCopy.position);
+  }
+
+  /**
+   * @private
+   * Gets the coordinates along the border of the board, walking clockwise from the north-west
+   * corner.
+   *
+   * @param {BoardState} boardState is a representation of the board and the current state of the game
+   * @returns {Coords[]} the coordinates along the border
+   */
+  static _getBorderCoords(boardState) {
+    const coords = boardState.toBoardCoords({ x: 0, y: 0 });
+    const borderCoords = [];
+    BORDER_WALK.forEach(direction => {
+      for (let i = 1; i < boardState.config.boardSize; i++) {
+        borderCoords.push(coords.copy());
+        coords.moveOne(direction);
+      }
+    });
+    return borderCoords;
+  }
+
+  /**
+   * Gets every initial action the given player can legally take, with every tile in their hand,
+   * in every rotation, at every position along the border. Actions are ordered by coordinates
+   * clockwise around the border from the north-west corner, then by tile in hand, rotation, and
+   * position. Each action is annotated with its outcome.
+   *
+   * @param {BoardState} boardState is a representation of the board and the current state of the game
+   * @param {Player} player is the player intending on the action
+   * @param {boolean} [allowNeighbors=false] whether the tile may be placed next to existing tiles
+   * @returns {InitialAction[]} the legal initial actions
+   */
+  static getLegalInitialActions(boardState, player, allowNeighbors = false) {
+    const { hand, id } = player;
+    const actions = [];
+    this._getBorderCoords(boardState).forEach(coords => {
+      hand.forEach(tile => {
+        for (let i = 0; i < DIRECTIONS_CLOCKWISE.length; i++) {
+          const tileCopy = tile.copy(i);
+          POSITIONS.filter(position =>
+            this.canPlaceAvatar(boardState, id, coords, tileCopy, position, allowNeighbors)
+          ).forEach(position => {
+            const action = new InitialAction(tileCopy, coords, position);
+            actions.push(this._setActionOutcome(boardState, id, action, true, allowNeighbors));
+          });
+        }
+      });
+    });
+    return actions;
+  }
+
+  /**
+   * Gets every intermediate action the given player can legally take, with every tile in their
+   * hand, in every rotation. Actions are ordered by tile in hand, then rotation. Each action is
+   * annotated with its outcome; suicidal actions are only valid if every action is suicidal.
+   *
+   * @param {BoardState} boardState is a representation of the board and the current state of the game
+   * @param {Player} player is the player intending on the action
+   * @returns {IntermediateAction[]} the legal intermediate actions
+   */
+  static getLegalIntermediateActions(boardState, player) {
+    const { hand, id } = player;
+    const avatar = boardState.getAvatar(id);
+    if (!avatar || avatar.hasLost()) {
+      return [];
+    }
+    const coords = avatar.coords.copy().moveOne(avatar.position.direction);
+    const actions = [];
+    hand.forEach(tile => {
+      for (let i = 0; i < DIRECTIONS_CLOCKWISE.length; i++) {
+        const action = new IntermediateAction(tile.copy(i), coords);
+        actions.push(this._setActionOutcome(boardState, id, action, false));
+      }
+    });
+    return actions;
+  }
 }
 module.exports = RuleChecker;
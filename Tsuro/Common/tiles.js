@@ -126,67 +126,6 @@ class Tile {
       renderSquare('border');
     };
 
-    /**
-     * Renders a path from a given starting point to a given
-     * ending point.
-     *
-     * @param {number[]} start The starting point of the path
-     * @param {number[]} end The ending point of the path
-     * @param {string} color The color of the path
-     */
-    const getPathCommands = (start, end) => {
-      const startCoords = renderUtils.getPositionCoords(start);
-      const endCoords = renderUtils.getPositionCoords(end);
-
-      /**
-       * Gets the mid points of a path. This is used to achieve
-       * smoothly curved lines that blend into adjacent tiles.
-       *
-       * @returns {number[][]} an array of mid points
-       */
-      const getMidPoints = () => {
-        let [midX1, midY1] = startCoords;
-        let [midX2, midY2] = endCoords;
-
-        /**
-         * Gets the closest quarter value. If the value is 1, it'll
-         * return 0.75; otherwise, it'll return 0.25.
-         *
-         * @param {number} val the value to check
-         * @returns {number} the closest quarter value
-         */
-        const getClosestQuarterValue = val => (val === 1 ? 0.75 : 0.25);
-
-        /**
-         * Checks if value is 0 or 1, on a scale from 0 to 1.
-         *
-         * @param {number} val the value to check
-         * @returns {boolean} whether value is 0 or 1
-         */
-        const isZeroOrOne = val => val % 1 === 0;
-
-        if (midY1 === midY2 && isZeroOrOne(midY1)) {
-          midY1 = midY2 = getClosestQuarterValue(midY1);
-        } else if (isZeroOrOne(midX1) && isZeroOrOne(midX2)) {
-          midX1 = getClosestQuarterValue(midX1);
-          midX2 = getClosestQuarterValue(midX2);
-        } else if (isZeroOrOne(midX1)) {
-          midY2 = midY1;
-        } else if (isZeroOrOne(midX2)) {
-          midY1 = midY2;
-        } else {
-          midY1 = getClosestQuarterValue(midY1);
-          midY2 = getClosestQuarterValue(midY2);
-        }
-
-        return [[midX1, midY1], [midX2, midY2]];
-      };
-
-      const points = [startCoords, ...getMidPoints(), endCoords];
-
-      return renderUtils.getDrawCommands(points);
-    };
-
     /**
      * Renders a path with the given class name and path commands.
      *
@@ -206,7 +145,7 @@ class Tile {
 
     // Creates path commands and draws path shadows
     const paths = this.paths.map(path => {
-      const pathCommands = getPathCommands(path.start, path.end);
+      const pathCommands = renderUtils.getPathCommands(path.start, path.end);
       renderPath('path__shadow', pathCommands);
       return pathCommands;
     });
@@ -1,5 +1,21 @@
+exports.BOARD_EVENTS = {
+  SEAS: 'seas',
+};
+
 exports.BOARD_SIZE = 10;
 
+exports.BOARD_SIZE_LIMITS = {
+  MIN: 6,
+  MAX: 20,
+};
+
+exports.CAPABILITIES = {
+  CLOCK: 'clock',
+  RESUME: 'resume',
+  CHAT: 'chat',
+  SPECTATOR: 'spectator',
+};
+
 exports.COLORS = {
   BLACK: 'black',
   BLUE: 'blue',
@@ -28,6 +44,13 @@ exports.DIRECTIONS_CLOCKWISE = [
   DIRECTIONS.WEST,
 ];
 
+exports.ELIMINATION_REASONS = {
+  LEGAL_MOVE: 'legal_move',
+  ILLEGAL_MOVE: 'illegal_move',
+  DISCONNECT: 'disconnect',
+  TIMEOUT: 'timeout',
+};
+
 exports.GAME_STATUS = {
   WAITING: 0,
   CURRENT_TURN: 1,
@@ -45,9 +68,18 @@ exports.LETTERS_MAP = LETTERS.reduce(
   {}
 );
 
+// Ordered from least to most severe
+exports.LOG_LEVELS = {
+  DEBUG: 'debug',
+  INFO: 'info',
+  WARN: 'warn',
+  ERROR: 'error',
+};
+
 exports.MESSAGE_ACTIONS = {
   SET_UNIQUE_NAME: 'set_unique_name',
   SET_COLOR: 'set_color',
+  SET_RULES: 'set_rules',
   TURN_STATUS: 'is_turn',
   DEAL_HAND: 'new_hand',
   PROMPT_FOR_ACTION: 'request_action',
@@ -55,15 +87,27 @@ exports.MESSAGE_ACTIONS = {
   REMOVE_PLAYER: 'lose',
   UPDATE_STATE: 'update_view',
   GAME_OVER: 'game_over',
+  UPDATE_TURN: 'update_turn',
+  UPDATE_CURRENT_PLAYER: 'current_player',
+  UPDATE_LAST_ACTION: 'last_action',
+  ELIMINATE_PLAYER: 'eliminated',
   DENY_ENTRY: 'fail_conn',
   REGISTER_CLIENT: 'register',
   SEND_ACTION: 'submit_action',
+  RESUME: 'resume',
+  WATCH: 'watch',
   INVALID_JSON: 'invalid_json',
   UNKNOWN_ACTION: 'unknown_action',
+  MESSAGE_TOO_LARGE: 'message_too_large',
   INVALID_ID: 'invalid_id',
   UNKNOWN_STRAT: 'unknown_strat',
 };
 
+exports.PLAYER_LIMITS = {
+  MIN: 2,
+  MAX: 8,
+};
+
 exports.PLAYER_POOL_SIZE = {
   MIN: 3,
   MAX: 5,
@@ -74,9 +118,31 @@ exports.PORTS = {
   ONE: 1,
 };
 
+exports.PROTOCOL_VERSION = 1;
+
+exports.RULE_MODES = {
+  STANDARD: 'standard',
+  CLASSIC: 'classic',
+};
+
 exports.SECOND = 1000;
 
 exports.STRATEGIES = {
   DUMB: 'dumb',
   LONELY: 'lonely',
+  LOOKAHEAD: 'lookahead',
+  MCTS: 'mcts',
+  HUMAN: 'human',
+};
+
+exports.TIMING_MODES = {
+  FIXED: 'fixed',
+  CHESS_CLOCK: 'chess_clock',
+  UNLIMITED: 'unlimited',
+};
+
+exports.TOURNAMENT_FORMATS = {
+  ROUND_ROBIN: 'round_robin',
+  SWISS: 'swiss',
+  KNOCKOUT: 'knockout',
 };
@@ -2,11 +2,13 @@ const COLORS = {
   BLACK: '#000000',
   BOARD: '#E3A865',
   BORDER: '#583C14',
+  DAIKAIJU: '#8E2C2C',
   GRAY: '#eeeeee',
   HIGHLIGHT: '#ffff00',
   WHITE: '#ffffff',
   TILE: '#936D36',
   PATH: '#FCE8B8',
+  WATER: '#3B6E8F',
 };
 
 const styles = `
@@ -35,6 +37,13 @@ const styles = `
     fill: none;
   }
 
+  .daikaiju {
+    fill: ${COLORS.DAIKAIJU};
+    stroke: ${COLORS.BORDER};
+    stroke-width: 1;
+    opacity: 0.8;
+  }
+
   .dead {
     opacity: 0.5;
   }
@@ -49,6 +58,18 @@ const styles = `
     stroke-width: 3;
   }
 
+  .path__move {
+    fill: none;
+    opacity: 0.8;
+    stroke-width: 5;
+  }
+
+  .path__trail {
+    fill: none;
+    opacity: 0.4;
+    stroke-width: 3;
+  }
+
   .path__shadow {
     fill: none;
     opacity: 0.5;
@@ -71,6 +92,10 @@ const styles = `
     fill: ${COLORS.BOARD};
   }
 
+  .tile-bg--whirlpool {
+    fill: ${COLORS.WATER};
+  }
+
   .text {
     fill: ${COLORS.BLACK};
     font-family: 'Helvetica', sans-serif;
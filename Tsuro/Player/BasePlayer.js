@@ -1,9 +1,19 @@
-const { DumbStrategy, LonelyStrategy } = require('./Strategy');
+const {
+  BaseStrategy,
+  DumbStrategy,
+  HumanStrategy,
+  LonelyStrategy,
+  LookaheadStrategy,
+  MctsStrategy,
+} = require('./Strategy');
 const { STRATEGIES } = require('../Common/utils/constants');
 
 const STRATEGY_MAP = {
   [STRATEGIES.DUMB]: DumbStrategy,
   [STRATEGIES.LONELY]: LonelyStrategy,
+  [STRATEGIES.LOOKAHEAD]: LookaheadStrategy,
+  [STRATEGIES.MCTS]: MctsStrategy,
+  [STRATEGIES.HUMAN]: HumanStrategy,
 };
 
 class BasePlayer {
@@ -13,15 +23,17 @@ class BasePlayer {
    *
    * @param {string} id the unique ID of the player
    * @param {string} name the name of the player
-   * @param {string} strategy the key for the strategy implementation to
-   * be used to make moves for the player
+   * @param {string|BaseStrategy} strategy the key for the strategy
+   * implementation to be used to make moves for the player, or the
+   * strategy itself, such as one configured with its `withOptions` method
    */
   constructor(id, name, strategy) {
     this.id = id;
     this.name = name;
 
-    const chosenStrategy = STRATEGY_MAP[strategy.toLocaleLowerCase()];
-    if (!chosenStrategy) {
+    const chosenStrategy =
+      typeof strategy === 'string' ? STRATEGY_MAP[strategy.toLocaleLowerCase()] : strategy;
+    if (!chosenStrategy || !(chosenStrategy.prototype instanceof BaseStrategy)) {
       throw 'Invalid strategy';
     }
     this.strategy = chosenStrategy;
@@ -61,6 +73,17 @@ class BasePlayer {
     throw 'Implement!';
   }
 
+  /**
+   * Sets the rules the game is played under, which the player's legal
+   * actions are listed by.
+   *
+   * @param {RuleSet} ruleSet the rules of the game
+   */
+  // eslint-disable-next-line no-unused-vars
+  setRuleSet(ruleSet) {
+    throw 'Implement!';
+  }
+
   /**
    * Gets the player's avatar's color.
    *
@@ -88,9 +111,22 @@ class BasePlayer {
    *
    * @param {boolean} [isInitial=false] whether the action to retrieve
    * should be the player's initial action
+   * @param {number|null} [timeLeft=null] the time the player has to give
+   * the action in milliseconds, or null if there is no limit
+   */
+  // eslint-disable-next-line no-unused-vars
+  async getAction(isInitial = false, timeLeft = null) {
+    throw 'Implement!';
+  }
+
+  /**
+   * Stops getting the action the referee was waiting on, if any.
+   *
+   * @param {boolean} [timedOut=false] whether the referee stopped waiting
+   * because the player ran out of time
    */
   // eslint-disable-next-line no-unused-vars
-  async getAction(isInitial = false) {
+  cancelAction(timedOut = false) {
     throw 'Implement!';
   }
 
@@ -1,17 +1,19 @@
 const BasePlayer = require('./BasePlayer');
-const { BoardState } = require('../Common');
+const { BoardState, RuleSet } = require('../Common');
 const { GAME_STATUS } = require('../Common/utils/constants');
 
 class Player extends BasePlayer {
   /**
    * @constructor
    * Creates a new Player, with an empty hand. Sets `gameStatus`
-   * to `Waiting` and the `boardState` to an empty board.
+   * to `Waiting`, the `boardState` to an empty board, and the rules to
+   * the standard rules.
    *
    * @param {string} id the unique ID of the player
    * @param {string} name the name of the player
-   * @param {string} strategy the key for the strategy implementation to
-   * be used to make moves for the player
+   * @param {string|BaseStrategy} strategy the key for the strategy
+   * implementation to be used to make moves for the player, or the
+   * strategy itself, such as one configured with its `withOptions` method
    */
   constructor(id, name, strategy) {
     super(id, name, strategy);
@@ -19,6 +21,8 @@ class Player extends BasePlayer {
     this.hand = [];
     this.gameStatus = GAME_STATUS.WAITING;
     this.boardState = new BoardState();
+    this.ruleSet = RuleSet.getDefault();
+    this.timeLeft = null;
   }
 
   /**
@@ -53,6 +57,16 @@ class Player extends BasePlayer {
     this.colors[id] = color;
   }
 
+  /**
+   * Sets the rules the game is played under, which the player's legal
+   * actions are listed by.
+   *
+   * @param {RuleSet} ruleSet the rules of the game
+   */
+  setRuleSet(ruleSet) {
+    this.ruleSet = ruleSet;
+  }
+
   /**
    * Gets the player's avatar's color.
    *
@@ -79,9 +93,12 @@ class Player extends BasePlayer {
    *
    * @param {boolean} [isInitial=false] whether the action to retrieve
    * should be the player's initial action
+   * @param {number|null} [timeLeft=null] the time the player has to give
+   * the action in milliseconds, or null if there is no limit
    * @returns {InitialAction|IntermediateAction} the respective Action
    */
-  async getAction(isInitial = false) {
+  async getAction(isInitial = false, timeLeft = null) {
+    this.timeLeft = timeLeft;
     if (isInitial) {
       return this._getInitialAction();
     }
@@ -91,21 +108,47 @@ class Player extends BasePlayer {
   /**
    * @private
    * Gets the initial action of this player, as determined by the strategy,
+   * within the time the player has left and under the rules of the game.
    *
    * @returns {InitialAction} the player's initial action
    */
   _getInitialAction() {
-    return this.strategy.getInitialAction(this.id, this.hand, this.boardState);
+    return this.strategy.getInitialAction(
+      this.id,
+      this.hand,
+      this.boardState,
+      this.timeLeft,
+      this.ruleSet
+    );
   }
 
   /**
    * @private
-   * Gets the next intermediate action for the player, as determined by the strategy.
+   * Gets the next intermediate action for the player, as determined by the strategy,
+   * within the time the player has left and under the rules of the game.
    *
    * @returns {IntermediateAction} the player's next action
    */
   _getIntermediateAction() {
-    return this.strategy.getIntermediateAction(this.id, this.hand, this.boardState);
+    return this.strategy.getIntermediateAction(
+      this.id,
+      this.hand,
+      this.boardState,
+      this.timeLeft,
+      this.ruleSet
+    );
+  }
+
+  /**
+   * Stops getting the action the referee was waiting on, if any, as
+   * determined by the strategy.
+   *
+   * @param {boolean} [timedOut=false] whether the referee stopped waiting
+   * because the player ran out of time
+   */
+  // eslint-disable-next-line no-unused-vars
+  cancelAction(timedOut = false) {
+    this.strategy.cancelAction();
   }
 
   /**
@@ -1,9 +1,7 @@
 const BasePlayer = require('./BasePlayer');
 const Message = require('../Common/message');
 const { InitialAction, IntermediateAction } = require('../Common');
-const { MESSAGE_ACTIONS, SECOND } = require('../Common/utils/constants');
-
-const AFK_TIMEOUT = 10 * SECOND;
+const { CAPABILITIES, MESSAGE_ACTIONS, PROTOCOL_VERSION } = require('../Common/utils/constants');
 
 class ProxyPlayer extends BasePlayer {
   /**
@@ -19,8 +17,13 @@ class ProxyPlayer extends BasePlayer {
    * @param {function} kickClient a callback function used to kick the
    * client from the server
    * @param {Logger} logger the server's logger to include new messages
+   * @param {string|null} token the session token the client may use to
+   * resume the session, should its connection drop, or null if resuming
+   * was not agreed upon
+   * @param {string[]} [capabilities=[]] the optional capabilities agreed
+   * upon with the client; messages for any other capability are not sent
    */
-  constructor(id, name, strategy, client, kickClient, logger) {
+  constructor(id, name, strategy, client, kickClient, logger, token, capabilities = []) {
     super(id, name, strategy);
     this.color = null;
     this.hand = [];
@@ -28,10 +31,35 @@ class ProxyPlayer extends BasePlayer {
     this._client = client;
     this._kickClient = kickClient;
     this._wasKicked = false;
+    this._pendingAction = null;
+    this._boardState = null;
+    this._capabilities = capabilities;
 
     this.logger = logger;
 
-    this._sendMessage(MESSAGE_ACTIONS.SET_UNIQUE_NAME, name);
+    this._sendMessage(MESSAGE_ACTIONS.SET_UNIQUE_NAME, {
+      id: name,
+      token,
+      version: PROTOCOL_VERSION,
+      capabilities,
+    });
+  }
+
+  /**
+   * @private
+   * Gets the payload of a `PROMPT_FOR_ACTION` message. The time left is
+   * only included if the clock capability was agreed upon.
+   *
+   * @param {boolean} isInitial whether the action is initial
+   * @param {number|null} timeLeft the time left to give the action in
+   * milliseconds, or null if there is no limit
+   * @returns {object} the payload of the message
+   */
+  _getPromptPayload(isInitial, timeLeft) {
+    if (this._capabilities.includes(CAPABILITIES.CLOCK)) {
+      return { isInitial, timeLeft };
+    }
+    return { isInitial };
   }
 
   /**
@@ -53,13 +81,14 @@ class ProxyPlayer extends BasePlayer {
   /**
    * @private
    * Helper function for sending messages to the client. This will not send
-   * messages to clients that have been kicked.
+   * messages to clients that have been kicked, or while the client is
+   * detached.
    *
    * @param {string} action the action identifier for the message
    * @param {any} [payload] the payload of the message
    */
   _sendMessage(action, payload) {
-    if (!this._wasKicked) {
+    if (!this._wasKicked && this._client) {
       const message = new Message(action, payload);
       const stringMessage = message.toString();
 
@@ -86,6 +115,7 @@ class ProxyPlayer extends BasePlayer {
    * @param {BoardState} boardState the new BoardState given by the referee
    */
   updateState(boardState) {
+    this._boardState = boardState;
     const json = boardState.toJson();
     this._sendMessage(MESSAGE_ACTIONS.UPDATE_STATE, json);
   }
@@ -104,6 +134,17 @@ class ProxyPlayer extends BasePlayer {
     this._sendMessage(MESSAGE_ACTIONS.SET_COLOR, { id, color });
   }
 
+  /**
+   * Sets the rules the game is played under. Sends the client a
+   * `SET_RULES` message, with the JSON representation of the rules as
+   * payload, so its player lists its legal actions by them.
+   *
+   * @param {RuleSet} ruleSet the rules of the game
+   */
+  setRuleSet(ruleSet) {
+    this._sendMessage(MESSAGE_ACTIONS.SET_RULES, ruleSet.toJson());
+  }
+
   /**
    * Gets the player's avatar's color.
    *
@@ -142,66 +183,79 @@ class ProxyPlayer extends BasePlayer {
     return IntermediateAction.fromJson(payload);
   }
 
+  /**
+   * Receives the payload of a `SEND_ACTION` message from the client, as
+   * dispatched by the server, and gives the action to the referee if it
+   * is waiting on one. Actions sent when none was asked for (e.g.: after
+   * the player ran out of time) are ignored.
+   *
+   * @param {object} payload the payload of the client's message
+   */
+  receiveAction(payload) {
+    if (!this._pendingAction) {
+      this.logger.forPlayer(this.id).warn('has sent an action out of turn.');
+      return;
+    }
+
+    const { resolve, reject, isInitial } = this._pendingAction;
+    this._pendingAction = null;
+    try {
+      resolve(this._getActionFromPayload(payload, isInitial));
+    } catch (err) {
+      reject(MESSAGE_ACTIONS.INVALID_JSON);
+    }
+  }
+
+  /**
+   * Stops waiting on the client's action, if the referee is waiting on one.
+   * If the client has disconnected for good, the action is rejected. If the
+   * player ran out of time, the referee has already moved on, so an action
+   * the client sends late is ignored, and the action is not prompted for
+   * again should the client resume its session.
+   *
+   * @param {boolean} [timedOut=false] whether the referee stopped waiting
+   * because the player ran out of time
+   */
+  cancelAction(timedOut = false) {
+    if (this._pendingAction) {
+      const { reject } = this._pendingAction;
+      this._pendingAction = null;
+      if (!timedOut) {
+        reject();
+      }
+    }
+  }
+
   /**
    * @async
    * Sends the client a `PROMPT_FOR_ACTION` message, with whether the
-   * action is initial as payload. Then, opens a one-time `data` event
-   * handler for receiving the player's respective action. The player
-   * only has 10 seconds to send a message back, before being kicked
-   * from the game for being AFK.
+   * action is initial and, if the clock capability was agreed upon, the
+   * time the player has left as payload. Then, waits for the server to
+   * pass on the client's `SEND_ACTION` message. How long to wait on the
+   * message is up to the referee's timing policy.
    *
-   * If the message received is malformed JSON or uses an unknown
-   * message action, the player's client will be kicked and removed
-   * from game and error will be thrown.
+   * If the action received is malformed, or the client disconnects, the
+   * player's client will be kicked and removed from game and error will
+   * be thrown.
    *
    * @param {boolean} [isInitial=false] whether the action to retrieve
    * should be the player's initial action
+   * @param {number|null} [timeLeft=null] the time the player has to give
+   * the action in milliseconds, or null if there is no limit
    * @returns {BaseAction} the player's desired action
    */
-  async getAction(isInitial = false) {
+  async getAction(isInitial = false, timeLeft = null) {
+    if (this._wasKicked) {
+      throw 'Client kicked';
+    }
+
     try {
       const action = await new Promise((resolve, reject) => {
-        let afkTimeout = null;
-
-        /**
-         * Event handler for `data` that resolves the promise when
-         * the client sends a `SEND_ACTION` message, and rejects on
-         * a message with any other action or invalid JSON.
-         *
-         * @param {Buffer} data the data buffer of the client message
-         */
-        const onData = data => {
-          clearTimeout(afkTimeout);
-          const text = data.toString().trim();
-          try {
-            const message = JSON.parse(text.split('\n')[0]);
-            const { action, payload } = message;
-            if (action !== MESSAGE_ACTIONS.SEND_ACTION) {
-              reject(MESSAGE_ACTIONS.UNKNOWN_ACTION);
-            } else {
-              this.logger.logFrom(this.id, new Message(action, payload).toString());
-              resolve(this._getActionFromPayload(payload, isInitial));
-            }
-          } catch (err) {
-            reject(MESSAGE_ACTIONS.INVALID_JSON);
-          }
-        };
-
-        /**
-         * Event handler for `end` that rejects the promise on grounds
-         * that the client has disconnected.
-         */
-        const onEnd = () => {
-          clearTimeout(afkTimeout);
-          reject();
-        };
-
-        this._client.once('data', onData);
-        this._client.on('end', onEnd);
-        this._sendMessage(MESSAGE_ACTIONS.PROMPT_FOR_ACTION, isInitial);
-        afkTimeout = setTimeout(() => {
-          reject();
-        }, AFK_TIMEOUT);
+        this._pendingAction = { resolve, reject, isInitial, timeLeft, promptTime: Date.now() };
+        this._sendMessage(
+          MESSAGE_ACTIONS.PROMPT_FOR_ACTION,
+          this._getPromptPayload(isInitial, timeLeft)
+        );
       });
       return action;
     } catch (messageAction) {
@@ -210,6 +264,40 @@ class ProxyPlayer extends BasePlayer {
     }
   }
 
+  /**
+   * Detaches the player from its client, whose connection has dropped. The
+   * player keeps its place in the game, but no messages are sent until a
+   * client is attached again.
+   */
+  detach() {
+    this._client = null;
+  }
+
+  /**
+   * Attaches the player to the given client, which has resumed the
+   * player's session. The client is sent the current view of the board,
+   * the current hand, and the action the referee is waiting on, if any,
+   * with only the time that is left to give it.
+   *
+   * @param {net.Socket} client the player's new corresponding client
+   */
+  attach(client) {
+    this._client = client;
+    if (this._boardState) {
+      this._sendMessage(MESSAGE_ACTIONS.UPDATE_STATE, this._boardState.toJson());
+    }
+    this._sendMessage(MESSAGE_ACTIONS.DEAL_HAND, this.hand.map(tile => tile.index));
+    if (this._pendingAction) {
+      const { isInitial, timeLeft, promptTime } = this._pendingAction;
+      const timeLeftNow =
+        timeLeft === null ? null : Math.max(timeLeft - (Date.now() - promptTime), 0);
+      this._sendMessage(
+        MESSAGE_ACTIONS.PROMPT_FOR_ACTION,
+        this._getPromptPayload(isInitial, timeLeftNow)
+      );
+    }
+  }
+
   /**
    * Removes all tiles from the current hand. Send the client a
    * `CLEAR_HAND` message.
@@ -0,0 +1,48 @@
+const Player = require('./Player');
+const { InitialAction, IntermediateAction } = require('../Common');
+const { STRATEGIES } = require('../Common/utils/constants');
+
+class ReplayPlayer extends Player {
+  /**
+   * @constructor
+   * Creates a new ReplayPlayer, which plays the actions of a player as
+   * given by a game record rather than by a strategy.
+   *
+   * @param {string} id the unique ID of the player
+   * @param {object[]} turns the recorded turns of this player, in order
+   * @param {function} [onAction] a callback function called with each
+   * recorded turn, right before its action is given
+   */
+  constructor(id, turns, onAction = () => {}) {
+    super(id, id, STRATEGIES.DUMB);
+    this._turns = turns.slice();
+    this._onAction = onAction;
+  }
+
+  /**
+   * @async
+   * Gets the player's next recorded action. Throws if the player gave no
+   * action on that turn (e.g.: they were kicked or disconnected).
+   *
+   * @param {boolean} [isInitial=false] whether the action to retrieve
+   * should be the player's initial action
+   * @returns {InitialAction|IntermediateAction} the recorded Action
+   */
+  async getAction(isInitial = false) {
+    const turn = this._turns.shift();
+    if (!turn) {
+      throw 'No more turns recorded for player';
+    }
+    this._onAction(turn);
+
+    const { action } = turn;
+    if (!action) {
+      throw 'No action recorded for turn';
+    } else if (isInitial) {
+      return InitialAction.fromJson(action);
+    }
+    return IntermediateAction.fromJson(action);
+  }
+}
+
+module.exports = ReplayPlayer;
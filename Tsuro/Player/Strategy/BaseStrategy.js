@@ -7,10 +7,14 @@ class BaseStrategy {
    * @param {string} id the player's ID
    * @param {Tile[]} hand the player's current hand of tiles
    * @param {BoardState} boardState the current state of the board
+   * @param {number|null} [timeLeft=null] the time the player has to give
+   * the action in milliseconds, or null if there is no limit
+   * @param {RuleSet} [ruleSet] the rules the game is played under, the
+   * standard rules if not given
    * @returns {InitialAction} the determined initial action
    */
   // eslint-disable-next-line no-unused-vars
-  static getInitialAction(id, hand, boardState) {
+  static getInitialAction(id, hand, boardState, timeLeft = null, ruleSet) {
     throw 'Implement!';
   }
 
@@ -22,12 +26,26 @@ class BaseStrategy {
    * @param {string} id the player's ID
    * @param {Tile[]} hand the player's current hand of tiles
    * @param {BoardState} boardState the current state of the board
+   * @param {number|null} [timeLeft=null] the time the player has to give
+   * the action in milliseconds, or null if there is no limit
+   * @param {RuleSet} [ruleSet] the rules the game is played under, the
+   * standard rules if not given
    * @returns {IntermediateAction} the determined intermediate action
    */
   // eslint-disable-next-line no-unused-vars
-  static getIntermediateAction(id, hand, boardState) {
+  static getIntermediateAction(id, hand, boardState, timeLeft = null, ruleSet) {
     throw 'Implement!';
   }
+
+  /**
+   * Stops determining the player's action, if one is being determined.
+   *
+   * Nothing need happen for strategies that determine their action before
+   * yielding.
+   */
+  static cancelAction() {
+    // stub, nothing need happen
+  }
 }
 
 module.exports = BaseStrategy;
@@ -1,48 +1,7 @@
-const {
-  Coords,
-  InitialAction,
-  IntermediateAction,
-  Position,
-  RuleChecker,
-} = require('../../Common');
-const { DIRECTIONS, DIRECTIONS_CLOCKWISE, PORTS } = require('../../Common/utils/constants');
+const { IntermediateAction, RuleSet } = require('../../Common');
 const { BaseStrategy } = require('.');
 
-// Array for determining direction to check for next valid space
-const DIRECTIONS_CHECK = [DIRECTIONS.EAST, DIRECTIONS.SOUTH, DIRECTIONS.WEST, DIRECTIONS.NORTH];
-// Array for determining next valid position on tile
-const POSITIONS_CHECK = DIRECTIONS_CLOCKWISE.reduce(
-  (acc, direction) => [
-    ...acc,
-    new Position(direction, PORTS.ZERO),
-    new Position(direction, PORTS.ONE),
-  ],
-  []
-);
-
 class DumbStrategy extends BaseStrategy {
-  /**
-   * @private
-   * Gets a valid position to place an avatar on, at the given coords and
-   * tile. If no such position exists, it will return null.
-   *
-   * @param {string} id the player's ID
-   * @param {Tile} tile the tile to place at the given coords
-   * @param {Coords} coords the coords to check for tile legality
-   * @param {BoardState} boardState the current state of the board
-   * @returns {Position|null} the first valid position to place an avatar
-   * at, or null if none exists
-   */
-  static _getPosition(id, tile, coords, boardState) {
-    let position;
-    if (!boardState.getTile(coords)) {
-      position = POSITIONS_CHECK.find(position =>
-        RuleChecker.canPlaceAvatar(boardState, id, coords, tile, position)
-      );
-    }
-    return position || null;
-  }
-
   /**
    * Determines a player's initial action. This action will always
    * choose the third tile in the player's hand, try to place it on
@@ -52,27 +11,22 @@ class DumbStrategy extends BaseStrategy {
    * @param {string} id the player's ID
    * @param {Tile[]} hand the player's current hand of tiles
    * @param {BoardState} boardState the current state of the board
+   * @param {number|null} [timeLeft=null] the time the player has to give
+   * the action in milliseconds, or null if there is no limit
+   * @param {RuleSet} [ruleSet] the rules the game is played under, the
+   * standard rules if not given
    * @returns {InitialAction} the determined initial action
    */
-  static getInitialAction(id, hand, boardState) {
+  // eslint-disable-next-line no-unused-vars
+  static getInitialAction(id, hand, boardState, timeLeft = null, ruleSet = RuleSet.getDefault()) {
     const tile = hand[2];
-    const coords = new Coords(0, 0);
-
-    let position = this._getPosition(id, tile, coords, boardState);
-
-    let directionIdx = 0;
-    while (!position && directionIdx < DIRECTIONS_CHECK.length) {
-      try {
-        coords.moveOne(DIRECTIONS_CHECK[directionIdx]);
-        position = this._getPosition(id, tile, coords, boardState);
-      } catch (err) {
-        directionIdx += 1;
-      }
-    }
-    if (directionIdx === DIRECTIONS_CHECK.length) {
+    const action = ruleSet
+      .getLegalInitialActions(boardState, { id, hand: [tile] })
+      .find(legalAction => legalAction.tile.isEqualTo(tile));
+    if (!action) {
       throw 'Not enough valid spaces on the board';
     }
-    return new InitialAction(tile, coords, position);
+    return action;
   }
 
   /**
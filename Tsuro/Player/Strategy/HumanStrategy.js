@@ -0,0 +1,324 @@
+const readline = require('readline');
+const { InitialAction, RuleSet, TextRenderer } = require('../../Common');
+const { getLetterFromPosition, getPositionFromLetter } = require('../../Common/utils');
+const { DIRECTIONS_CLOCKWISE } = require('../../Common/utils/constants');
+const { BaseStrategy } = require('.');
+
+const DEGREES_PER_ROTATION = 90;
+const ROTATIONS = DIRECTIONS_CLOCKWISE.map((direction, i) => i);
+const YES = /^y(es)?$/i;
+
+// The terminal interface of the question being asked, if any
+let pendingInterface = null;
+
+class HumanStrategy extends BaseStrategy {
+  /**
+   * @private @static
+   * Asks the human the given question in the terminal. If the action is
+   * cancelled before the question is answered, the promise never settles.
+   *
+   * @param {string} question the question to ask
+   * @returns {Promise<string>} a promise that resolves to the trimmed answer
+   */
+  static _ask(question) {
+    return new Promise(resolve => {
+      const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+      pendingInterface = rl;
+      rl.question(question, answer => {
+        pendingInterface = null;
+        rl.close();
+        resolve(answer.trim());
+      });
+    });
+  }
+
+  /**
+   * @private @static @async
+   * Asks the human the given question until the answer can be parsed. The
+   * reason any answer could not be parsed is shown before asking again.
+   *
+   * @param {string} question the question to ask
+   * @param {function} parse a function that takes in the answer and
+   * returns the parsed value, or throws the reason the answer is invalid
+   * @returns {any} the parsed answer
+   */
+  static async _askUntilValid(question, parse) {
+    for (;;) {
+      const answer = await this._ask(question);
+      try {
+        return parse(answer);
+      } catch (reason) {
+        console.log(reason);
+      }
+    }
+  }
+
+  /**
+   * @private @static @async
+   * Asks the human a yes or no question. Anything but a yes is a no.
+   *
+   * @param {string} question the question to ask
+   * @returns {boolean} whether the human answered yes
+   */
+  static async _confirm(question) {
+    const answer = await this._ask(`${question} (y/N) `);
+    return YES.test(answer);
+  }
+
+  /**
+   * @private @static
+   * Shows the board, marking the given coordinates, and lists every avatar
+   * still in play.
+   *
+   * @param {string} id the human player's ID
+   * @param {BoardState} boardState the current state of the board
+   * @param {Coords} [highlightCoords] the coordinates to mark
+   */
+  static _showBoard(id, boardState, highlightCoords) {
+    console.log(TextRenderer.renderBoard(boardState, highlightCoords).join('\n'));
+    boardState
+      .getAvatars()
+      .filter(avatar => !avatar.hasLost())
+      .forEach(avatar => {
+        const initial = TextRenderer.getAvatarInitial(avatar.color);
+        const { x, y } = avatar.coords;
+        const you = avatar.id === id ? ' (you)' : '';
+        console.log(
+          `${initial}: ${avatar.id}${you} at (${x}, ${y}), port ${getLetterFromPosition(
+            avatar.position
+          )}`
+        );
+      });
+  }
+
+  /**
+   * @private @static
+   * Shows the tiles in the human's hand, numbered from 1.
+   *
+   * @param {Tile[]} hand the human's hand
+   */
+  static _showHand(hand) {
+    console.log('Your hand:');
+    console.log(
+      TextRenderer.renderTiles(hand, hand.map((tile, i) => `${i + 1}: tile ${tile.index}`)).join(
+        '\n'
+      )
+    );
+  }
+
+  /**
+   * @private @static @async
+   * Asks the human to choose a tile from their hand, then shows it in
+   * every rotation.
+   *
+   * @param {Tile[]} hand the human's hand
+   * @returns {number} the index of the chosen tile in the hand
+   */
+  static async _askTile(hand) {
+    const tileIdx = await this._askUntilValid(`Choose a tile (1-${hand.length}): `, answer => {
+      const choice = Number(answer);
+      if (!Number.isInteger(choice) || choice < 1 || choice > hand.length) {
+        throw `Choose a number from 1 to ${hand.length}.`;
+      }
+      return choice - 1;
+    });
+
+    const tile = hand[tileIdx];
+    console.log(
+      TextRenderer.renderTiles(
+        ROTATIONS.map(rotations => tile.copy(rotations)),
+        ROTATIONS.map(rotations => `${rotations * DEGREES_PER_ROTATION}°`)
+      ).join('\n')
+    );
+    return tileIdx;
+  }
+
+  /**
+   * @private @static @async
+   * Asks the human to choose a clockwise rotation for their tile, in
+   * degrees.
+   *
+   * @returns {number} the number of 90-degree clockwise rotations
+   */
+  static async _askRotation() {
+    const degrees = ROTATIONS.map(rotations => rotations * DEGREES_PER_ROTATION);
+    return this._askUntilValid(`Choose a rotation (${degrees.join(', ')}): `, answer => {
+      const rotations = degrees.indexOf(Number(answer));
+      if (!answer || rotations === -1) {
+        throw `Choose one of ${degrees.join(', ')}.`;
+      }
+      return rotations;
+    });
+  }
+
+  /**
+   * @private @static @async
+   * Asks the human to choose coordinates on the board, as `x y` or `x,y`.
+   *
+   * @param {BoardState} boardState the current state of the board
+   * @returns {Coords} the chosen coordinates
+   */
+  static async _askCoords(boardState) {
+    const max = boardState.config.boardSize - 1;
+    return this._askUntilValid('Choose a border square (x y): ', answer => {
+      const [x, y] = answer.split(/[\s,]+/).map(Number);
+      if (![x, y].every(value => Number.isInteger(value) && value >= 0 && value <= max)) {
+        throw `Choose two numbers from 0 to ${max}.`;
+      }
+      return boardState.toBoardCoords({ x, y });
+    });
+  }
+
+  /**
+   * @private @static @async
+   * Asks the human to choose a port for their avatar, by its letter.
+   *
+   * @returns {Position} the chosen position
+   */
+  static async _askPosition() {
+    return this._askUntilValid('Choose a port for your avatar (A-H): ', answer => {
+      try {
+        return getPositionFromLetter(answer.toUpperCase());
+      } catch (err) {
+        throw 'Choose a letter from A to H.';
+      }
+    });
+  }
+
+  /**
+   * @private @static
+   * Shows whether every move in the given list is suicidal.
+   *
+   * @param {IntermediateAction[]} actions every legal action, ordered by
+   * tile in hand, then rotation
+   */
+  static _showSuicidalMoves(actions) {
+    for (let i = 0; i < actions.length; i += ROTATIONS.length) {
+      const outcomes = actions.slice(i, i + ROTATIONS.length).map((action, rotations) => {
+        const outcome = action.isSuicidal ? 'suicidal' : 'safe';
+        return `${rotations * DEGREES_PER_ROTATION}° ${outcome}`;
+      });
+      console.log(`Tile ${i / ROTATIONS.length + 1}: ${outcomes.join(', ')}`);
+    }
+  }
+
+  /**
+   * Determines a player's initial action, as chosen by the human in the
+   * terminal. The human chooses a tile, its rotation, a border square and
+   * a port, until the placement is legal. Suicidal placements must be
+   * confirmed.
+   *
+   * @param {string} id the player's ID
+   * @param {Tile[]} hand the player's current hand of tiles
+   * @param {BoardState} boardState the current state of the board
+   * @param {number|null} [timeLeft=null] the time the player has to give
+   * the action in milliseconds, or null if there is no limit
+   * @param {RuleSet} [ruleSet] the rules the game is played under, the
+   * standard rules if not given
+   * @returns {Promise<InitialAction>} the chosen initial action
+   */
+  static async getInitialAction(
+    id,
+    hand,
+    boardState,
+    // eslint-disable-next-line no-unused-vars
+    timeLeft = null,
+    ruleSet = RuleSet.getDefault()
+  ) {
+    this._showBoard(id, boardState);
+    this._showHand(hand);
+
+    for (;;) {
+      const tile = hand[await this._askTile(hand)].copy(await this._askRotation());
+      const coords = await this._askCoords(boardState);
+      const position = await this._askPosition();
+
+      const legalAction = ruleSet
+        .getLegalInitialActions(boardState, { id, hand: [tile] })
+        .find(
+          action =>
+            action.tile.isEqualTo(tile) &&
+            action.coords.isEqualTo(coords) &&
+            action.position.isEqualTo(position)
+        );
+      if (!legalAction) {
+        const neighborRule = ruleSet.allowInitialNeighbors ? '' : ' with no neighbors';
+        console.log(
+          `That placement is not legal. Place the tile on an empty border square${neighborRule}, with your avatar on a port facing off the board.`
+        );
+      } else if (
+        !legalAction.isSuicidal ||
+        (await this._confirm('That placement is suicidal. Place it anyway?'))
+      ) {
+        return new InitialAction(tile, coords, position);
+      }
+    }
+  }
+
+  /**
+   * Determines a player's intermediate action, as chosen by the human in
+   * the terminal. The human is shown their avatar's next square, and may
+   * see which moves are suicidal before choosing a tile and its rotation.
+   * Suicidal moves must be confirmed.
+   *
+   * @param {string} id the player's ID
+   * @param {Tile[]} hand the player's current hand of tiles
+   * @param {BoardState} boardState the current state of the board
+   * @param {number|null} [timeLeft=null] the time the player has to give
+   * the action in milliseconds, or null if there is no limit
+   * @param {RuleSet} [ruleSet] the rules the game is played under, the
+   * standard rules if not given
+   * @returns {Promise<IntermediateAction>} the chosen intermediate action
+   */
+  static async getIntermediateAction(
+    id,
+    hand,
+    boardState,
+    // eslint-disable-next-line no-unused-vars
+    timeLeft = null,
+    ruleSet = RuleSet.getDefault()
+  ) {
+    const avatar = boardState.getAvatar(id);
+    const nextCoords = avatar.coords.copy().moveOne(avatar.position.direction);
+    this._showBoard(id, boardState, nextCoords);
+    console.log(`Your next square is (${nextCoords.x}, ${nextCoords.y}), marked with a *.`);
+    this._showHand(hand);
+
+    const actions = ruleSet.getLegalIntermediateActions(boardState, { id, hand });
+    if (await this._confirm('Show which moves are suicidal?')) {
+      this._showSuicidalMoves(actions);
+    }
+
+    for (;;) {
+      const tileIdx = await this._askTile(hand);
+      const rotations = await this._askRotation();
+      const action = actions[tileIdx * ROTATIONS.length + rotations];
+      const hasSafeMove = actions.some(otherAction => !otherAction.isSuicidal);
+      if (
+        !action.isSuicidal ||
+        (await this._confirm(
+          hasSafeMove
+            ? 'That move is suicidal, and you have a safe move, so it is illegal. Play it anyway?'
+            : 'That move is suicidal. Play it anyway?'
+        ))
+      ) {
+        return action;
+      }
+    }
+  }
+
+  /**
+   * Stops asking the human for their action, such as once they have run
+   * out of time. The question being asked is closed unanswered, so it does
+   * not compete with the questions of later turns for the human's answers.
+   */
+  static cancelAction() {
+    if (pendingInterface) {
+      pendingInterface.close();
+      pendingInterface = null;
+      console.log();
+    }
+  }
+}
+
+module.exports = HumanStrategy;
@@ -1,11 +1,4 @@
-const {
-  Coords,
-  InitialAction,
-  IntermediateAction,
-  Position,
-  RuleChecker,
-} = require('../../Common');
-const { BOARD_SIZE, DIRECTIONS, PORTS } = require('../../Common/utils/constants');
+const { Coords, RuleSet } = require('../../Common');
 const { BaseStrategy } = require('.');
 
 class LonelyStrategy extends BaseStrategy {
@@ -21,11 +14,12 @@ class LonelyStrategy extends BaseStrategy {
     const occupiedCoords = []; // Coords of where tiles have already been placed
     const borderCoords = []; // Coords of tiles on the border of the board we can place on
 
+    const { config } = boardState;
     // Traverse the board and push all border coords. Push all occupied border coords as well
-    for (let i = 0; i < BOARD_SIZE; i++) {
-      for (let j = 0; j < BOARD_SIZE; j++) {
-        const coord = new Coords(i, j);
-        if (i === 0 || i === BOARD_SIZE - 1 || j === 0 || j === BOARD_SIZE - 1) {
+    for (let i = 0; i < config.boardSize; i++) {
+      for (let j = 0; j < config.boardSize; j++) {
+        const coord = new Coords(i, j, config);
+        if (config.isOnBorder(coord)) {
           if (boardState.getTile(coord)) {
             // There is a tile here, record it
             occupiedCoords.push(coord);
@@ -72,44 +66,6 @@ class LonelyStrategy extends BaseStrategy {
     }
   }
 
-  /**
-   * @private
-   * Makes a list of positions that are valid given a coordinate that would lie on the outside of the board.
-   *
-   * @param {Coords} coord the place we are checking
-   * @returns {Position[]} the positions that would be valid to put as an initial placement.
-   */
-  static _findValidStartingPosition(coord) {
-    const validPositions = [];
-
-    /**
-     * Pushes a pair of positions for ports 0 and 1 with the given direction to the validPositions array.
-     * @param {string} direction The direction for the new positions
-     */
-    const addPositionsForDirection = direction => {
-      [PORTS.ZERO, PORTS.ONE].forEach(port => {
-        validPositions.push(new Position(direction, port));
-      });
-    };
-
-    if (coord.x === 0) {
-      addPositionsForDirection(DIRECTIONS.WEST);
-    }
-
-    if (coord.y === 0) {
-      addPositionsForDirection(DIRECTIONS.NORTH);
-    }
-
-    if (coord.x === BOARD_SIZE - 1) {
-      addPositionsForDirection(DIRECTIONS.EAST);
-    }
-
-    if (coord.y === BOARD_SIZE - 1) {
-      addPositionsForDirection(DIRECTIONS.SOUTH);
-    }
-    return validPositions;
-  }
-
   /**
    * @private
    * Returns a random item from the given array.
@@ -125,62 +81,63 @@ class LonelyStrategy extends BaseStrategy {
 
   /**
    * Determines a player's initial action, favoring options furthest from other players.
-   * Use's the RuleChecker to see which tiles and rotations are safe and randomly selects from those options.
+   * Uses the rule set to find the legal placements there and randomly selects from those options.
    *
    * @param {string} id the player's ID
    * @param {Tile[]} hand the player's current hand of tiles
    * @param {BoardState} boardState the current state of the board
+   * @param {number|null} [timeLeft=null] the time the player has to give
+   * the action in milliseconds, or null if there is no limit
+   * @param {RuleSet} [ruleSet] the rules the game is played under, the
+   * standard rules if not given
    * @returns {InitialAction} the determined initial action
    */
-  static getInitialAction(id, hand, boardState) {
+  // eslint-disable-next-line no-unused-vars
+  static getInitialAction(id, hand, boardState, timeLeft = null, ruleSet = RuleSet.getDefault()) {
     const placementCoord = this._findFurthestStartingPosition(boardState); // Find furthest placement
-    const startingPositions = this._findValidStartingPosition(placementCoord); // Determine all valid starting positions
-    const position = this._randomItem(startingPositions); // Randomly pick from all starting positions
-    // Now that we've found the best spot to start in, find all tile configs in hand that work
-    const validStartingTiles = [];
-    hand.forEach(tile => {
-      for (let i = 0; i < 4; i++) {
-        // 4 Rotations
-        const tileCopy = tile.copy(i);
-        // If we can put our avatar here, consider this tile
-        if (RuleChecker.canPlaceAvatar(boardState, id, placementCoord, tileCopy, position)) {
-          validStartingTiles.push(tileCopy);
-        }
-      }
-    });
-    const tile = this._randomItem(validStartingTiles);
-    return new InitialAction(tile, placementCoord, position);
+    const actions = ruleSet.getLegalInitialActions(boardState, { id, hand });
+    // Consider only the placements at the furthest spot, unless there are none there
+    const furthestActions = actions.filter(action => action.coords.isEqualTo(placementCoord));
+    return this._randomItem(furthestActions.length > 0 ? furthestActions : actions);
   }
 
   /**
    * Determines a player's intermediate action, based on checking each tile and rotation
-   * in hand and picking the placement that yields the highest action value (The loneliest tile).
+   * in hand and picking the valid placement that leaves the avatar facing the highest valued
+   * space (The loneliest tile).
    *
    * @param {string} id the player's ID
    * @param {Tile[]} hand the player's current hand of tiles
    * @param {BoardState} boardState the current state of the board
+   * @param {number|null} [timeLeft=null] the time the player has to give
+   * the action in milliseconds, or null if there is no limit
+   * @param {RuleSet} [ruleSet] the rules the game is played under, the
+   * standard rules if not given
    * @returns {IntermediateAction} the determined intermediate action
    */
-  static getIntermediateAction(id, hand, boardState) {
-    const avatar = boardState.getAvatar(id);
-    const coords = avatar.coords.copy().moveOne(avatar.position.direction);
-    const mockPlayer = { id, hand };
+  static getIntermediateAction(
+    id,
+    hand,
+    boardState,
+    // eslint-disable-next-line no-unused-vars
+    timeLeft = null,
+    ruleSet = RuleSet.getDefault()
+  ) {
+    const actions = ruleSet.getLegalIntermediateActions(boardState, { id, hand });
+    const validActions = actions.filter(action => !action.isSuicidal);
+    if (validActions.length === 0) {
+      return actions[0];
+    }
 
     let bestAction = null;
     let bestActionValue = -1;
     // Find the best tile and rotation in hand with to return the best valued action
-    hand.forEach(tile => {
-      for (let i = 0; i < 4; i++) {
-        // 4 Rotations
-        const action = new IntermediateAction(tile.copy(i), coords);
-        if (!bestAction || RuleChecker.canTakeAction(boardState, action, mockPlayer)) {
-          // The best action is the one with the highest Action value
-          const actionValue = this._getActionValue(boardState, coords);
-          if (!bestAction || actionValue > bestActionValue) {
-            bestActionValue = actionValue;
-            bestAction = action;
-          }
-        }
+    validActions.forEach(action => {
+      const facingCoords = action.endCoords.copy().moveOne(action.endPosition.direction);
+      const actionValue = this._getActionValue(boardState, facingCoords);
+      if (!bestAction || actionValue > bestActionValue) {
+        bestActionValue = actionValue;
+        bestAction = action;
       }
     });
     return bestAction;
@@ -0,0 +1,302 @@
+const { Board, RuleSet, SimpleTile } = require('../../Common');
+const tiles = require('../../Common/__tests__/tiles');
+const { DIRECTIONS_CLOCKWISE, SECOND } = require('../../Common/utils/constants');
+const { SearchStrategy } = require('.');
+
+const DEFAULT_DEPTH = 2;
+const DEFAULT_TIME_BUDGET = 3 * SECOND;
+const OUT_OF_TIME = 'Out of time';
+
+const SURVIVAL_SCORE = 100;
+const ELIMINATION_SCORE = 10;
+
+// Number of unknown tiles considered for every opponent reply and future hand
+const TILE_SAMPLE_SIZE = 4;
+let sampleTiles = null;
+
+/**
+ * Gets the tiles standing in for unknown tiles, spread evenly across
+ * every tile.
+ *
+ * @returns {SimpleTile[]} the sampled tiles
+ */
+const getSampleTiles = () => {
+  if (!sampleTiles) {
+    sampleTiles = [];
+    for (let i = 0; i < TILE_SAMPLE_SIZE; i++) {
+      sampleTiles.push(new SimpleTile(Math.floor((i * tiles.length) / TILE_SAMPLE_SIZE)));
+    }
+  }
+  return sampleTiles;
+};
+
+class LookaheadStrategy extends SearchStrategy {
+  /**
+   * @static
+   * Gets the search options of this strategy.
+   *
+   * @returns {object} the `depth`, in the number of the player's own turns
+   * to search, and the `timeBudget`, in milliseconds
+   */
+  static getOptions() {
+    return {
+      depth: DEFAULT_DEPTH,
+      timeBudget: DEFAULT_TIME_BUDGET,
+    };
+  }
+
+  /**
+   * @static
+   * Creates a copy of this strategy which searches with the given options.
+   *
+   * @param {object} options the search options to override
+   * @param {number} [options.depth] the number of the player's own turns
+   * to search
+   * @param {number} [options.timeBudget] the time allowed for a single
+   * search, in milliseconds
+   * @returns {LookaheadStrategy} the configured strategy
+   */
+  static withOptions(options) {
+    const { depth, timeBudget } = Object.assign(this.getOptions(), options);
+    return class extends this {
+      static getOptions() {
+        return { depth, timeBudget };
+      }
+    };
+  }
+
+  /**
+   * @private @static
+   * Throws if the given deadline has passed, ending the current search.
+   *
+   * @param {number} deadline the time the search must end by
+   */
+  static _checkTime(deadline) {
+    if (Date.now() > deadline) {
+      throw OUT_OF_TIME;
+    }
+  }
+
+  /**
+   * @private @static
+   * Scores the given board state for the player of the given ID. Surviving
+   * is worth far more than any number of opponents pushed off the board.
+   *
+   * @param {string} id the player's ID
+   * @param {BoardState} boardState the board state to score
+   * @returns {number} the score of the board state
+   */
+  static _evaluate(id, boardState) {
+    const avatar = boardState.getAvatar(id);
+    const survivalScore = avatar && !avatar.hasLost() ? SURVIVAL_SCORE : 0;
+    const numEliminated = boardState
+      .getAvatars()
+      .filter(other => other.id !== id && other.hasLost()).length;
+    return survivalScore + numEliminated * ELIMINATION_SCORE;
+  }
+
+  /**
+   * @private @static
+   * Gets the board state after the given tile is placed at the given
+   * coordinates.
+   *
+   * @param {BoardState} boardState the current board state
+   * @param {Tile} tile the tile to place
+   * @param {Coords} coords the coordinates to place the tile at
+   * @returns {BoardState} the resulting board state
+   */
+  static _placeTile(boardState, tile, coords) {
+    const board = new Board(boardState.copy());
+    board.placeTile(tile, coords);
+    return board.getState();
+  }
+
+  /**
+   * @private @static
+   * Gets the board state after every opponent in play replies with a
+   * sampled tile. Each opponent is assumed to survive if they can, and
+   * otherwise to play the reply that is worst for the player.
+   *
+   * @param {string} id the player's ID
+   * @param {BoardState} boardState the current board state
+   * @param {number} deadline the time the search must end by
+   * @returns {BoardState} the board state after all replies
+   */
+  static _replyAsOpponents(id, boardState, deadline) {
+    return boardState
+      .getAvatars()
+      .filter(avatar => avatar.id !== id)
+      .reduce((state, { id: opponentId }) => {
+        const coords = this._getNextCoords(state, opponentId);
+        if (!coords) {
+          return state;
+        }
+
+        let worstState = null;
+        let worstScore = Infinity;
+        getSampleTiles().forEach(tile => {
+          for (let i = 0; i < DIRECTIONS_CLOCKWISE.length; i++) {
+            this._checkTime(deadline);
+            const nextState = this._placeTile(state, tile.copy(i), coords);
+            const survives = !nextState.getAvatar(opponentId).hasLost();
+            const score = (survives ? 0 : SURVIVAL_SCORE) + this._evaluate(id, nextState);
+            if (score < worstScore) {
+              worstScore = score;
+              worstState = nextState;
+            }
+          }
+        });
+        return worstState;
+      }, boardState);
+  }
+
+  /**
+   * @private @static
+   * Gets the value of a board state right after the player's move. Every
+   * opponent replies, then, if any depth remains, the player's next turn
+   * is searched.
+   *
+   * @param {string} id the player's ID
+   * @param {BoardState} boardState the board state after the player's move
+   * @param {number} depth the number of the player's turns left to search
+   * @param {number} deadline the time the search must end by
+   * @returns {number} the value of the board state
+   */
+  static _getMoveValue(id, boardState, depth, deadline) {
+    if (!this._getNextCoords(boardState, id)) {
+      return this._evaluate(id, boardState);
+    }
+    const replyState = this._replyAsOpponents(id, boardState, deadline);
+    if (depth <= 1) {
+      return this._evaluate(id, replyState);
+    }
+    return this._getTurnValue(id, replyState, depth - 1, deadline);
+  }
+
+  /**
+   * @private @static
+   * Gets the expected value of the player's next turn. The player's hand is
+   * unknown, so every sampled tile stands in for it equally, and the
+   * player places it in its best rotation.
+   *
+   * @param {string} id the player's ID
+   * @param {BoardState} boardState the board state before the turn
+   * @param {number} depth the number of the player's turns left to search
+   * @param {number} deadline the time the search must end by
+   * @returns {number} the expected value of the turn
+   */
+  static _getTurnValue(id, boardState, depth, deadline) {
+    const coords = this._getNextCoords(boardState, id);
+    if (!coords) {
+      return this._evaluate(id, boardState);
+    }
+
+    const sampled = getSampleTiles();
+    const total = sampled.reduce((acc, tile) => {
+      let bestValue = -Infinity;
+      for (let i = 0; i < DIRECTIONS_CLOCKWISE.length; i++) {
+        this._checkTime(deadline);
+        const nextState = this._placeTile(boardState, tile.copy(i), coords);
+        bestValue = Math.max(bestValue, this._getMoveValue(id, nextState, depth, deadline));
+      }
+      return acc + bestValue;
+    }, 0);
+    return total / sampled.length;
+  }
+
+  /**
+   * @private @static
+   * Searches the given actions with increasing depth until the configured
+   * depth is reached or time runs out, and picks the best one. If time
+   * runs out before the first depth is searched, the best action found so
+   * far is picked.
+   *
+   * @param {string} id the player's ID
+   * @param {BoardState} boardState the current board state
+   * @param {InitialAction[]|IntermediateAction[]} actions the actions to
+   * pick from
+   * @param {boolean} isInitial whether the actions are initial
+   * @param {number|null} timeLeft the time the player has to give the
+   * action in milliseconds, or null if there is no limit
+   * @returns {InitialAction|IntermediateAction} the best action
+   */
+  static _search(id, boardState, actions, isInitial, timeLeft) {
+    const { depth, timeBudget } = this.getOptions();
+    const deadline = Date.now() + this._getTimeBudget(timeBudget, timeLeft);
+
+    let bestAction = actions[0];
+    for (let searchDepth = 1; searchDepth <= depth; searchDepth++) {
+      let depthBestAction = null;
+      let depthBestValue = -Infinity;
+      try {
+        actions.forEach(action => {
+          const nextState = this._takeAction(id, boardState, action, isInitial);
+          const value = this._getMoveValue(id, nextState, searchDepth, deadline);
+          if (value > depthBestValue) {
+            depthBestValue = value;
+            depthBestAction = action;
+          }
+        });
+      } catch (err) {
+        if (err !== OUT_OF_TIME) {
+          throw err;
+        }
+        if (searchDepth === 1 && depthBestAction) {
+          bestAction = depthBestAction;
+        }
+        break;
+      }
+      bestAction = depthBestAction;
+    }
+    return bestAction;
+  }
+
+  /**
+   * Determines a player's initial action, by searching every legal
+   * placement of every tile in hand along the border of the board.
+   *
+   * @param {string} id the player's ID
+   * @param {Tile[]} hand the player's current hand of tiles
+   * @param {BoardState} boardState the current state of the board
+   * @param {number|null} [timeLeft=null] the time the player has to give
+   * the action in milliseconds, or null if there is no limit
+   * @param {RuleSet} [ruleSet] the rules the game is played under, the
+   * standard rules if not given
+   * @returns {InitialAction} the determined initial action
+   */
+  static getInitialAction(id, hand, boardState, timeLeft = null, ruleSet = RuleSet.getDefault()) {
+    const actions = ruleSet.getLegalInitialActions(boardState, { id, hand });
+    if (actions.length === 0) {
+      throw 'Not enough valid spaces on the board';
+    }
+    return this._search(id, boardState, actions, true, timeLeft);
+  }
+
+  /**
+   * Determines a player's intermediate action, by searching every tile and
+   * rotation in hand that the rules allow.
+   *
+   * @param {string} id the player's ID
+   * @param {Tile[]} hand the player's current hand of tiles
+   * @param {BoardState} boardState the current state of the board
+   * @param {number|null} [timeLeft=null] the time the player has to give
+   * the action in milliseconds, or null if there is no limit
+   * @param {RuleSet} [ruleSet] the rules the game is played under, the
+   * standard rules if not given
+   * @returns {IntermediateAction} the determined intermediate action
+   */
+  static getIntermediateAction(
+    id,
+    hand,
+    boardState,
+    timeLeft = null,
+    ruleSet = RuleSet.getDefault()
+  ) {
+    const actions = ruleSet.getLegalIntermediateActions(boardState, { id, hand });
+    const validActions = actions.filter(action => !action.isSuicidal);
+    const candidates = validActions.length > 0 ? validActions : actions;
+    return this._search(id, boardState, candidates, false, timeLeft);
+  }
+}
+
+module.exports = LookaheadStrategy;
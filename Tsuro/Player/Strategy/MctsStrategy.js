@@ -0,0 +1,276 @@
+const {
+  Board,
+  IntermediateAction,
+  Random,
+  RuleChecker,
+  RuleSet,
+  SimpleTile,
+} = require('../../Common');
+const tiles = require('../../Common/__tests__/tiles');
+const { DIRECTIONS_CLOCKWISE, SECOND } = require('../../Common/utils/constants');
+const { SearchStrategy } = require('.');
+
+const DEFAULT_ITERATIONS = 1000;
+const DEFAULT_TIME_BUDGET = 3 * SECOND;
+
+const EXPLORATION = Math.SQRT2;
+const HAND_SIZE = 2;
+const MAX_INITIAL_ACTIONS = 24;
+const PLAYOUT_ROUNDS = 8;
+
+class MctsStrategy extends SearchStrategy {
+  /**
+   * @static
+   * Gets the search options of this strategy.
+   *
+   * @returns {object} the maximum number of playout `iterations`, the
+   * `timeBudget` in milliseconds, and the `seed` for sampling, which is
+   * generated for every search if not set, so unseeded searches cannot be
+   * reproduced
+   */
+  static getOptions() {
+    return {
+      iterations: DEFAULT_ITERATIONS,
+      timeBudget: DEFAULT_TIME_BUDGET,
+      seed: undefined,
+    };
+  }
+
+  /**
+   * @static
+   * Creates a copy of this strategy which searches with the given options.
+   *
+   * @param {object} options the search options to override
+   * @param {number} [options.iterations] the maximum number of playouts
+   * for a single search
+   * @param {number} [options.timeBudget] the time allowed for a single
+   * search, in milliseconds
+   * @param {number} [options.seed] the seed for sampling; searching the
+   * same board and hand with the same seed picks the same action on any
+   * machine, as seeded searches ignore the time budget and run every
+   * iteration, unless the player would otherwise run out of time
+   * @returns {MctsStrategy} the configured strategy
+   */
+  static withOptions(options) {
+    const { iterations, timeBudget, seed } = Object.assign(this.getOptions(), options);
+    return class extends this {
+      static getOptions() {
+        return { iterations, timeBudget, seed };
+      }
+    };
+  }
+
+  /**
+   * @private @static
+   * Gets the indices of the tiles that are neither placed on the board nor
+   * held in the given hand, from which unknown tiles are sampled.
+   *
+   * @param {BoardState} boardState the current board state
+   * @param {Tile[]} hand the player's current hand of tiles
+   * @returns {number[]} the indices of the unknown tiles
+   */
+  static _getUnknownTiles(boardState, hand) {
+    const known = new Set(hand.map(tile => tile.index));
+    boardState.getTiles().forEach(column => {
+      column.forEach(tile => {
+        if (tile) {
+          known.add(tile.index);
+        }
+      });
+    });
+    return tiles.map((tile, idx) => idx).filter(idx => !known.has(idx));
+  }
+
+  /**
+   * @private @static
+   * Plays a random move for the player of the given ID, preferring any
+   * placement of the given hand that the player survives.
+   *
+   * @param {Board} board the board of the playout
+   * @param {BoardState} boardState the live state of the playout's board
+   * @param {string} id the player's ID
+   * @param {Tile[]} hand the player's sampled hand of tiles
+   * @param {Random} random the playout's random number generator
+   */
+  static _playRandomMove(board, boardState, id, hand, random) {
+    const coords = this._getNextCoords(boardState, id);
+    const placements = random.shuffle(
+      hand.reduce((acc, tile) => {
+        for (let i = 0; i < DIRECTIONS_CLOCKWISE.length; i++) {
+          acc.push(new IntermediateAction(tile.copy(i), coords));
+        }
+        return acc;
+      }, [])
+    );
+    const placement =
+      placements.find(action => RuleChecker.checkPlacementValidity(boardState, action, { id })) ||
+      placements[0];
+    board.placeTile(placement.tile, coords);
+  }
+
+  /**
+   * @private @static
+   * Plays out the rest of the game at random from the given board state,
+   * starting with the opponents after the player. Every player is dealt
+   * hands from the shuffled unknown tiles, until the tiles or the playout's
+   * rounds run out.
+   *
+   * @param {string} id the player's ID
+   * @param {BoardState} boardState the board state after the player's move
+   * @param {number[]} unknownTiles the indices of the unknown tiles
+   * @param {Random} random the search's random number generator
+   * @returns {boolean} whether the player survived the playout
+   */
+  static _playout(id, boardState, unknownTiles, random) {
+    // The board shares its state's avatars and tiles, so the state stays live
+    const state = boardState.copy();
+    const board = new Board(state);
+
+    const ids = state.getAvatars().map(avatar => avatar.id);
+    const idx = ids.indexOf(id);
+    const turnOrder = [...ids.slice(idx + 1), ...ids.slice(0, idx + 1)];
+    const pile = random.shuffle(unknownTiles);
+
+    const isInPlay = playerId => !!this._getNextCoords(state, playerId);
+    for (let round = 0; round < PLAYOUT_ROUNDS; round++) {
+      for (const playerId of turnOrder) {
+        if (!isInPlay(id)) {
+          return false;
+        } else if (pile.length < HAND_SIZE) {
+          return true;
+        }
+        if (isInPlay(playerId)) {
+          const hand = pile.splice(0, HAND_SIZE).map(index => new SimpleTile(index));
+          this._playRandomMove(board, state, playerId, hand, random);
+        }
+      }
+      if (!turnOrder.some(playerId => playerId !== id && isInPlay(playerId))) {
+        break;
+      }
+    }
+    return isInPlay(id);
+  }
+
+  /**
+   * @private @static
+   * Gets the upper confidence bound of an action's survival rate, which
+   * balances trying the most promising actions against trying the least
+   * played ones.
+   *
+   * @param {object} stats the playout statistics of the action
+   * @param {number} totalPlayouts the number of playouts of every action
+   * @returns {number} the upper confidence bound
+   */
+  static _getUpperBound(stats, totalPlayouts) {
+    if (stats.playouts === 0) {
+      return Infinity;
+    }
+    const survivalRate = stats.survivals / stats.playouts;
+    return survivalRate + EXPLORATION * Math.sqrt(Math.log(totalPlayouts) / stats.playouts);
+  }
+
+  /**
+   * @private @static
+   * Searches the given actions with random playouts until the iteration or
+   * time budget runs out, and picks the action with the best survival rate.
+   * Each playout is given to the action with the highest upper confidence
+   * bound on its survival rate. Seeded searches only stop once every
+   * iteration has run, so the number of playouts never depends on the speed
+   * of the machine, unless the player's time is about to run out; they are
+   * only reproducible without a time limit.
+   *
+   * @param {string} id the player's ID
+   * @param {Tile[]} hand the player's current hand of tiles
+   * @param {BoardState} boardState the current board state
+   * @param {InitialAction[]|IntermediateAction[]} actions the actions to
+   * pick from
+   * @param {boolean} isInitial whether the actions are initial
+   * @param {Random} random the search's random number generator
+   * @param {number|null} timeLeft the time the player has to give the
+   * action in milliseconds, or null if there is no limit
+   * @returns {InitialAction|IntermediateAction} the best action
+   */
+  static _search(id, hand, boardState, actions, isInitial, random, timeLeft) {
+    const { iterations, timeBudget, seed } = this.getOptions();
+    const budget = this._getTimeBudget(seed === undefined ? timeBudget : Infinity, timeLeft);
+    const deadline = Date.now() + budget;
+    const unknownTiles = this._getUnknownTiles(boardState, hand);
+    const stats = actions.map(action => ({
+      action,
+      state: this._takeAction(id, boardState, action, isInitial),
+      playouts: 0,
+      survivals: 0,
+    }));
+
+    for (let i = 0; i < iterations && Date.now() <= deadline; i++) {
+      const chosen = stats.reduce((best, actionStats) =>
+        this._getUpperBound(actionStats, i) > this._getUpperBound(best, i) ? actionStats : best
+      );
+      chosen.playouts += 1;
+      if (this._playout(id, chosen.state, unknownTiles, random)) {
+        chosen.survivals += 1;
+      }
+    }
+
+    const getSurvivalRate = ({ playouts, survivals }) => (playouts ? survivals / playouts : -1);
+    return stats.reduce((best, actionStats) => {
+      const rate = getSurvivalRate(actionStats);
+      const bestRate = getSurvivalRate(best);
+      return rate > bestRate || (rate === bestRate && actionStats.playouts > best.playouts)
+        ? actionStats
+        : best;
+    }).action;
+  }
+
+  /**
+   * Determines a player's initial action, by searching a sample of the legal
+   * placements of every tile in hand along the border of the board.
+   *
+   * @param {string} id the player's ID
+   * @param {Tile[]} hand the player's current hand of tiles
+   * @param {BoardState} boardState the current state of the board
+   * @param {number|null} [timeLeft=null] the time the player has to give
+   * the action in milliseconds, or null if there is no limit
+   * @param {RuleSet} [ruleSet] the rules the game is played under, the
+   * standard rules if not given
+   * @returns {InitialAction} the determined initial action
+   */
+  static getInitialAction(id, hand, boardState, timeLeft = null, ruleSet = RuleSet.getDefault()) {
+    const random = new Random(this.getOptions().seed);
+    const actions = ruleSet.getLegalInitialActions(boardState, { id, hand });
+    if (actions.length === 0) {
+      throw 'Not enough valid spaces on the board';
+    }
+    const sampled = random.shuffle(actions).slice(0, MAX_INITIAL_ACTIONS);
+    return this._search(id, hand, boardState, sampled, true, random, timeLeft);
+  }
+
+  /**
+   * Determines a player's intermediate action, by searching every tile and
+   * rotation in hand that the rules allow.
+   *
+   * @param {string} id the player's ID
+   * @param {Tile[]} hand the player's current hand of tiles
+   * @param {BoardState} boardState the current state of the board
+   * @param {number|null} [timeLeft=null] the time the player has to give
+   * the action in milliseconds, or null if there is no limit
+   * @param {RuleSet} [ruleSet] the rules the game is played under, the
+   * standard rules if not given
+   * @returns {IntermediateAction} the determined intermediate action
+   */
+  static getIntermediateAction(
+    id,
+    hand,
+    boardState,
+    timeLeft = null,
+    ruleSet = RuleSet.getDefault()
+  ) {
+    const random = new Random(this.getOptions().seed);
+    const actions = ruleSet.getLegalIntermediateActions(boardState, { id, hand });
+    const validActions = actions.filter(action => !action.isSuicidal);
+    const candidates = validActions.length > 0 ? validActions : actions;
+    return this._search(id, hand, boardState, candidates, false, random, timeLeft);
+  }
+}
+
+module.exports = MctsStrategy;
@@ -0,0 +1,70 @@
+const { Board } = require('../../Common');
+const { SECOND } = require('../../Common/utils/constants');
+const { BaseStrategy } = require('.');
+
+// Kept back from the time a player has left, for the referee to receive
+// the action, and for the round trip of a remote player
+const TIME_MARGIN = SECOND / 2;
+
+class SearchStrategy extends BaseStrategy {
+  /**
+   * @private @static
+   * Gets the time a search may take, which is its own budget cut down to
+   * fit within the time the player has left, less a safety margin.
+   *
+   * @param {number} timeBudget the time allowed for the search, in
+   * milliseconds
+   * @param {number|null} timeLeft the time the player has to give the
+   * action in milliseconds, or null if there is no limit
+   * @returns {number} the time the search may take, in milliseconds
+   */
+  static _getTimeBudget(timeBudget, timeLeft) {
+    if (timeLeft === null) {
+      return timeBudget;
+    }
+    return Math.min(timeBudget, Math.max(timeLeft - TIME_MARGIN, 0));
+  }
+
+  /**
+   * @private @static
+   * Gets the coordinates the avatar of the given ID will place its next
+   * tile at, if it is still in play.
+   *
+   * @param {BoardState} boardState the current board state
+   * @param {string} id the avatar's player ID
+   * @returns {Coords|null} the coordinates of the next placement, or null
+   * if the avatar is not in play
+   */
+  static _getNextCoords(boardState, id) {
+    const avatar = boardState.getAvatar(id);
+    if (!avatar || avatar.hasLost()) {
+      return null;
+    }
+    return avatar.coords.copy().moveOne(avatar.position.direction);
+  }
+
+  /**
+   * @private @static
+   * Gets the board state after the given action is taken by the player of
+   * the given ID. The action must be legal, so initial tiles are placed
+   * without checking for neighbors again, which house rules may allow.
+   *
+   * @param {string} id the player's ID
+   * @param {BoardState} boardState the current board state
+   * @param {InitialAction|IntermediateAction} action the action to take
+   * @param {boolean} isInitial whether the action is initial
+   * @returns {BoardState} the resulting board state
+   */
+  static _takeAction(id, boardState, action, isInitial) {
+    const { tile, coords, position } = action;
+    const board = new Board(boardState.copy());
+    if (isInitial) {
+      board.placeInitialTileAvatar({ id, getColor: () => null }, tile, coords, position, true);
+    } else {
+      board.placeTile(tile, coords);
+    }
+    return board.getState();
+  }
+}
+
+module.exports = SearchStrategy;
@@ -1,3 +1,7 @@
 exports.BaseStrategy = require('./BaseStrategy');
+exports.SearchStrategy = require('./SearchStrategy');
 exports.DumbStrategy = require('./DumbStrategy');
 exports.LonelyStrategy = require('./LonelyStrategy');
+exports.LookaheadStrategy = require('./LookaheadStrategy');
+exports.MctsStrategy = require('./MctsStrategy');
+exports.HumanStrategy = require('./HumanStrategy');
@@ -1,3 +1,4 @@
 exports.BasePlayer = require('./BasePlayer');
 exports.ProxyPlayer = require('./ProxyPlayer');
 exports.Player = require('./Player');
+exports.ReplayPlayer = require('./ReplayPlayer');
@@ -0,0 +1,42 @@
+class BaseTransport {
+  /**
+   * @constructor
+   * Creates a new transport, which listens for clients at the given IP
+   * address and port. Every client connection is handed to the server as
+   * a stream of newline-delimited messages, so the server and its players
+   * never need to know which transport a client uses.
+   *
+   * @param {string} ipAddress the IP address to listen at
+   * @param {number} port the port to listen at
+   */
+  constructor(ipAddress, port) {
+    this.ipAddress = ipAddress;
+    this.port = port;
+  }
+
+  /**
+   * Gets the address this transport listens at, for logging.
+   *
+   * @returns {string} the address of the transport
+   */
+  getAddress() {
+    return `${this.ipAddress}:${this.port}`;
+  }
+
+  /**
+   * Begins listening for clients. Each new client connection is a duplex
+   * stream of newline-delimited messages, which can be written to and
+   * destroyed like a `net.Socket`, and emits `end` and `error` events.
+   *
+   * Implementation left to subclasses.
+   *
+   * @param {function} onConnection a callback function called with each
+   * new client connection
+   */
+  // eslint-disable-next-line no-unused-vars
+  listen(onConnection) {
+    throw 'Implement!';
+  }
+}
+
+module.exports = BaseTransport;
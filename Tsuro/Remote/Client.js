@@ -3,11 +3,22 @@ const ping = require('tcp-ping');
 const Validation = require('./Validation');
 const Player = require('../Player/Player');
 const Message = require('../Common/message');
-const { BoardState, SimpleTile } = require('../Common');
-const { MESSAGE_ACTIONS } = require('../Common/utils/constants');
+const MessageFramer = require('../Common/MessageFramer');
+const { BoardState, RuleSet, SimpleTile } = require('../Common');
+const {
+  CAPABILITIES,
+  GAME_STATUS,
+  MESSAGE_ACTIONS,
+  PROTOCOL_VERSION,
+  SECOND,
+} = require('../Common/utils/constants');
 
 const SEPARATOR = '-----';
 const PLACE_MAP = ['1st', '2nd', '3rd', '4th', '5th'];
+// Keeps trying for about as long as the server holds the player's seat
+const RECONNECT_DELAY = 2 * SECOND;
+const MAX_RECONNECT_ATTEMPTS = 15;
+const CLIENT_CAPABILITIES = [CAPABILITIES.CLOCK, CAPABILITIES.RESUME];
 
 const CONN_ERRORS = {
   NO_SERVER_ACTIVE: 'ECONNREFUSED',
@@ -41,10 +52,16 @@ class Client {
     this.name = name;
     this.strategy = strategy;
     this.player = null;
+    this.token = null;
+    this.capabilities = [];
+
+    this._wasKicked = false;
+    this._reconnectAttempts = 0;
 
     this.handlers = {
       [MESSAGE_ACTIONS.SET_UNIQUE_NAME]: this._handleSetUniqueName,
       [MESSAGE_ACTIONS.SET_COLOR]: this._handleSetColor,
+      [MESSAGE_ACTIONS.SET_RULES]: this._handleSetRules,
       [MESSAGE_ACTIONS.TURN_STATUS]: this._handleTurnStatus,
       [MESSAGE_ACTIONS.DEAL_HAND]: this._handleDealHand,
       [MESSAGE_ACTIONS.PROMPT_FOR_ACTION]: this._handlePromptForAction,
@@ -55,6 +72,7 @@ class Client {
       [MESSAGE_ACTIONS.DENY_ENTRY]: this._handleDenyEntry,
       [MESSAGE_ACTIONS.INVALID_JSON]: this._handleInvalidJson,
       [MESSAGE_ACTIONS.UNKNOWN_ACTION]: this._handleUnknownAction,
+      [MESSAGE_ACTIONS.MESSAGE_TOO_LARGE]: this._handleMessageTooLarge,
       [MESSAGE_ACTIONS.INVALID_ID]: this._handleInvalidId,
       [MESSAGE_ACTIONS.UNKNOWN_STRAT]: this._handleUnknownStrat,
     };
@@ -149,6 +167,7 @@ class Client {
    * @param {string} reason the reason why the client was kicked
    */
   _logKickError(reason) {
+    this._wasKicked = true;
     this._logError('You have been kicked from the game.', reason);
   }
 
@@ -178,6 +197,15 @@ class Client {
     this._logKickError('Unknown action.');
   }
 
+  /**
+   * @private
+   * Handles the server kicking the client for sending a message over the
+   * maximum size. Logs the error to the client.
+   */
+  _handleMessageTooLarge() {
+    this._logKickError('Message too large.');
+  }
+
   /**
    * @private
    * Handles the client being denied entry from the server. Logs
@@ -186,6 +214,7 @@ class Client {
    * @param {string} payload the reason for being denied entry
    */
   _handleDenyEntry(payload) {
+    this._wasKicked = true;
     this._logError('Entry to server denied.', payload);
   }
 
@@ -226,7 +255,8 @@ class Client {
 
   /**
    * @private
-   * Updates the player's current turn status.
+   * Updates the player's current turn status. Once the turn has ended,
+   * the player stops choosing an action, if they still are.
    *
    * @param {boolean} payload whether it's currently the player's
    * turn
@@ -238,18 +268,21 @@ class Client {
       console.log(SEPARATOR);
       console.log('It is your turn.');
     } else {
+      this.player.cancelAction();
       console.log('Your turn has ended.');
     }
   }
 
   /**
    * @private
-   * Informs the player that they have lost.
+   * Informs the player that they have lost, and stops them choosing an
+   * action, such as when they have run out of time to choose it.
    *
    * @param {boolean} payload whether the player lost from a
    * legal move or not
    */
   _handleRemovePlayer(payload) {
+    this.player.cancelAction();
     this.player.lose(payload);
 
     if (payload) {
@@ -264,8 +297,8 @@ class Client {
    * Updates the player's current board state from the server.
    *
    * @param {object} payload the JSON version of the board state
-   * @param {string[][]} payload.tiles the 2D map of tiles, based
-   * on tileIndices
+   * @param {object[][]} payload.tiles the 2D map of tiles, based
+   * on tile indices and rotations
    * @param {object[]} payload.avatars an array of JSON
    * representations of avatars
    * @param {object} payload.initialAvatarHashes the hash map for
@@ -296,11 +329,19 @@ class Client {
    * the server. Then, sends a `SEND_ACTION` message to the server,
    * with a JSON-ified action.
    *
-   * @param {boolean} payload whether the action to choose is initial
-   * or not
+   * @param {object} payload the `PROMPT_FOR_ACTION` message payload
+   * @param {boolean} payload.isInitial whether the action to choose is
+   * initial or not
+   * @param {number|null} [payload.timeLeft] the time left to choose the
+   * action in milliseconds, or null if there is no limit; only sent if the
+   * clock capability was agreed upon
    */
   async _handlePromptForAction(payload) {
-    const action = await this.player.getAction(payload);
+    const { isInitial, timeLeft = null } = payload;
+    if (timeLeft !== null) {
+      console.log(`You have ${timeLeft / SECOND} seconds to choose an action.`);
+    }
+    const action = await this.player.getAction(isInitial, timeLeft);
     const jsonAction = action.toJson();
     this._sendMessage(MESSAGE_ACTIONS.SEND_ACTION, jsonAction);
 
@@ -326,18 +367,39 @@ class Client {
     }
   }
 
+  /**
+   * @private
+   * Sets the rules the player lists its legal actions by, as the rules
+   * of the game it has joined.
+   *
+   * @param {object} payload the JSON version of the rule set
+   */
+  _handleSetRules(payload) {
+    this.player.setRuleSet(RuleSet.fromJson(payload));
+  }
+
   /**
    * @private
    * Sets the client's name to the server-generated unique one,
-   * and creates the player object.
+   * keeps the session token for resuming the session and the agreed
+   * capabilities, and creates the player object.
    *
-   * @param {string} payload the server-generated unique name
+   * @param {object} payload the `SET_UNIQUE_NAME` message payload
+   * @param {string} payload.id the server-generated unique name
+   * @param {string|null} payload.token the session token, or null if
+   * resuming was not agreed upon
+   * @param {number} payload.version the protocol version of the server
+   * @param {string[]} payload.capabilities the agreed capabilities
    */
   _handleSetUniqueName(payload) {
-    this.name = payload;
+    const { id, token, capabilities } = payload;
+    this.name = id;
+    this.token = token;
+    this.capabilities = capabilities;
     this.player = new Player(this.name, this.name, this.strategy);
 
     console.log(`Your unique name is ${this.name}.`);
+    console.log(`Agreed capabilities: ${capabilities.join(', ') || 'none'}.`);
   }
 
   /**
@@ -363,26 +425,13 @@ class Client {
 
   /**
    * @private
-   * Event listener for the `data` event which listens for messages from
-   * the server and handles them accordingly.
-   *
-   * If the message is malformed, the client will end its session with
-   * the server.
-   *
-   * @param {Buffer} data the data buffer received, containing messages
-   * from the server
+   * Event listener for the message framer's `error` event, for when the
+   * server sends a malformed or oversized message. The client will end
+   * its session with the server.
    */
-  _onServerData(data) {
-    const text = data.toString().trim();
-    try {
-      text.split('\n').forEach(msgText => {
-        const message = JSON.parse(msgText);
-        this._handleMessage(message);
-      });
-    } catch (err) {
-      this._logUnexpectedError('The server is sending malformed messages.');
-      this._endSession();
-    }
+  _onFramerError() {
+    this._logUnexpectedError('The server is sending malformed messages.');
+    this._endSession();
   }
 
   /**
@@ -401,11 +450,61 @@ class Client {
 
   /**
    * @private
-   * Event listener for the `end` event which ends the client's session
-   * with the server. Will also log an unexpected server disconnect error
+   * Checks whether the client can resume its session after its connection
+   * drops; that is, resuming was agreed upon, it was not kicked, and its
+   * game is not over.
+   *
+   * @returns {boolean} whether the client can resume its session
+   */
+  _canResume() {
+    return (
+      this.capabilities.includes(CAPABILITIES.RESUME) &&
+      !this._wasKicked &&
+      this.player.gameStatus !== GAME_STATUS.GAME_OVER &&
+      this._reconnectAttempts < MAX_RECONNECT_ATTEMPTS
+    );
+  }
+
+  /**
+   * @private
+   * Sends a `RESUME` message to the server, with the client's session
+   * token as payload, to reattach to the client's player.
+   */
+  _resume() {
+    console.log('Reconnected to the server, resuming session.');
+    this._reconnectAttempts = 0;
+    this._sendMessage(MESSAGE_ACTIONS.RESUME, { token: this.token });
+  }
+
+  /**
+   * @private
+   * Connects to the server again after a short delay, with a new socket,
+   * and then resumes the client's session.
+   */
+  _reconnect() {
+    this._reconnectAttempts += 1;
+    console.log('Lost connection to the server, reconnecting...');
+    setTimeout(() => {
+      this._createClient();
+      this.client.connect(this.port, this.ipAddress, () => {
+        this._resume();
+      });
+    }, RECONNECT_DELAY);
+  }
+
+  /**
+   * @private
+   * Event listener for the `close` event which ends the client's session
+   * with the server, unless the session can be resumed over a new
+   * connection. Will also log an unexpected server disconnect error
    * if such is the cause of the session end.
    */
   async _onServerEnd() {
+    if (this._canResume()) {
+      this._reconnect();
+      return;
+    }
+
     const isAlive = await this._ping();
     if (!isAlive) {
       this._logUnexpectedError('The server has gone down.');
@@ -419,6 +518,10 @@ class Client {
    * the client to connect to.
    */
   _handleNoServerActive() {
+    if (this._canResume()) {
+      // The socket closes right after, and the client tries again
+      return;
+    }
     this._handleDenyEntry(`No server is currently active at ${this.ipAddress}:${this.port}.`);
     this._endSession();
   }
@@ -435,7 +538,7 @@ class Client {
     const handler = this.errorHandlers[code];
     if (handler) {
       handler.bind(this)();
-    } else {
+    } else if (!this._canResume()) {
       this._logUnexpectedError(`Unknown error (${code}) has occurred.`);
       this._endSession();
     }
@@ -444,13 +547,16 @@ class Client {
   /**
    * @private
    * Registers the client as a player on the server. Sends a `REGISTER_CLIENT`
-   * message to the server, with the client's ID and strategy as payload.
+   * message to the server, with the client's ID and strategy, protocol
+   * version and the capabilities it supports as payload.
    */
   _register() {
     console.log('Registered client as', this.name, 'with strategy', this.strategy);
     this._sendMessage(MESSAGE_ACTIONS.REGISTER_CLIENT, {
       id: this.name,
       strategy: this.strategy,
+      version: PROTOCOL_VERSION,
+      capabilities: CLIENT_CAPABILITIES,
     });
   }
 
@@ -467,12 +573,29 @@ class Client {
 
   /**
    * @private
-   * Creates a new client and attaches all event handlers to it.
+   * Creates the socket to connect to the server with. Subclasses may use
+   * any other transport, so long as the socket has the same interface.
+   *
+   * @returns {net.Socket} a new, unconnected socket
+   */
+  _createSocket() {
+    return new Socket();
+  }
+
+  /**
+   * @private
+   * Creates a new client and attaches all event handlers to it. Every
+   * message from the server is framed, then handled by the
+   * `_handleMessage` dispatcher.
    */
   _createClient() {
-    this.client = new Socket();
-    this.client.on('data', this._onServerData.bind(this));
-    this.client.on('end', this._onServerEnd.bind(this));
+    const framer = new MessageFramer();
+    framer.on('data', this._handleMessage.bind(this));
+    framer.on('error', this._onFramerError.bind(this));
+
+    this.client = this._createSocket();
+    this.client.pipe(framer);
+    this.client.on('close', this._onServerEnd.bind(this));
     this.client.on('error', this._onServerError.bind(this));
   }
 }
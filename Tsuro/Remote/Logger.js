@@ -1,47 +1,237 @@
 const fs = require('fs');
+const { LOG_LEVELS } = require('../Common/utils/constants');
+
+const MEGABYTE = 1024 * 1024;
+const DEFAULT_MAX_FILE_SIZE = 10 * MEGABYTE;
+const DEFAULT_MAX_FILES = 5;
+const SEVERITIES = Object.values(LOG_LEVELS);
+const MESSAGE_DIRECTIONS = {
+  IN: 'in',
+  OUT: 'out',
+};
+const ARROWS = {
+  [MESSAGE_DIRECTIONS.IN]: '>>',
+  [MESSAGE_DIRECTIONS.OUT]: '<<',
+};
 
 class Logger {
   /**
    * @constructor
-   * Creates a new Logger for the given path.
+   * Creates a new Logger for the given path. Every event is written to the
+   * file as a line of JSON as soon as it is logged, so a crash loses
+   * nothing, and printed to the terminal unless the logger is quiet. Once
+   * the file grows too large, it is rotated: the file at `path` is renamed
+   * to `path.1`, `path.1` to `path.2`, and so on, and the oldest is deleted.
    *
-   * @param {string} path the path to create the final
-   * `xserver.log` file at
+   * @param {string} [path] the path of the file to append events to;
+   * events are only printed if not given
+   * @param {object} [options={}] the logger options
+   * @param {string} [options.level='debug'] the least severe level of
+   * events to log, one of `LOG_LEVELS`
+   * @param {boolean} [options.quiet=false] whether to keep events out of
+   * the terminal, such as for tournament runs
+   * @param {number} [options.maxFileSize=10485760] the size in bytes the
+   * file may grow to before it is rotated
+   * @param {number} [options.maxFiles=5] the number of rotated files to
+   * keep next to the current one
    */
-  constructor(path) {
+  constructor(path, options = {}) {
+    const {
+      level = LOG_LEVELS.DEBUG,
+      quiet = false,
+      maxFileSize = DEFAULT_MAX_FILE_SIZE,
+      maxFiles = DEFAULT_MAX_FILES,
+    } = options;
+    if (!SEVERITIES.includes(level)) {
+      throw 'Invalid log level';
+    }
+
     this.path = path;
-    this._history = [];
+    this.level = level;
+    this.quiet = quiet;
+    this.gameId = null;
+    this.playerId = null;
+    this._maxFileSize = maxFileSize;
+    this._maxFiles = maxFiles;
+    // Shared with every child logger, so they append to the same file
+    this._file = { fd: null, size: 0 };
+  }
+
+  /**
+   * @private
+   * Creates a child logger, which writes to the same file as this one,
+   * with the given fields filled in on every event it logs.
+   *
+   * @param {object} fields the fields of the child's events
+   * @param {string} [fields.gameId] the ID of the game
+   * @param {string} [fields.playerId] the ID of the player
+   * @returns {Logger} the child logger
+   */
+  _createChild(fields) {
+    const child = Object.create(Logger.prototype);
+    return Object.assign(child, this, fields);
   }
 
   /**
-   * Retrieves the logger's history.
+   * Creates a child logger for the game of the given ID. Every event it
+   * logs is tagged with the game ID.
    *
-   * @returns {string[]} the logger's history
+   * @param {string} gameId the ID of the game
+   * @returns {Logger} the game's logger
    */
-  get() {
-    return this._history;
+  forGame(gameId) {
+    return this._createChild({ gameId });
+  }
+
+  /**
+   * Creates a child logger for the player of the given ID. Every event it
+   * logs is tagged with the player ID, and the game ID of this logger.
+   *
+   * @param {string} playerId the ID of the player
+   * @returns {Logger} the player's logger
+   */
+  forPlayer(playerId) {
+    return this._createChild({ playerId });
   }
 
   /**
    * @private
-   * Adds a message to the Logger history.
+   * Opens the log file for appending, if it is not open already.
+   */
+  _open() {
+    if (this._file.fd === null) {
+      this._file.fd = fs.openSync(this.path, 'a');
+      this._file.size = fs.fstatSync(this._file.fd).size;
+    }
+  }
+
+  /**
+   * Closes the log file, if it is open. The file is shared with every
+   * child logger, and is opened again should anything more be logged, so
+   * a logger may be closed whenever it falls idle, such as once a game has
+   * ended.
+   */
+  close() {
+    if (this._file.fd !== null) {
+      fs.closeSync(this._file.fd);
+      this._file.fd = null;
+    }
+  }
+
+  /**
+   * @private
+   * Rotates the log file, shifting every rotated file up by one. The file
+   * rotated the longest ago is overwritten once there are too many.
+   */
+  _rotate() {
+    this.close();
+
+    for (let i = this._maxFiles - 1; i >= 1; i -= 1) {
+      if (fs.existsSync(`${this.path}.${i}`)) {
+        fs.renameSync(`${this.path}.${i}`, `${this.path}.${i + 1}`);
+      }
+    }
+    if (this._maxFiles > 0) {
+      fs.renameSync(this.path, `${this.path}.1`);
+    } else {
+      fs.unlinkSync(this.path);
+    }
+    this._open();
+  }
+
+  /**
+   * @private
+   * Appends a line to the log file, rotating it first if the line would
+   * make it too large. A line is never split across files.
    *
-   * @param {string[]} message an array of strings to join
-   * as a single message
+   * @param {string} line the line to append
    */
-  _addMessage(message) {
-    const msg = message.join(' ').trim();
-    this._history.push(msg);
-    console.log(msg);
+  _append(line) {
+    this._open();
+    const size = Buffer.byteLength(line);
+    if (this._file.size > 0 && this._file.size + size > this._maxFileSize) {
+      this._rotate();
+    }
+    fs.writeSync(this._file.fd, line);
+    this._file.size += size;
   }
 
   /**
-   * Logs a debug message for actions done only on the server.
+   * @private
+   * Logs an event of the given level, if it is at least as severe as the
+   * logger's level.
+   *
+   * @param {string} level the level of the event, one of `LOG_LEVELS`
+   * @param {string|null} direction the direction of the message between
+   * the server and the player, one of `MESSAGE_DIRECTIONS`, or null if it
+   * was not sent either way
+   * @param {any[]} message the parts of the message, joined by spaces
+   */
+  _log(level, direction, message) {
+    if (SEVERITIES.indexOf(level) < SEVERITIES.indexOf(this.level)) {
+      return;
+    }
+
+    const event = {
+      timestamp: new Date().toISOString(),
+      level,
+      gameId: this.gameId,
+      playerId: this.playerId,
+      direction,
+      message: message.join(' ').trim(),
+    };
+    if (this.path) {
+      this._append(`${JSON.stringify(event)}\n`);
+    }
+    if (!this.quiet) {
+      console.log(
+        [
+          `${level.toUpperCase()}:`,
+          this.gameId && `[game ${this.gameId}]`,
+          this.playerId,
+          direction && ARROWS[direction],
+          event.message,
+        ]
+          .filter(Boolean)
+          .join(' ')
+      );
+    }
+  }
+
+  /**
+   * Logs a debug message, for the details of the server's work.
    *
    * @param  {...string} message the message to log
    */
   debug(...message) {
-    this._addMessage(['DEBUG:', ...message]);
+    this._log(LOG_LEVELS.DEBUG, null, message);
+  }
+
+  /**
+   * Logs an info message, for the progress of the server and its games.
+   *
+   * @param  {...string} message the message to log
+   */
+  info(...message) {
+    this._log(LOG_LEVELS.INFO, null, message);
+  }
+
+  /**
+   * Logs a warning message, for players and clients misbehaving.
+   *
+   * @param  {...string} message the message to log
+   */
+  warn(...message) {
+    this._log(LOG_LEVELS.WARN, null, message);
+  }
+
+  /**
+   * Logs an error message, for failures the server did not expect.
+   *
+   * @param  {...string} message the message to log
+   */
+  error(...message) {
+    this._log(LOG_LEVELS.ERROR, null, message);
   }
 
   /**
@@ -51,7 +241,7 @@ class Logger {
    * @param  {...string} message the message to log
    */
   logFrom(id, ...message) {
-    this._addMessage([id, '>>', ...message]);
+    this.forPlayer(id)._log(LOG_LEVELS.DEBUG, MESSAGE_DIRECTIONS.IN, message);
   }
 
   /**
@@ -61,15 +251,7 @@ class Logger {
    * @param  {...string} message the message to log
    */
   logTo(id, ...message) {
-    this._addMessage([id, '<<', ...message]);
-  }
-
-  /**
-   * Writes the current history to the Logger's path.
-   */
-  write() {
-    const data = this.get().join('\n');
-    fs.writeFileSync(this.path, data);
+    this.forPlayer(id)._log(LOG_LEVELS.DEBUG, MESSAGE_DIRECTIONS.OUT, message);
   }
 }
 
@@ -1,19 +1,30 @@
-const { createServer } = require('net');
+const { randomBytes } = require('crypto');
 const Logger = require('./Logger');
+const Table = require('./Table');
+const TcpTransport = require('./TcpTransport');
 const Validation = require('./Validation');
-const { Referee } = require('../Admin');
+const WebSocketTransport = require('./WebSocketTransport');
+const { ProxyObserver, TimingPolicy } = require('../Admin');
 const ProxyPlayer = require('../Player/ProxyPlayer');
+const { GameConfig } = require('../Common');
 const Message = require('../Common/message');
+const MessageFramer = require('../Common/MessageFramer');
 const {
+  CAPABILITIES,
   DEFAULT_CONN,
   MESSAGE_ACTIONS,
-  PLAYER_POOL_SIZE,
+  PROTOCOL_VERSION,
   SECOND,
 } = require('../Common/utils/constants');
 require('../Common/utils/polyfills');
 
 const EXIT_TIMEOUT = 10;
-const STANDBY_TIMEOUT = 30 * SECOND;
+const GRACE_PERIOD = 30 * SECOND;
+const TOKEN_BYTES = 16;
+// Chat is not hosted yet, so it is never agreed upon
+const SUPPORTED_CAPABILITIES = [CAPABILITIES.CLOCK, CAPABILITIES.RESUME, CAPABILITIES.SPECTATOR];
+const LOG_EXTENSION = /\.log$/;
+const RECORD_EXTENSION = '.record.json';
 
 const CONN_ERRORS = {
   CLIENT_DISCONNECTED: 'EPIPE',
@@ -23,34 +34,79 @@ const CONN_ERRORS = {
 class Server {
   /**
    * @constructor
-   * Creates a new server at the given IP address and port.
+   * Creates a new server at the given IP address and port, listening for
+   * TCP clients, and optionally WebSocket clients or clients of any other
+   * transport. The server acts as a lobby, seating newly registered
+   * players at the next open table, and hosting the games of many tables
+   * at once.
    *
    * @param {string} [ipAddress='127.0.0.1'] the IP address to create
    * the server at
    * @param {number} [port=8000] the port to host the server at
-   * @param {string} [path] the path to write the log to
-   * @param {boolean} [useStandby] whether to use the standby timer
+   * @param {string} [path] the path to stream the log to, as lines of
+   * JSON; each table's game record is written next to it, with a
+   * `.record.json` extension
+   * @param {object} [options={}] the server options
+   * @param {boolean} [options.useStandby=true] whether to use the standby
+   * timer
+   * @param {number} [options.seed] the seed for every table's deck, to
+   * reproduce a previous game
+   * @param {boolean} [options.singleGame=false] whether to close the server
+   * once the first game has ended
+   * @param {GameConfig|object} [options.config] the board size and player
+   * limits of every table's game, or the options to create them with
+   * @param {TimingPolicy|object} [options.timing] how long players have to
+   * give each action at every table, or the options to create it with
+   * @param {number} [options.gracePeriod=30000] the time a player whose
+   * connection drops keeps their seat, waiting for their client to resume
+   * the session, in milliseconds
+   * @param {number} [options.webSocketPort] the port to listen for
+   * WebSocket clients at, next to the TCP port; WebSockets are not used if
+   * no port is given
+   * @param {BaseTransport[]} [options.transports=[]] any other transports to
+   * listen for clients with
+   * @param {object} [options.log={}] the level, quiet mode and file
+   * rotation of the log, as the options to create the `Logger` with
    */
-  constructor(
-    ipAddress = DEFAULT_CONN.IP_ADDRESS,
-    port = DEFAULT_CONN.PORT,
-    path,
-    useStandby = true
-  ) {
+  constructor(ipAddress = DEFAULT_CONN.IP_ADDRESS, port = DEFAULT_CONN.PORT, path, options = {}) {
+    const {
+      useStandby = true,
+      seed,
+      singleGame = false,
+      config,
+      timing,
+      gracePeriod = GRACE_PERIOD,
+      webSocketPort,
+      transports = [],
+      log = {},
+    } = options;
+
     this.ipAddress = ipAddress;
     this.port = port;
-    this.server = null;
+    this.transports = [
+      new TcpTransport(ipAddress, port),
+      ...(webSocketPort ? [new WebSocketTransport(ipAddress, webSocketPort)] : []),
+      ...transports,
+    ];
     this.clients = {};
+    this.tables = {};
 
-    this.logger = new Logger(path);
-    this.referee = new Referee(this.logger);
+    this.logger = new Logger(path, log);
+    this._recordPath = path && path.replace(LOG_EXTENSION, '');
 
     this._useStandby = useStandby;
-    this._standbyTimeout = null;
-    this._hasGameStarted = false;
+    this._seed = seed;
+    this._config = config instanceof GameConfig ? config : new GameConfig(config);
+    this._timing = timing instanceof TimingPolicy ? timing : new TimingPolicy(timing);
+    this._singleGame = singleGame;
+    this._gracePeriod = gracePeriod;
+    this._nextTableId = 1;
 
     this.handlers = {
       [MESSAGE_ACTIONS.REGISTER_CLIENT]: this._handleRegisterClient,
+      [MESSAGE_ACTIONS.SEND_ACTION]: this._handleSendAction,
+      [MESSAGE_ACTIONS.RESUME]: this._handleResume,
+      [MESSAGE_ACTIONS.WATCH]: this._handleWatch,
     };
 
     this.errorHandlers = {
@@ -58,7 +114,21 @@ class Server {
       [CONN_ERRORS.CLIENT_DESTROYED]: this._handleClientDestroy,
     };
 
-    this._createServer();
+    this._listen();
+  }
+
+  /**
+   * @private
+   * Gets the logger for the client of the given session ID, which tags
+   * events with the game ID of the client's table, if it has one.
+   *
+   * @param {string} sessionId the ID of the client's session
+   * @returns {Logger} the client's logger
+   */
+  _getSessionLogger(sessionId) {
+    const session = this.clients[sessionId];
+    const table = session && this.tables[session.tableId];
+    return table ? table.logger : this.logger;
   }
 
   _getIdFromSession(sessionId) {
@@ -71,68 +141,77 @@ class Server {
   }
 
   /**
-   * @private @async
-   * Runs the referee's game. Once the game has ended, it will destroy all
-   * connected clients, then close the server.
+   * @private
+   * Gets the next table open to new players. If no table is open, a new
+   * one is created.
+   *
+   * @returns {Table} the open table
    */
-  async _runGame() {
-    this._standbyTimeout = null;
-    this._hasGameStarted = true;
-    this.logger.debug('Game has started.');
-    // process.exit(0);
-    await this.referee.runGame();
-    this.logger.debug('Game has ended.');
-    setTimeout(() => {
-      Object.values(this.clients).forEach(({ client }) => {
-        client.destroy();
-      });
-      this.logger.write();
-      process.exit(0);
-    }, EXIT_TIMEOUT);
+  _getOpenTable() {
+    const openTable = Object.values(this.tables).find(table => table.isOpen());
+    if (openTable) {
+      return openTable;
+    }
+
+    const id = String(this._nextTableId);
+    this._nextTableId += 1;
+    const table = new Table(
+      id,
+      this.logger,
+      { seed: this._seed, config: this._config, timing: this._timing },
+      this._runGame.bind(this),
+      this._useStandby
+    );
+    this.tables[id] = table;
+    this.logger.info('Opened table', id);
+    return table;
   }
 
   /**
    * @private
-   * Toggles the game standby timeout.
+   * Closes the given table. Destroys the clients seated at or watching the
+   * table, writes the table's game record, and closes the log file until
+   * anything more is logged. If the server only hosts a single game, the
+   * server is then closed.
    *
-   * @param {boolean} toggle begins the standby timeout if true; otherwise,
-   * cancels the timeout and sets it to null
+   * @param {Table} table the table to close
    */
-  _toggleTimeout(toggle) {
-    if (toggle) {
-      this._standbyTimeout = setTimeout(
-        () => {
-          this._runGame();
-        },
-        this._useStandby ? STANDBY_TIMEOUT : 0
-      );
-      this.logger.debug('Standby timeout has started.');
-    } else if (this._standbyTimeout) {
-      clearTimeout(this._standbyTimeout);
-      this._standbyTimeout = null;
-      this.logger.debug('Standby timeout has ended.');
+  _closeTable(table) {
+    [...table.sessionIds, ...table.spectatorIds].forEach(sessionId => {
+      const session = this.clients[sessionId];
+      if (session) {
+        clearTimeout(session.graceTimeout);
+        if (session.client) {
+          session.client.destroy();
+        }
+        delete this.clients[sessionId];
+      }
+    });
+    delete this.tables[table.id];
+    this.logger.info('Closed table', table.id);
+
+    if (this._recordPath) {
+      table.referee.getRecord().write(`${this._recordPath}.${table.id}${RECORD_EXTENSION}`);
+    }
+    this.logger.close();
+
+    if (this._singleGame) {
+      process.exit(0);
     }
   }
 
   /**
-   * @private
-   * Checks whether the game is able to start; that is, whether the minimum
-   * amount of players has been met.
-   *
-   * If the minimum is just met, it will begin the standby timeout for the
-   * game to start.
+   * @private @async
+   * Runs the given table's game. Once the game has ended, the table is
+   * closed without affecting any other table.
    *
-   * If the maximum is met and the timeout is running, it will cancel the
-   * timeout and immediately start the game.
+   * @param {Table} table the table whose game is ready to run
    */
-  _checkForGameStart() {
-    const numPlayers = this.referee.getPlayers().length;
-    if (numPlayers === PLAYER_POOL_SIZE.MIN) {
-      this._toggleTimeout(true);
-    } else if (numPlayers === PLAYER_POOL_SIZE.MAX && this._standbyTimeout) {
-      this._toggleTimeout(false);
-      this._runGame();
-    }
+  async _runGame(table) {
+    await table.runGame();
+    setTimeout(() => {
+      this._closeTable(table);
+    }, EXIT_TIMEOUT);
   }
 
   /**
@@ -150,7 +229,7 @@ class Server {
     const stringMessage = message.toString();
 
     client.write(stringMessage);
-    this.logger.logTo(this._getIdFromSession(sessionId), stringMessage);
+    this._getSessionLogger(sessionId).logTo(this._getIdFromSession(sessionId), stringMessage);
 
     setTimeout(() => {
       if (!client.destroyed) {
@@ -163,24 +242,31 @@ class Server {
    * @private
    * Removes a client of the given session ID. If an action (and optional
    * payload) is passed, the client will be sent that message and
-   * then destroyed.
+   * then destroyed. Any action the client's player owes the referee is
+   * cancelled.
    *
    * @param {string} sessionId the ID of the client's session
    * @param {string} [action] the action of the kick message
    * @param {any} [payload] the payload of the kick message
-   * @returns {string|null} the ID of the client's player, or null if the
-   * client didn't have a player yet
+   * @returns {string|null} the ID of the client's player or observer, or null
+   * if the client didn't have either yet
    */
   _removeClient(sessionId, action, payload) {
     const session = this.clients[sessionId];
     if (session) {
-      const { client, id } = session;
-      this.referee.removePlayer(id, false, true);
-      if (this.referee.getPlayers().length < PLAYER_POOL_SIZE.MIN) {
-        this._toggleTimeout(false);
+      const { client, id, observer, player, tableId } = session;
+      clearTimeout(session.graceTimeout);
+      const table = this.tables[tableId];
+      if (table && observer) {
+        table.removeObserver(sessionId, id);
+      } else if (table) {
+        table.removePlayer(sessionId, id);
+      }
+      if (player) {
+        player.cancelAction();
       }
 
-      if (action) {
+      if (action && client) {
         this._kickClient(client, action, payload, sessionId);
       }
 
@@ -200,9 +286,10 @@ class Server {
    * @param {any} [payload] the payload of the kick message
    */
   _endClientSession(sessionId, action, payload) {
+    const logger = this._getSessionLogger(sessionId);
     const id = this._removeClient(sessionId, action, payload);
     if (id) {
-      this.logger.debug(id, 'has been kicked.');
+      logger.forPlayer(id).warn('has been kicked.');
     }
   }
 
@@ -222,42 +309,223 @@ class Server {
 
   /**
    * @private
-   * Handles the `REGISTER_CLIENT` action. Creates a new proxy player
-   * for the client with the given session ID, and adds the player to
-   * the referee's game. Then, checks if the game is able to start.
+   * Checks the handshake of a `REGISTER_CLIENT` or `WATCH` message; that
+   * is, whether the client speaks the server's protocol version and gave
+   * a list of capabilities.
+   *
+   * @param {object} payload the payload of the message
+   * @param {number} payload.version the protocol version of the client
+   * @param {string[]} payload.capabilities the optional capabilities the
+   * client asks for
+   * @returns {string|null} the reason the handshake failed, or null if it
+   * succeeded
+   */
+  _getHandshakeError(payload) {
+    const { version, capabilities } = payload || {};
+    if (version === undefined) {
+      return `Protocol version is required; the server speaks version ${PROTOCOL_VERSION}.`;
+    } else if (!Validation.testVersion(version)) {
+      return `Protocol version ${version} is not supported; the server speaks version ${PROTOCOL_VERSION}.`;
+    } else if (!Validation.testCapabilities(capabilities)) {
+      return 'Capabilities must be a list of names.';
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   * Handles the `REGISTER_CLIENT` action. Checks the client's handshake,
+   * creates a new proxy player for the client with the given session ID,
+   * and seats the player at the next open table. Only the capabilities
+   * both sides support are agreed upon; clients are only given a session
+   * token if resuming was agreed upon.
    *
    * @param {string} sessionId the ID of the client's session
    * @param {object} payload the payload of the message
    * @param {string} payload.id the desired ID of the client's player
    * @param {string} payload.strategy the desired strategy of the
    * client's player
+   * @param {number} payload.version the protocol version of the client
+   * @param {string[]} payload.capabilities the optional capabilities the
+   * client asks for
    */
   _handleRegisterClient(sessionId, payload) {
-    const { client } = this.clients[sessionId];
-    const { id, strategy } = payload;
-
-    if (this._hasGameStarted) {
-      return this._kickClient(client, MESSAGE_ACTIONS.DENY_ENTRY, 'Game has already begun.');
+    const { client, tableId } = this.clients[sessionId];
+    const { id, strategy, capabilities } = payload || {};
+    const handshakeError = this._getHandshakeError(payload);
+
+    if (tableId) {
+      this._endClientSession(sessionId, MESSAGE_ACTIONS.DENY_ENTRY, 'Client already registered.');
+    } else if (handshakeError) {
+      this._endClientSession(sessionId, MESSAGE_ACTIONS.DENY_ENTRY, handshakeError);
     } else if (!Validation.testName(id)) {
       this._endClientSession(sessionId, MESSAGE_ACTIONS.INVALID_ID, 'Alphanumeric names only.');
     } else if (!Validation.testStrategy(strategy)) {
       this._endClientSession(sessionId, MESSAGE_ACTIONS.UNKNOWN_STRAT, 'Strategy does not exist.');
     } else {
       const uniqueId = `${id}#${sessionId}`;
+      const agreed = Validation.agreeCapabilities(capabilities, SUPPORTED_CAPABILITIES);
+      const token = agreed.includes(CAPABILITIES.RESUME)
+        ? randomBytes(TOKEN_BYTES).toString('hex')
+        : null;
+      const table = this._getOpenTable();
       const player = new ProxyPlayer(
         uniqueId,
         uniqueId,
         strategy,
         client,
         this._getKickCallback(sessionId),
-        this.logger
+        table.logger,
+        token,
+        agreed
       );
-      this.referee.addPlayer(player);
 
       this.clients[sessionId].id = uniqueId;
+      this.clients[sessionId].player = player;
+      this.clients[sessionId].token = token;
+      this.clients[sessionId].tableId = table.id;
+
+      table.addPlayer(sessionId, player);
+    }
+  }
+
+  /**
+   * @private
+   * Handles the `SEND_ACTION` action. Passes the action on to the proxy
+   * player of the client with the given session ID. Clients that have not
+   * registered are kicked with an `UNKNOWN_ACTION` message.
+   *
+   * @param {string} sessionId the ID of the client's session
+   * @param {object} payload the JSON-ified action of the message
+   */
+  _handleSendAction(sessionId, payload) {
+    const { player } = this.clients[sessionId];
+    if (player) {
+      player.receiveAction(payload);
+    } else {
+      this._endClientSession(sessionId, MESSAGE_ACTIONS.UNKNOWN_ACTION);
+    }
+  }
+
+  /**
+   * @private
+   * Handles the `WATCH` action. Checks the client's handshake, then adds
+   * the client with the given session ID as a spectator, which streams the
+   * game of the given table, or of the next open table if none is given.
+   * Spectators are never able to send actions.
+   *
+   * If the client has already registered or is already watching, fails
+   * the handshake, or has not asked for the spectator capability, the
+   * client is kicked with a `DENY_ENTRY` message.
+   *
+   * @param {string} sessionId the ID of the client's session
+   * @param {object} payload the payload of the message
+   * @param {string} [payload.tableId] the ID of the table to watch
+   * @param {number} payload.version the protocol version of the client
+   * @param {string[]} payload.capabilities the optional capabilities the
+   * client asks for
+   */
+  _handleWatch(sessionId, payload) {
+    const { client, tableId } = this.clients[sessionId];
+    const handshakeError = this._getHandshakeError(payload);
+
+    if (tableId) {
+      this._endClientSession(sessionId, MESSAGE_ACTIONS.DENY_ENTRY, 'Client already registered.');
+    } else if (handshakeError) {
+      this._endClientSession(sessionId, MESSAGE_ACTIONS.DENY_ENTRY, handshakeError);
+    } else if (!payload.capabilities.includes(CAPABILITIES.SPECTATOR)) {
+      this._endClientSession(
+        sessionId,
+        MESSAGE_ACTIONS.DENY_ENTRY,
+        'Spectators must ask for the spectator capability.'
+      );
+    } else {
+      this._addSpectator(sessionId, client, payload.tableId);
+    }
+  }
 
-      this._checkForGameStart();
+  /**
+   * @private
+   * Creates a new proxy observer for the client with the given session ID,
+   * and adds it to the given table, or to the next open table if none is
+   * given. If the table does not exist, the client is kicked with a
+   * `DENY_ENTRY` message.
+   *
+   * @param {string} sessionId the ID of the client's session
+   * @param {net.Socket} client the spectator's client
+   * @param {string} [tableId] the ID of the table to watch
+   */
+  _addSpectator(sessionId, client, tableId) {
+    const table = tableId ? this.tables[tableId] : this._getOpenTable();
+    if (!table) {
+      this._endClientSession(sessionId, MESSAGE_ACTIONS.DENY_ENTRY, 'Table does not exist.');
+      return;
     }
+
+    const id = `spectator#${sessionId}`;
+    const observer = new ProxyObserver(id, client, table.logger);
+
+    this.clients[sessionId].id = id;
+    this.clients[sessionId].observer = observer;
+    this.clients[sessionId].tableId = table.id;
+
+    table.addObserver(sessionId, observer);
+  }
+
+  /**
+   * @private
+   * Gets the ID of the session with the given token, other than the given
+   * session.
+   *
+   * @param {string} token the session token to look for
+   * @param {string} sessionId the ID of the session to leave out
+   * @returns {string|undefined} the ID of the session with the token, if
+   * there is one
+   */
+  _getSessionIdByToken(token, sessionId) {
+    return Object.keys(this.clients).find(
+      otherId => otherId !== sessionId && !!token && this.clients[otherId].token === token
+    );
+  }
+
+  /**
+   * @private
+   * Handles the `RESUME` action. Moves the client with the given session ID
+   * over to the session of the given token, whose player then resends the
+   * current state of the game. If the session's old client is still
+   * connected, it is destroyed in favor of the new one.
+   *
+   * If no session has the token, or the client has already registered or is
+   * watching a table, the client is kicked with a `DENY_ENTRY` message.
+   *
+   * @param {string} sessionId the ID of the resuming client's session
+   * @param {object} payload the payload of the message
+   * @param {string} payload.token the token of the session to resume
+   */
+  _handleResume(sessionId, payload) {
+    const { client, connection, tableId } = this.clients[sessionId];
+    const resumedId = this._getSessionIdByToken(payload && payload.token, sessionId);
+    if (!resumedId || tableId) {
+      this._endClientSession(sessionId, MESSAGE_ACTIONS.DENY_ENTRY, 'Invalid session token.');
+      return;
+    }
+
+    delete this.clients[sessionId];
+    const session = this.clients[resumedId];
+    clearTimeout(session.graceTimeout);
+    session.graceTimeout = null;
+    if (session.client) {
+      session.connection.sessionId = null;
+      session.client.destroy();
+    }
+
+    connection.sessionId = resumedId;
+    session.client = client;
+    session.connection = connection;
+    session.player.attach(client);
+    this._getSessionLogger(resumedId)
+      .forPlayer(session.id)
+      .info('has resumed their session.');
   }
 
   /**
@@ -275,7 +543,10 @@ class Server {
   _handleMessage(sessionId, message) {
     const { action, payload } = message;
 
-    this.logger.logFrom(this._getIdFromSession(sessionId), new Message(action, payload).toString());
+    this._getSessionLogger(sessionId).logFrom(
+      this._getIdFromSession(sessionId),
+      new Message(action, payload).toString()
+    );
     const handler = this.handlers[action];
     if (handler) {
       handler.bind(this)(sessionId, payload);
@@ -286,44 +557,82 @@ class Server {
 
   /**
    * @private
-   * Event listener factory for the `data` event. This will create a
-   * `data` event listener for the client that parses data and handles
-   * messages accordingly.
-   *
-   * If an invalid JSON message is passed, the client will be kicked
-   * with an `INVALID_JSON` message.
+   * Event listener factory for the message framer's `data` event. This
+   * will create a `data` event listener that handles every message from
+   * the connection's client, under its current session.
    *
-   * @param {string} sessionId the session ID of the client
-   * @returns {function} `data` event listener for the session client
+   * @param {object} connection the client's connection
+   * @param {string|null} connection.sessionId the ID of the session the
+   * client belongs to, or null if it has been replaced
+   * @returns {function} `data` event listener for the client's framer
    */
-  _onClientData(sessionId) {
-    return data => {
-      const text = data.toString().trim();
-      try {
-        text.split('\n').forEach(msgText => {
-          const message = JSON.parse(msgText);
-          this._handleMessage(sessionId, message);
-        });
-      } catch (err) {
-        this._endClientSession(sessionId, MESSAGE_ACTIONS.INVALID_JSON);
+  _onClientMessage(connection) {
+    return message => {
+      if (this.clients[connection.sessionId]) {
+        this._handleMessage(connection.sessionId, message);
       }
     };
   }
 
+  /**
+   * @private
+   * Event listener factory for the message framer's `error` event. This
+   * will create an `error` event listener that kicks the client with the
+   * message action of the error (e.g.: `INVALID_JSON` for malformed
+   * messages).
+   *
+   * @param {object} connection the client's connection
+   * @returns {function} `error` event listener for the client's framer
+   */
+  _onFramerError(connection) {
+    return messageAction => this._endClientSession(connection.sessionId, messageAction);
+  }
+
+  /**
+   * @private
+   * Holds the seat of the player of the given session, whose client has
+   * lost connection. If the client does not resume the session within the
+   * grace period, the client is removed for good.
+   *
+   * @param {string} sessionId the ID of the client's session
+   */
+  _holdSession(sessionId) {
+    const session = this.clients[sessionId];
+    if (!session.client) {
+      return;
+    }
+
+    session.client = null;
+    session.connection = null;
+    session.player.detach();
+    const logger = this._getSessionLogger(sessionId);
+    session.graceTimeout = setTimeout(() => {
+      const id = this._removeClient(sessionId);
+      if (id) {
+        logger.forPlayer(id).warn('has disconnected.');
+      }
+    }, this._gracePeriod);
+    logger.forPlayer(session.id).warn('has lost connection, and may resume their session.');
+  }
+
   /**
    * @private
    * Event listener factory for the `end` event. This will create an
-   * `end` event listener for the client that removes the client from
-   * the referee's game when the client ends.
+   * `end` event listener for the client that holds the seat of the
+   * client's player when the client ends, or removes the client if it
+   * never registered or did not agree to resume its session.
    *
-   * @param {string} sessionId the session ID of the client
+   * @param {object} connection the client's connection
    * @returns {function} `end` event listener for the session client
    */
-  _onClientEnd(sessionId) {
+  _onClientEnd(connection) {
     return () => {
-      const id = this._removeClient(sessionId);
-      if (id) {
-        this.logger.debug(id, 'has disconnected.');
+      const { sessionId } = connection;
+      const session = this.clients[sessionId];
+      if (session && session.player && session.token) {
+        this._holdSession(sessionId);
+      } else {
+        this._removeClient(sessionId);
       }
     };
   }
@@ -333,10 +642,10 @@ class Server {
    * Handles the `EPIPE` error for when clients disconnect from the
    * server unexpectedly.
    *
-   * @param {string} sessionId the session ID of the client
+   * @param {object} connection the client's connection
    */
-  _handleClientDisconnect(sessionId) {
-    this._onClientEnd(sessionId)();
+  _handleClientDisconnect(connection) {
+    this._onClientEnd(connection)();
   }
 
   /**
@@ -344,29 +653,31 @@ class Server {
    * Handles the `ECONNRESET` error for when client disconnects before
    * the server can destroy it.
    *
-   * @param {string} sessionId the session ID of the client
+   * @param {object} connection the client's connection
    */
-  _handleClientDestroy(sessionId) {
-    this._onClientEnd(sessionId)();
+  _handleClientDestroy(connection) {
+    this._onClientEnd(connection)();
   }
 
   /**
    * @private
    * Event listener factory for the `error` event. This will create an
    * `error` event listener for the client that uses the `errorHandlers`
-   * object to handle error events accordingly.
+   * object to handle error events accordingly. Unknown errors end the
+   * client's connection, so as not to affect any other table's game.
    *
-   * @param {string} sessionId the session ID of the client
+   * @param {object} connection the client's connection
    * @returns {function} `error` event listener for the session client
    */
-  _onClientError(sessionId) {
+  _onClientError(connection) {
     return err => {
       const { code } = err;
       const handler = this.errorHandlers[code];
       if (handler) {
-        handler.bind(this)(sessionId);
+        handler.bind(this)(connection);
       } else {
-        process.exit(0);
+        this._getSessionLogger(connection.sessionId).error('Client error:', code || err.message);
+        this._onClientEnd(connection)();
       }
     };
   }
@@ -391,43 +702,47 @@ class Server {
 
   /**
    * @private
-   * Handles connecting to a new client.
-   *
-   * If the game has already started, the client will be kicked
-   * with reason `DENY_ENTRY`.
+   * Handles connecting to a new client. This will create a new client
+   * entry in the `clients` map and attach the client event listeners.
+   * Every message from the client is framed, then handled by the
+   * `_handleMessage` dispatcher. The client is seated at a table once it
+   * has registered, watches a table once it has asked to, or is moved over
+   * to an existing session once it has resumed one.
    *
-   * Otherwise, this will create a new client entry in the `clients`
-   * map and attach the client event listeners.
-   *
-   * @param {net.Socket} client the client connecting to this server
+   * @param {net.Socket|Duplex} client the socket or connection of the
+   * client connecting to this server, from any of its transports
    */
   _onClientConnect(client) {
-    let useDataHandler = true;
-    if (this._hasGameStarted) {
-      useDataHandler = false;
-      this._kickClient(client, MESSAGE_ACTIONS.DENY_ENTRY, 'Game has already begun.');
-    }
     const sessionId = this._getUniqueSessionId();
+    const connection = { sessionId };
     this.clients[sessionId] = {
       client,
+      connection,
       id: null,
+      player: null,
+      observer: null,
+      tableId: null,
+      token: null,
+      graceTimeout: null,
     };
 
-    if (useDataHandler) {
-      client.once('data', this._onClientData(sessionId));
-    }
-    client.on('end', this._onClientEnd(sessionId));
-    client.on('error', this._onClientError(sessionId));
+    const framer = new MessageFramer();
+    framer.on('data', this._onClientMessage(connection));
+    framer.on('error', this._onFramerError(connection));
+    client.pipe(framer);
+    client.on('end', this._onClientEnd(connection));
+    client.on('error', this._onClientError(connection));
   }
 
   /**
    * @private
-   * Creates a new server at the IP address and port.
+   * Begins listening for clients with every transport of the server.
    */
-  _createServer() {
-    this.server = createServer(this._onClientConnect.bind(this));
-    this.server.listen(this.port, this.ipAddress);
-    this.logger.debug('Create server at', `${this.ipAddress}:${this.port}`);
+  _listen() {
+    this.transports.forEach(transport => {
+      transport.listen(this._onClientConnect.bind(this));
+      this.logger.info('Create server at', transport.getAddress());
+    });
   }
 }
 
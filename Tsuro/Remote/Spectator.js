@@ -0,0 +1,310 @@
+const path = require('path');
+const { Socket } = require('net');
+const { Observer } = require('../Admin');
+const Message = require('../Common/message');
+const MessageFramer = require('../Common/MessageFramer');
+const { BoardState, InitialAction, IntermediateAction, SimpleTile } = require('../Common');
+const { CAPABILITIES, MESSAGE_ACTIONS, PROTOCOL_VERSION } = require('../Common/utils/constants');
+
+const SEPARATOR = '-----';
+const ANIMATION_FILE = 'game.gif';
+
+class Spectator {
+  /**
+   * @constructor
+   * Creates a new Spectator to watch a game on a server at the given IP
+   * address and port. The spectator feeds every game event it receives to
+   * an observer, and writes an SVG of the board at the end of every turn.
+   * Once the game ends, an animation of every turn is written as well.
+   *
+   * @param {string} ipAddress the IP address of the server
+   * @param {string} port the port of the server
+   * @param {string} outputDir the directory to write the SVG of each turn
+   * to, as `turn-<number>.svg`, and the animation of the game to, as
+   * `game.gif`
+   * @param {string} [tableId] the ID of the table to watch, or nothing to
+   * watch the next open table
+   */
+  constructor(ipAddress, port, outputDir, tableId) {
+    this.ipAddress = ipAddress;
+    this.port = port;
+    this.outputDir = outputDir;
+    this.tableId = tableId;
+    this.client = null;
+
+    this.observer = new Observer('spectator', true);
+    this._currentTurn = 0;
+
+    this.handlers = {
+      [MESSAGE_ACTIONS.SET_COLOR]: this._handleSetColor,
+      [MESSAGE_ACTIONS.UPDATE_STATE]: this._handleUpdateState,
+      [MESSAGE_ACTIONS.UPDATE_TURN]: this._handleUpdateTurn,
+      [MESSAGE_ACTIONS.UPDATE_CURRENT_PLAYER]: this._handleUpdateCurrentPlayer,
+      [MESSAGE_ACTIONS.DEAL_HAND]: this._handleDealHand,
+      [MESSAGE_ACTIONS.UPDATE_LAST_ACTION]: this._handleUpdateLastAction,
+      [MESSAGE_ACTIONS.ELIMINATE_PLAYER]: this._handleEliminatePlayer,
+      [MESSAGE_ACTIONS.GAME_OVER]: this._handleGameOver,
+      [MESSAGE_ACTIONS.DENY_ENTRY]: this._handleDenyEntry,
+      [MESSAGE_ACTIONS.UNKNOWN_ACTION]: this._handleUnknownAction,
+    };
+
+    this._createClient();
+    this._connectToServer();
+  }
+
+  /**
+   * @private
+   * Ends the spectator's session with the server, and exits the program.
+   */
+  _endSession() {
+    this.client.destroy();
+    process.exit(0);
+  }
+
+  /**
+   * @private
+   * Logs an error to the spectator with the given message and reason.
+   *
+   * @param {string} message the general title message
+   * @param {string} reason the specific reason why the error occurred
+   */
+  _logError(message, reason) {
+    console.log(SEPARATOR);
+    console.log(message);
+    console.log(`REASON: ${reason}`);
+    console.log(SEPARATOR);
+  }
+
+  /**
+   * @private
+   * Renders the board at the end of the current turn to an SVG in the
+   * output directory, and records it as a frame of the game's animation.
+   * Nothing is rendered before the first turn.
+   */
+  _renderTurn() {
+    if (this._currentTurn > 0) {
+      const filePath = path.join(this.outputDir, `turn-${this._currentTurn}.svg`);
+      this.observer.renderToFile(filePath);
+      this.observer.recordFrame();
+      console.log(`Turn ${this._currentTurn} written to ${filePath}.`);
+    }
+  }
+
+  /**
+   * @private
+   * Handles the server denying the spectator entry. Logs the error to the
+   * spectator.
+   *
+   * @param {string} payload the reason for being denied entry
+   */
+  _handleDenyEntry(payload) {
+    this._logError('Entry to server denied.', payload);
+  }
+
+  /**
+   * @private
+   * Handles the server kicking the spectator for sending an action it
+   * may not send. Logs the error to the spectator.
+   */
+  _handleUnknownAction() {
+    this._logError('You have been kicked from the game.', 'Unknown action.');
+  }
+
+  /**
+   * @private
+   * Sets a player's color based on the given message payload.
+   *
+   * @param {object} payload the `SET_COLOR` message payload
+   * @param {string} payload.id the ID of the player
+   * @param {string} payload.color the color of the player
+   */
+  _handleSetColor(payload) {
+    const { id, color } = payload;
+    this.observer.setPlayerColor(id, color);
+
+    console.log(id, `is playing as color ${color}.`);
+  }
+
+  /**
+   * @private
+   * Updates the observer's board state from the server.
+   *
+   * @param {object} payload the JSON version of the board state
+   */
+  _handleUpdateState(payload) {
+    this.observer.updateState(BoardState.fromJson(payload));
+  }
+
+  /**
+   * @private
+   * Renders the turn that has just ended, then moves the observer on to
+   * the given turn.
+   *
+   * @param {number} payload the new turn number
+   */
+  _handleUpdateTurn(payload) {
+    this._renderTurn();
+    this._currentTurn = payload;
+    this.observer.updateCurrentTurn(payload);
+  }
+
+  /**
+   * @private
+   * Updates the observer's current player.
+   *
+   * @param {string} payload the ID of the player whose turn it is
+   */
+  _handleUpdateCurrentPlayer(payload) {
+    this.observer.updateCurrentPlayerId(payload);
+    console.log(SEPARATOR);
+    console.log(`Turn ${this._currentTurn}: it is ${payload}'s turn.`);
+  }
+
+  /**
+   * @private
+   * Updates the observer's view of the current player's hand, given via
+   * tile indices.
+   *
+   * @param {string[]} payload the current player's hand
+   */
+  _handleDealHand(payload) {
+    this.observer.updateCurrentHand(payload.map(tileIdx => new SimpleTile(tileIdx)));
+  }
+
+  /**
+   * @private
+   * Updates the observer's last action from its JSON version. Only initial
+   * actions have a position.
+   *
+   * @param {object} payload the JSON-ified action
+   */
+  _handleUpdateLastAction(payload) {
+    const action = payload.position
+      ? InitialAction.fromJson(payload)
+      : IntermediateAction.fromJson(payload);
+    this.observer.updateLastAction(action);
+
+    console.log(`The following action was used: ${JSON.stringify(payload)}.`);
+  }
+
+  /**
+   * @private
+   * Removes a player from play in the observer.
+   *
+   * @param {string} payload the ID of the removed player
+   */
+  _handleEliminatePlayer(payload) {
+    this.observer.removePlayer(payload);
+    console.log(payload, 'has been eliminated.');
+  }
+
+  /**
+   * @private
+   * Renders the final turn of the game and the animation of the whole
+   * game, and logs the winners and losers.
+   *
+   * @param {object} payload the winners and losers of the game
+   * @param {string[][]} payload.winners the player IDs of the winners
+   * of the game, separated by winner place
+   * @param {string[]} payload.losers the player IDs of the losers of
+   * the game
+   */
+  _handleGameOver(payload) {
+    const { winners, losers } = payload;
+    this.observer.endGame(winners, losers);
+    this._renderTurn();
+    if (this._currentTurn > 0) {
+      const filePath = path.join(this.outputDir, ANIMATION_FILE);
+      this.observer.renderAnimationToFile(filePath);
+      console.log(`Animation of the game written to ${filePath}.`);
+    }
+
+    console.log(SEPARATOR);
+    console.log('The game has ended.');
+    winners.forEach((place, i) => {
+      console.log(`Place ${i + 1}:`, place.join(', '));
+    });
+    if (losers.length > 0) {
+      console.log('Losers:', losers.join(', '));
+    }
+  }
+
+  /**
+   * @private
+   * Handles the given message from the server using the `handlers` object
+   * to select the correct handler. Messages the spectator has no use for
+   * are ignored.
+   *
+   * @param {Message} message the message sent from the server
+   */
+  _handleMessage(message) {
+    const { action, payload } = message;
+    const handler = this.handlers[action];
+    if (handler) {
+      handler.bind(this)(payload);
+    }
+  }
+
+  /**
+   * @private
+   * Event listener for the message framer's `error` event, for when the
+   * server sends a malformed or oversized message. The spectator will end
+   * its session with the server.
+   */
+  _onFramerError() {
+    this._logError('The game has ended unexpectedly.', 'The server is sending malformed messages.');
+    this._endSession();
+  }
+
+  /**
+   * @private
+   * Event listener for the `error` event. The spectator will end its
+   * session with the server.
+   *
+   * @param {object} error the error encountered by the spectator
+   */
+  _onServerError(error) {
+    this._logError(
+      'The game has ended unexpectedly.',
+      `Unknown error (${error.code}) has occurred.`
+    );
+    this._endSession();
+  }
+
+  /**
+   * @private
+   * Connects the spectator to the server at the given IP address and port.
+   * Then, sends a `WATCH` message to the server, with the ID of the table
+   * to watch, the protocol version and the spectator capability as payload.
+   */
+  _connectToServer() {
+    this.client.connect(this.port, this.ipAddress, () => {
+      console.log('Watching', this.tableId ? `table ${this.tableId}` : 'the next open table');
+      const message = new Message(MESSAGE_ACTIONS.WATCH, {
+        tableId: this.tableId,
+        version: PROTOCOL_VERSION,
+        capabilities: [CAPABILITIES.SPECTATOR],
+      });
+      this.client.write(message.toString());
+    });
+  }
+
+  /**
+   * @private
+   * Creates a new client and attaches all event handlers to it. Every
+   * message from the server is framed, then handled by the
+   * `_handleMessage` dispatcher.
+   */
+  _createClient() {
+    const framer = new MessageFramer();
+    framer.on('data', this._handleMessage.bind(this));
+    framer.on('error', this._onFramerError.bind(this));
+
+    this.client = new Socket();
+    this.client.pipe(framer);
+    this.client.on('close', this._endSession.bind(this));
+    this.client.on('error', this._onServerError.bind(this));
+  }
+}
+
+module.exports = Spectator;
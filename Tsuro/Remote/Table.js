@@ -0,0 +1,167 @@
+const { Referee } = require('../Admin');
+const { SECOND } = require('../Common/utils/constants');
+
+const STANDBY_TIMEOUT = 30 * SECOND;
+
+class Table {
+  /**
+   * @constructor
+   * Creates a new Table, hosting a single game with its own referee.
+   *
+   * @param {string} id the unique ID of the table
+   * @param {Logger} logger the server's logger, whose events about this
+   * table are tagged with its ID as the game ID
+   * @param {object} refereeOptions the game options for the table's referee
+   * @param {function} onReady a callback function called with this table
+   * once its game is ready to start
+   * @param {boolean} [useStandby=true] whether to use the standby timer
+   */
+  constructor(id, logger, refereeOptions, onReady, useStandby = true) {
+    this.id = id;
+    this.logger = logger.forGame(id);
+    this.referee = new Referee(this.logger, refereeOptions);
+    this.sessionIds = new Set();
+    this.spectatorIds = new Set();
+
+    this._onReady = onReady;
+    this._useStandby = useStandby;
+    this._standbyTimeout = null;
+    this._hasGameStarted = false;
+  }
+
+  /**
+   * Checks whether this table can seat a new player; that is, whether its
+   * game has not begun and it is not yet full.
+   *
+   * @returns {boolean} whether this table is open to new players
+   */
+  isOpen() {
+    return (
+      !this._hasGameStarted && this.referee.getPlayers().length < this.referee.config.maxPlayers
+    );
+  }
+
+  /**
+   * Seats the given player at this table, then checks if the game is able
+   * to start.
+   *
+   * @param {string} sessionId the session ID of the player's client
+   * @param {BasePlayer} player the player to seat
+   */
+  addPlayer(sessionId, player) {
+    this.referee.addPlayer(player);
+    this.sessionIds.add(sessionId);
+    this.logger.forPlayer(player.id).info('has joined.');
+    this._checkForGameStart();
+  }
+
+  /**
+   * Removes the player of the given client session from this table. If the
+   * game is still in standby and too few players remain, the standby timeout
+   * is cancelled.
+   *
+   * @param {string} sessionId the session ID of the player's client
+   * @param {string} [playerId] the ID of the player, or nothing if the
+   * client never registered
+   */
+  removePlayer(sessionId, playerId) {
+    this.sessionIds.delete(sessionId);
+    if (playerId) {
+      this.referee.removePlayer(playerId, false, true);
+    }
+    if (this.referee.getPlayers().length < this.referee.config.minPlayers) {
+      this._toggleTimeout(false);
+    }
+  }
+
+  /**
+   * Adds the given observer to this table's game. The observer's client is
+   * closed along with the table, but is not seated as a player.
+   *
+   * @param {string} sessionId the session ID of the observer's client
+   * @param {Observer} observer the observer to add
+   */
+  addObserver(sessionId, observer) {
+    this.referee.addObserver(observer);
+    this.spectatorIds.add(sessionId);
+    this.logger.forPlayer(observer.id).info('is watching.');
+  }
+
+  /**
+   * Removes the observer of the given client session from this table's game.
+   *
+   * @param {string} sessionId the session ID of the observer's client
+   * @param {string} observerId the ID of the observer
+   */
+  removeObserver(sessionId, observerId) {
+    this.spectatorIds.delete(sessionId);
+    this.referee.removeObserver(observerId);
+  }
+
+  /**
+   * @private
+   * Marks the game as started, and calls the `onReady` callback.
+   */
+  _start() {
+    this._standbyTimeout = null;
+    this._hasGameStarted = true;
+    this._onReady(this);
+  }
+
+  /**
+   * @private
+   * Toggles the game standby timeout.
+   *
+   * @param {boolean} toggle begins the standby timeout if true; otherwise,
+   * cancels the timeout and sets it to null
+   */
+  _toggleTimeout(toggle) {
+    if (toggle) {
+      this._standbyTimeout = setTimeout(
+        () => {
+          this._start();
+        },
+        this._useStandby ? STANDBY_TIMEOUT : 0
+      );
+      this.logger.debug('Standby timeout has started.');
+    } else if (this._standbyTimeout) {
+      clearTimeout(this._standbyTimeout);
+      this._standbyTimeout = null;
+      this.logger.debug('Standby timeout has ended.');
+    }
+  }
+
+  /**
+   * @private
+   * Checks whether the game is able to start; that is, whether the minimum
+   * amount of players has been met.
+   *
+   * If the minimum is just met, it will begin the standby timeout for the
+   * game to start.
+   *
+   * If the maximum is met and the timeout is running, it will cancel the
+   * timeout and immediately start the game.
+   */
+  _checkForGameStart() {
+    const numPlayers = this.referee.getPlayers().length;
+    const { minPlayers, maxPlayers } = this.referee.config;
+    if (numPlayers === minPlayers) {
+      this._toggleTimeout(true);
+    } else if (numPlayers === maxPlayers && this._standbyTimeout) {
+      this._toggleTimeout(false);
+      this._start();
+    }
+  }
+
+  /**
+   * @async
+   * Runs this table's game to completion.
+   */
+  async runGame() {
+    this.logger.info('Game has started.');
+    await this.referee.runGame();
+    this.logger.info('Game has ended.');
+  }
+}
+
+module.exports = Table;
@@ -0,0 +1,18 @@
+const { createServer } = require('net');
+const BaseTransport = require('./BaseTransport');
+
+class TcpTransport extends BaseTransport {
+  /**
+   * Begins listening for clients over raw TCP sockets, which already
+   * carry newline-delimited messages.
+   *
+   * @param {function} onConnection a callback function called with each
+   * new client socket
+   */
+  listen(onConnection) {
+    this.server = createServer(onConnection);
+    this.server.listen(this.port, this.ipAddress);
+  }
+}
+
+module.exports = TcpTransport;
@@ -1,4 +1,4 @@
-const { STRATEGIES } = require('../Common/utils/constants');
+const { CAPABILITIES, PROTOCOL_VERSION, STRATEGIES } = require('../Common/utils/constants');
 
 class Validation {
   /**
@@ -23,6 +23,46 @@ class Validation {
       key => key.toLocaleLowerCase() === strategy.toLocaleLowerCase()
     );
   }
+
+  /**
+   * Validates whether the given protocol version is the one spoken by
+   * this server and client.
+   *
+   * @param {number} version the protocol version to test
+   * @returns {boolean} whether the protocol version matches
+   */
+  static testVersion(version) {
+    return version === PROTOCOL_VERSION;
+  }
+
+  /**
+   * Validates whether the given capabilities are a list of capability
+   * names. Unknown names are allowed, and simply never agreed upon.
+   *
+   * @param {string[]} capabilities the capabilities to test
+   * @returns {boolean} whether the capabilities are a list of names
+   */
+  static testCapabilities(capabilities) {
+    return (
+      Array.isArray(capabilities) &&
+      capabilities.every(capability => typeof capability === 'string')
+    );
+  }
+
+  /**
+   * Gets the capabilities agreed upon by both sides; that is, the known
+   * capabilities both asked for and supported.
+   *
+   * @param {string[]} requested the capabilities asked for by the client
+   * @param {string[]} supported the capabilities supported by the server
+   * @returns {string[]} the agreed capabilities
+   */
+  static agreeCapabilities(requested, supported) {
+    const known = Object.values(CAPABILITIES);
+    return supported.filter(
+      capability => known.includes(capability) && requested.includes(capability)
+    );
+  }
 }
 
 module.exports = Validation;
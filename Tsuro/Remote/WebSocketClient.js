@@ -0,0 +1,17 @@
+const Client = require('./Client');
+const WebSocketConnection = require('./WebSocketConnection');
+
+class WebSocketClient extends Client {
+  /**
+   * @private
+   * Creates a WebSocket connection to connect to the server with, in place
+   * of a TCP socket. The server's WebSocket port must be used.
+   *
+   * @returns {WebSocketConnection} a new, unconnected WebSocket connection
+   */
+  _createSocket() {
+    return new WebSocketConnection(true);
+  }
+}
+
+module.exports = WebSocketClient;
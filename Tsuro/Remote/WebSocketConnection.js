@@ -0,0 +1,461 @@
+const { createHash, randomBytes } = require('crypto');
+const { request } = require('http');
+const { Duplex } = require('stream');
+
+// Defined by RFC 6455 for computing the `Sec-WebSocket-Accept` header
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const WEBSOCKET_VERSION = '13';
+const DELIMITER = '\n';
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+const FIN_BIT = 0x80;
+// Reserved for extensions, none of which are agreed upon
+const RSV_BITS = 0x70;
+const MASK_BIT = 0x80;
+const OPCODE_BITS = 0x0f;
+const LENGTH_BITS = 0x7f;
+const LENGTH_16 = 126;
+const LENGTH_64 = 127;
+const MASK_SIZE = 4;
+// 64-bit lengths are read and written as two 32-bit halves
+const UINT32_RANGE = 0x100000000;
+const CONTROL_OPCODE_MIN = 0x8;
+const MAX_CONTROL_PAYLOAD = 125;
+const CLOSE_NORMAL = 1000;
+const CLOSE_PROTOCOL_ERROR = 1002;
+
+class WebSocketConnection extends Duplex {
+  /**
+   * @constructor
+   * Creates a new WebSocketConnection, a stream which carries the `Message`
+   * protocol over a WebSocket. Every message written is sent as its own
+   * text frame, and every message received is put out as a single line,
+   * so the connection may be used in place of a TCP socket by anything
+   * that frames messages by line.
+   *
+   * A connection either attaches to a socket already upgraded by a server,
+   * or connects to a server itself with `connect`. Only the client side
+   * masks its frames, as required by the WebSocket protocol.
+   *
+   * @param {boolean} [isClient=false] whether this is the client side of
+   * the connection
+   */
+  constructor(isClient = false) {
+    super({ decodeStrings: true });
+    this.isClient = isClient;
+    this.socket = null;
+
+    this._buffer = Buffer.alloc(0);
+    this._frame = null;
+    // Whether a fragmented message has begun, but its final frame has not
+    this._isMessageOpen = false;
+    this._closeSent = false;
+  }
+
+  /**
+   * @static
+   * Gets the `Sec-WebSocket-Accept` header value for the given
+   * `Sec-WebSocket-Key` header value.
+   *
+   * @param {string} key the key sent by the client
+   * @returns {string} the value the server must accept the key with
+   */
+  static getAcceptKey(key) {
+    return createHash('sha1')
+      .update(`${key}${HANDSHAKE_GUID}`)
+      .digest('base64');
+  }
+
+  /**
+   * @static
+   * Completes the server side of the opening handshake for the given
+   * upgrade request. Requests that are not valid WebSocket upgrades are
+   * answered with `400 Bad Request`, and requests for any other version of
+   * the WebSocket protocol with `426 Upgrade Required` and the version that
+   * is supported. Either way, their socket is destroyed.
+   *
+   * @param {http.IncomingMessage} req the upgrade request
+   * @param {net.Socket} socket the socket of the request
+   * @returns {boolean} whether the handshake succeeded
+   */
+  static acceptUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    const version = req.headers['sec-websocket-version'];
+    const upgrade = req.headers.upgrade || '';
+    if (!key || !version || upgrade.toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      socket.destroy();
+      return false;
+    }
+    if (version !== WEBSOCKET_VERSION) {
+      socket.end(
+        `HTTP/1.1 426 Upgrade Required\r\nSec-WebSocket-Version: ${WEBSOCKET_VERSION}\r\n\r\n`
+      );
+      socket.destroy();
+      return false;
+    }
+
+    socket.write(
+      [
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${WebSocketConnection.getAcceptKey(key)}`,
+        '',
+        '',
+      ].join('\r\n')
+    );
+    return true;
+  }
+
+  /**
+   * Connects to the WebSocket server at the given host and port, then
+   * attaches to the upgraded socket. Errors, such as the connection being
+   * refused, are emitted by this connection.
+   *
+   * @param {number} port the port of the server
+   * @param {string} host the host of the server
+   * @param {function} [onConnect] a callback function called once the
+   * connection is open
+   */
+  connect(port, host, onConnect) {
+    const key = randomBytes(16).toString('base64');
+    const req = request({
+      host,
+      port,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': WEBSOCKET_VERSION,
+      },
+    });
+
+    req.on('upgrade', (res, socket, head) => {
+      if (res.headers['sec-websocket-accept'] !== WebSocketConnection.getAcceptKey(key)) {
+        socket.destroy();
+        this.destroy(new Error('Invalid WebSocket handshake.'));
+        return;
+      }
+      this.attach(socket, head);
+      this.emit('connect');
+      if (onConnect) {
+        onConnect();
+      }
+    });
+    req.on('response', res => {
+      res.resume();
+      this.destroy(new Error(`Unexpected response (${res.statusCode}) to upgrade.`));
+    });
+    req.on('error', err => this.destroy(err));
+    req.end();
+  }
+
+  /**
+   * Attaches this connection to the given socket, whose opening handshake
+   * is complete.
+   *
+   * @param {net.Socket} socket the upgraded socket
+   * @param {Buffer} [head] any data received after the handshake
+   */
+  attach(socket, head) {
+    this.socket = socket;
+    socket.on('data', this._onData.bind(this));
+    socket.on('end', () => this.push(null));
+    socket.on('close', () => this.destroy());
+    socket.on('error', err => this.destroy(err));
+    if (head && head.length > 0) {
+      this._onData(head);
+    }
+  }
+
+  /**
+   * @private
+   * Creates a single, unfragmented frame with the given opcode and payload.
+   * Frames sent by the client are masked.
+   *
+   * @param {number} opcode the opcode of the frame
+   * @param {Buffer} payload the payload of the frame
+   * @returns {Buffer} the frame
+   */
+  _createFrame(opcode, payload) {
+    let header;
+    if (payload.length < LENGTH_16) {
+      header = Buffer.from([FIN_BIT | opcode, payload.length]);
+    } else if (payload.length <= 0xffff) {
+      header = Buffer.alloc(4);
+      header.writeUInt8(FIN_BIT | opcode, 0);
+      header.writeUInt8(LENGTH_16, 1);
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header.writeUInt8(FIN_BIT | opcode, 0);
+      header.writeUInt8(LENGTH_64, 1);
+      header.writeUInt32BE(Math.floor(payload.length / UINT32_RANGE), 2);
+      header.writeUInt32BE(payload.length % UINT32_RANGE, 6);
+    }
+
+    if (!this.isClient) {
+      return Buffer.concat([header, payload]);
+    }
+    header[1] |= MASK_BIT;
+    const mask = randomBytes(MASK_SIZE);
+    const masked = Buffer.from(payload);
+    this._applyMask(masked, mask, 0);
+    return Buffer.concat([header, mask, masked]);
+  }
+
+  /**
+   * @private
+   * Masks or unmasks the given data in place, starting at the given
+   * offset into the frame's payload.
+   *
+   * @param {Buffer} data the data to mask
+   * @param {Buffer} mask the masking key of the frame
+   * @param {number} offset the offset of the data into the payload
+   */
+  _applyMask(data, mask, offset) {
+    for (let i = 0; i < data.length; i += 1) {
+      data[i] ^= mask[(offset + i) % MASK_SIZE];
+    }
+  }
+
+  /**
+   * @private
+   * Sends a frame with the given opcode and payload over the socket.
+   *
+   * @param {number} opcode the opcode of the frame
+   * @param {Buffer} [payload] the payload of the frame
+   * @param {function} [callback] a callback function called once the frame
+   * has been written
+   */
+  _sendFrame(opcode, payload = Buffer.alloc(0), callback) {
+    if (this.socket && !this.socket.destroyed) {
+      this.socket.write(this._createFrame(opcode, payload), callback);
+    } else if (callback) {
+      callback();
+    }
+  }
+
+  /**
+   * @private
+   * Sends a close frame with the given status code, unless one was already
+   * sent, then ends the socket.
+   *
+   * @param {number} code the status code of the close frame
+   */
+  _close(code) {
+    if (!this._closeSent) {
+      this._closeSent = true;
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code, 0);
+      this._sendFrame(OPCODES.CLOSE, payload);
+    }
+    if (this.socket) {
+      this.socket.end();
+    }
+  }
+
+  /**
+   * @private
+   * Parses the header of the next frame in the buffer. Control frames are
+   * only parsed once they have fully arrived, as they may not be split.
+   *
+   * @returns {object|null} the frame, or null if its header (or, for a
+   * control frame, its payload) has not fully arrived
+   */
+  _parseHeader() {
+    if (this._buffer.length < 2) {
+      return null;
+    }
+    const isFinal = (this._buffer[0] & FIN_BIT) !== 0;
+    const hasReservedBits = (this._buffer[0] & RSV_BITS) !== 0;
+    const opcode = this._buffer[0] & OPCODE_BITS;
+    const isMasked = (this._buffer[1] & MASK_BIT) !== 0;
+    let length = this._buffer[1] & LENGTH_BITS;
+    let headerSize = 2;
+
+    if (length === LENGTH_16) {
+      headerSize += 2;
+      if (this._buffer.length < headerSize) {
+        return null;
+      }
+      length = this._buffer.readUInt16BE(2);
+    } else if (length === LENGTH_64) {
+      headerSize += 8;
+      if (this._buffer.length < headerSize) {
+        return null;
+      }
+      length = this._buffer.readUInt32BE(2) * UINT32_RANGE + this._buffer.readUInt32BE(6);
+    }
+
+    const maskOffset = headerSize;
+    if (isMasked) {
+      headerSize += MASK_SIZE;
+    }
+    const isControl = opcode >= CONTROL_OPCODE_MIN;
+    if (
+      this._buffer.length < headerSize ||
+      (isControl && this._buffer.length < headerSize + length)
+    ) {
+      return null;
+    }
+
+    const mask = isMasked ? Buffer.from(this._buffer.slice(maskOffset, headerSize)) : null;
+    this._buffer = this._buffer.slice(headerSize);
+    return { isFinal, hasReservedBits, opcode, isControl, mask, length, received: 0 };
+  }
+
+  /**
+   * @private
+   * Handles a control frame whose payload has fully arrived. Pings are
+   * answered with pongs, and close frames are answered with close frames.
+   *
+   * @param {number} opcode the opcode of the frame
+   * @param {Buffer} payload the unmasked payload of the frame
+   */
+  _handleControlFrame(opcode, payload) {
+    if (opcode === OPCODES.PING) {
+      this._sendFrame(OPCODES.PONG, payload);
+    } else if (opcode === OPCODES.CLOSE) {
+      this._close(CLOSE_NORMAL);
+    }
+  }
+
+  /**
+   * @private
+   * Handles data received over the socket. The payload of every data frame
+   * is put out as it arrives, so that frames of any size are framed into
+   * messages (and checked for their size) the same way as TCP data. Once
+   * the last frame of a message has arrived, a delimiter is put out to end
+   * the message. Frames with reserved bits set or an unknown opcode,
+   * continuation frames with no fragmented message to continue, new
+   * messages begun before a fragmented message has ended, as well as
+   * malformed frames, close the connection with a protocol error.
+   * Data received after the connection has begun closing is ignored.
+   *
+   * @param {Buffer} chunk the data received
+   */
+  _onData(chunk) {
+    if (this._closeSent) {
+      return;
+    }
+    this._buffer = Buffer.concat([this._buffer, chunk]);
+    while (!this._closeSent) {
+      if (!this._frame) {
+        this._frame = this._parseHeader();
+        if (!this._frame) {
+          return;
+        }
+        const { hasReservedBits, opcode, isControl, isFinal, length, mask } = this._frame;
+        if (
+          hasReservedBits ||
+          !Object.values(OPCODES).includes(opcode) ||
+          (isControl && (!isFinal || length > MAX_CONTROL_PAYLOAD)) ||
+          (!isControl && (opcode === OPCODES.CONTINUATION) !== this._isMessageOpen) ||
+          (!this.isClient && !mask)
+        ) {
+          this._close(CLOSE_PROTOCOL_ERROR);
+          return;
+        }
+      }
+
+      const frame = this._frame;
+      const data = Buffer.from(this._buffer.slice(0, frame.length - frame.received));
+      this._buffer = this._buffer.slice(data.length);
+      if (frame.mask) {
+        this._applyMask(data, frame.mask, frame.received);
+      }
+      frame.received += data.length;
+
+      if (frame.isControl) {
+        this._handleControlFrame(frame.opcode, data);
+      } else if (data.length > 0) {
+        this.push(data);
+      }
+      if (frame.received < frame.length) {
+        return;
+      }
+      if (!frame.isControl) {
+        this._isMessageOpen = !frame.isFinal;
+        if (frame.isFinal) {
+          this.push(DELIMITER);
+        }
+      }
+      this._frame = null;
+    }
+  }
+
+  /**
+   * @private
+   * Reading is driven by the socket's data, so there is nothing to do when
+   * more data is asked for. Used by the `Duplex` stream.
+   */
+  _read() {}
+
+  /**
+   * @private
+   * Sends every message in the given chunk as its own text frame. Used by
+   * the `Duplex` stream.
+   *
+   * @param {Buffer} chunk the chunk of messages to send, each ending with
+   * a delimiter
+   * @param {string} encoding the encoding of the chunk, unused for buffers
+   * @param {function} callback the callback to call once the chunk has been
+   * written
+   */
+  _write(chunk, encoding, callback) {
+    const messages = chunk
+      .toString()
+      .split(DELIMITER)
+      .filter(message => message.length > 0);
+    if (messages.length === 0) {
+      callback();
+      return;
+    }
+    messages.forEach((message, i) => {
+      const isLast = i === messages.length - 1;
+      this._sendFrame(OPCODES.TEXT, Buffer.from(message), isLast ? () => callback() : undefined);
+    });
+  }
+
+  /**
+   * @private
+   * Closes the connection once everything has been written. Used by the
+   * `Duplex` stream.
+   *
+   * @param {function} callback the callback to call once the connection
+   * has been closed
+   */
+  _final(callback) {
+    this._close(CLOSE_NORMAL);
+    callback();
+  }
+
+  /**
+   * @private
+   * Destroys the socket along with this connection. Used by the `Duplex`
+   * stream.
+   *
+   * @param {Error|null} err the error the connection was destroyed with,
+   * if any
+   * @param {function} callback the callback to call once the connection
+   * has been destroyed
+   */
+  _destroy(err, callback) {
+    if (this.socket) {
+      this.socket.destroy();
+    }
+    callback(err);
+  }
+}
+
+module.exports = WebSocketConnection;
@@ -0,0 +1,41 @@
+const { createServer, STATUS_CODES } = require('http');
+const BaseTransport = require('./BaseTransport');
+const WebSocketConnection = require('./WebSocketConnection');
+
+const UPGRADE_REQUIRED = 426;
+
+class WebSocketTransport extends BaseTransport {
+  /**
+   * Gets the address this transport listens at, for logging.
+   *
+   * @returns {string} the address of the transport
+   */
+  getAddress() {
+    return `ws://${super.getAddress()}`;
+  }
+
+  /**
+   * Begins listening for clients over WebSockets, so that browsers are
+   * able to connect. Plain HTTP requests are answered with
+   * `426 Upgrade Required`.
+   *
+   * @param {function} onConnection a callback function called with each
+   * new client connection
+   */
+  listen(onConnection) {
+    this.server = createServer((req, res) => {
+      res.writeHead(UPGRADE_REQUIRED, { Upgrade: 'websocket' });
+      res.end(STATUS_CODES[UPGRADE_REQUIRED]);
+    });
+    this.server.on('upgrade', (req, socket, head) => {
+      if (WebSocketConnection.acceptUpgrade(req, socket)) {
+        const connection = new WebSocketConnection();
+        connection.attach(socket, head);
+        onConnection(connection);
+      }
+    });
+    this.server.listen(this.port, this.ipAddress);
+  }
+}
+
+module.exports = WebSocketTransport;
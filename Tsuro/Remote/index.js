@@ -1,3 +1,5 @@
 exports.Validation = require('./Validation');
 exports.Client = require('./Client');
+exports.Spectator = require('./Spectator');
 exports.Server = require('./Server');
+exports.WebSocketClient = require('./WebSocketClient');
@@ -0,0 +1,12 @@
+/**
+ * Stands in for `d3-node` in the browser build. The browser draws straight
+ * into the page with `Observer.renderInto`, and has no file system to
+ * render to, so rendering to files is not supported.
+ */
+class D3Node {
+  constructor() {
+    throw 'Rendering to files is not supported in the browser.';
+  }
+}
+
+module.exports = D3Node;
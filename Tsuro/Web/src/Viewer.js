@@ -0,0 +1,264 @@
+const { select } = require('d3-selection');
+const Observer = require('../../Admin/Observer');
+const Message = require('../../Common/message');
+const { BoardState, InitialAction, IntermediateAction, SimpleTile } = require('../../Common');
+const { CAPABILITIES, MESSAGE_ACTIONS, PROTOCOL_VERSION } = require('../../Common/utils/constants');
+
+class Viewer {
+  /**
+   * @constructor
+   * Creates a new Viewer, which watches a game live in the browser. The
+   * viewer feeds every game event it receives to an observer, and redraws
+   * the observer's screen into the given element as the game goes on.
+   *
+   * @param {HTMLElement} boardElement the element to draw the game in
+   * @param {HTMLElement} statusElement the element to show the status of
+   * the game in
+   */
+  constructor(boardElement, statusElement) {
+    this.board = select(boardElement);
+    this.status = select(statusElement);
+    this.socket = null;
+
+    this.observer = null;
+    this._currentTurn = 0;
+    this._isGameOver = false;
+    this._isRenderPending = false;
+
+    this.handlers = {
+      [MESSAGE_ACTIONS.SET_COLOR]: this._handleSetColor,
+      [MESSAGE_ACTIONS.UPDATE_STATE]: this._handleUpdateState,
+      [MESSAGE_ACTIONS.UPDATE_TURN]: this._handleUpdateTurn,
+      [MESSAGE_ACTIONS.UPDATE_CURRENT_PLAYER]: this._handleUpdateCurrentPlayer,
+      [MESSAGE_ACTIONS.DEAL_HAND]: this._handleDealHand,
+      [MESSAGE_ACTIONS.UPDATE_LAST_ACTION]: this._handleUpdateLastAction,
+      [MESSAGE_ACTIONS.ELIMINATE_PLAYER]: this._handleEliminatePlayer,
+      [MESSAGE_ACTIONS.GAME_OVER]: this._handleGameOver,
+      [MESSAGE_ACTIONS.DENY_ENTRY]: this._handleDenyEntry,
+      [MESSAGE_ACTIONS.UNKNOWN_ACTION]: this._handleUnknownAction,
+    };
+  }
+
+  /**
+   * Connects the viewer to the WebSocket listener of the server at the
+   * given address, and starts watching a game. Any game already being
+   * watched is left.
+   *
+   * @param {string} address the WebSocket address of the server, such as
+   * `ws://127.0.0.1:8001`
+   * @param {string} [tableId] the ID of the table to watch, or nothing to
+   * watch the next open table
+   */
+  connect(address, tableId) {
+    this.disconnect();
+    this.observer = new Observer('viewer', true);
+    this._currentTurn = 0;
+    this._isGameOver = false;
+    this._scheduleRender();
+
+    const socket = new WebSocket(address);
+    socket.addEventListener('open', () => {
+      this._setStatus(`Watching ${tableId ? `table ${tableId}` : 'the next open table'}.`);
+      const message = new Message(MESSAGE_ACTIONS.WATCH, {
+        tableId,
+        version: PROTOCOL_VERSION,
+        capabilities: [CAPABILITIES.SPECTATOR],
+      });
+      socket.send(message.toString());
+    });
+    socket.addEventListener('message', this._onMessage.bind(this));
+    socket.addEventListener('close', () => {
+      if (this.socket === socket && !this._isGameOver) {
+        this._setStatus(`The connection to ${address} has closed.`);
+      }
+    });
+    this.socket = socket;
+  }
+
+  /**
+   * Disconnects the viewer from the server, if it is connected. The last
+   * drawn screen is kept.
+   */
+  disconnect() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+
+  /**
+   * @private
+   * Shows the given status text to the viewer.
+   *
+   * @param {string} text the status text
+   */
+  _setStatus(text) {
+    this.status.text(text);
+  }
+
+  /**
+   * @private
+   * Schedules the observer's screen to be redrawn before the next repaint.
+   * A batch of messages received at once is only drawn once.
+   */
+  _scheduleRender() {
+    if (!this._isRenderPending) {
+      this._isRenderPending = true;
+      requestAnimationFrame(() => {
+        this._isRenderPending = false;
+        this.board.selectAll('*').remove();
+        this.observer.renderInto(this.board);
+      });
+    }
+  }
+
+  /**
+   * @private
+   * Handles the server denying the viewer entry. Shows the reason to the
+   * viewer.
+   *
+   * @param {string} payload the reason for being denied entry
+   */
+  _handleDenyEntry(payload) {
+    this._setStatus(`Entry to server denied: ${payload}`);
+  }
+
+  /**
+   * @private
+   * Handles the server kicking the viewer for sending an action it may not
+   * send. Shows the reason to the viewer.
+   */
+  _handleUnknownAction() {
+    this._setStatus('You have been kicked from the game: unknown action.');
+  }
+
+  /**
+   * @private
+   * Sets a player's color based on the given message payload.
+   *
+   * @param {object} payload the `SET_COLOR` message payload
+   * @param {string} payload.id the ID of the player
+   * @param {string} payload.color the color of the player
+   */
+  _handleSetColor(payload) {
+    const { id, color } = payload;
+    this.observer.setPlayerColor(id, color);
+  }
+
+  /**
+   * @private
+   * Updates the observer's board state from the server.
+   *
+   * @param {object} payload the JSON version of the board state
+   */
+  _handleUpdateState(payload) {
+    this.observer.updateState(BoardState.fromJson(payload));
+  }
+
+  /**
+   * @private
+   * Moves the observer on to the given turn.
+   *
+   * @param {number} payload the new turn number
+   */
+  _handleUpdateTurn(payload) {
+    this._currentTurn = payload;
+    this.observer.updateCurrentTurn(payload);
+  }
+
+  /**
+   * @private
+   * Updates the observer's current player.
+   *
+   * @param {string} payload the ID of the player whose turn it is
+   */
+  _handleUpdateCurrentPlayer(payload) {
+    this.observer.updateCurrentPlayerId(payload);
+    this._setStatus(`Turn ${this._currentTurn}: it is ${payload}'s turn.`);
+  }
+
+  /**
+   * @private
+   * Updates the observer's view of the current player's hand, given via
+   * tile indices.
+   *
+   * @param {string[]} payload the current player's hand
+   */
+  _handleDealHand(payload) {
+    this.observer.updateCurrentHand(payload.map(tileIdx => new SimpleTile(tileIdx)));
+  }
+
+  /**
+   * @private
+   * Updates the observer's last action from its JSON version. Only initial
+   * actions have a position.
+   *
+   * @param {object} payload the JSON-ified action
+   */
+  _handleUpdateLastAction(payload) {
+    const action = payload.position
+      ? InitialAction.fromJson(payload)
+      : IntermediateAction.fromJson(payload);
+    this.observer.updateLastAction(action);
+  }
+
+  /**
+   * @private
+   * Removes a player from play in the observer.
+   *
+   * @param {string} payload the ID of the removed player
+   */
+  _handleEliminatePlayer(payload) {
+    this.observer.removePlayer(payload);
+  }
+
+  /**
+   * @private
+   * Ends the game in the observer, and shows the winners and losers to the
+   * viewer.
+   *
+   * @param {object} payload the winners and losers of the game
+   * @param {string[][]} payload.winners the player IDs of the winners
+   * of the game, separated by winner place
+   * @param {string[]} payload.losers the player IDs of the losers of
+   * the game
+   */
+  _handleGameOver(payload) {
+    const { winners, losers } = payload;
+    this.observer.endGame(winners, losers);
+    this._isGameOver = true;
+
+    const places = winners.map((place, i) => `Place ${i + 1}: ${place.join(', ')}.`);
+    const lost = losers.length > 0 ? [`Losers: ${losers.join(', ')}.`] : [];
+    this._setStatus(['The game has ended.', ...places, ...lost].join(' '));
+  }
+
+  /**
+   * @private
+   * Event listener for the socket's `message` event. Every WebSocket
+   * message holds exactly one game message, which is handled using the
+   * `handlers` object to select the correct handler. Messages the viewer
+   * has no use for are ignored.
+   *
+   * @param {MessageEvent} event the WebSocket message event
+   */
+  _onMessage(event) {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (err) {
+      this._setStatus('The server is sending malformed messages.');
+      this.disconnect();
+      return;
+    }
+
+    const { action, payload } = message;
+    const handler = this.handlers[action];
+    if (handler) {
+      handler.bind(this)(payload);
+      this._scheduleRender();
+    }
+  }
+}
+
+module.exports = Viewer;
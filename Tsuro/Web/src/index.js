@@ -0,0 +1,15 @@
+const Viewer = require('./Viewer');
+
+const main = () => {
+  const viewer = new Viewer(document.getElementById('board'), document.getElementById('status'));
+  const form = document.getElementById('connect');
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const address = form.elements.address.value.trim();
+    const tableId = form.elements.tableId.value.trim();
+    viewer.connect(address, tableId || undefined);
+  });
+};
+
+main();
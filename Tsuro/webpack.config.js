@@ -6,9 +6,16 @@ const files = {
   '6/xserver': '6/src/xserver.js',
   '6/xclient': '6/src/xclient.js',
   '6/xrun': '6/src/xrun.js',
+  '6/xwatch': '6/src/xwatch.js',
 };
 
-module.exports = {
+const babelRule = {
+  test: /\.js$/,
+  exclude: /node_modules/,
+  use: 'babel-loader',
+};
+
+const nodeConfig = {
   target: 'node',
   mode: 'production',
   entry: Object.entries(files).reduce(
@@ -24,15 +31,17 @@ module.exports = {
   },
   module: {
     rules: [
-      {
-        test: /\.js$/,
-        exclude: /node_modules/,
-        use: 'babel-loader',
-      },
+      babelRule,
       {
         test: /\.node$/,
         use: 'node-loader',
       },
+      // The rasterizer finds its font files through `require.resolve`, so
+      // its requires are left for Node to resolve when the program runs
+      {
+        test: /Admin\/Rasterizer\.js$/,
+        parser: { commonjs: false },
+      },
     ],
   },
   plugins: [
@@ -45,3 +54,30 @@ module.exports = {
     }),
   ],
 };
+
+// The browser viewer reuses the observer's D3 drawing code, rendering
+// straight into the page rather than to files
+const webConfig = {
+  target: 'web',
+  mode: 'production',
+  entry: {
+    'Web/viewer': path.resolve(__dirname, 'Web/src/index.js'),
+  },
+  output: {
+    path: __dirname,
+    filename: '[name].js',
+  },
+  module: {
+    rules: [babelRule],
+  },
+  resolve: {
+    alias: {
+      'd3-node': path.resolve(__dirname, 'Web/src/D3Node.js'),
+    },
+  },
+  node: {
+    fs: 'empty',
+  },
+};
+
+module.exports = [nodeConfig, webConfig];